@@ -1,7 +1,11 @@
 /**
  * @fileoverview Background script for the Element Hider Chrome extension.
  * This script serves as the extension's event handler for keyboard shortcuts and manages
- * communication between the browser action and content scripts.
+ * communication between the browser action and content scripts. It also keeps subscribed
+ * preset lists up to date on a schedule, provides the page's context menu entries, shows each
+ * tab's status, as reported by its content scripts, on the toolbar badge, syncs the rules across
+ * devices when sync is switched on (see `sync.js`), sets the alarms that switch scheduled rules
+ * on and off and end focus sessions, and switches rule profiles from their hotkeys.
  * 
  * 
  * Handles keyboard commands from the extension and forwards them to the active tab's content script.
@@ -22,6 +26,8 @@
  *
  */
 
+importScripts('rules.js', 'procedural.js', 'shadow.js', 'rule-io.js', 'subscriptions.js', 'sync.js');
+
 chrome.commands.onCommand.addListener((command, tab) => {
 
   /**
@@ -42,6 +48,10 @@ chrome.commands.onCommand.addListener((command, tab) => {
       action = 'togglePickerMode';
     } else if (command === "revert-last-action") {
       action = 'revertLastAction';
+    } else if (command === "redo-last-action") {
+      action = 'redoLastAction';
+    } else if (command === "toggle-peek-mode") {
+      action = 'togglePeek';
     }
 
     /**
@@ -68,4 +78,552 @@ chrome.commands.onCommand.addListener((command, tab) => {
       });
     }
   }
-});
\ No newline at end of file
+});
+
+/**
+ * The prefix of the commands that switch to a profile by its position (see `manifest.json`),
+ * followed by the 1-based position.
+ * @type {string}
+ */
+const PROFILE_COMMAND_PREFIX = 'activate-profile-';
+
+/**
+ * How long the toolbar badge shows the profile switched to by a hotkey.
+ * @type {number}
+ */
+const PROFILE_BADGE_DURATION = 2000;
+
+/**
+ * The tab whose badge shows the profile switched to, and the timer that restores its status; its
+ * status reports leave the badge alone until then.
+ * @type {{tabId: ?number, timer: ?number}}
+ */
+const profileBadge = { tabId: null, timer: null };
+
+/**
+ * Ends the profile display on the toolbar badge and shows the tab's status again.
+ */
+function restoreProfileBadge() {
+  const tabId = profileBadge.tabId;
+  clearTimeout(profileBadge.timer);
+  profileBadge.tabId = null;
+  profileBadge.timer = null;
+  if (tabId !== null) {
+    getTabStatus(tabId).then(status => updateBadge(tabId, status));
+  }
+}
+
+/**
+ * Switches profiles from the hotkeys. `cycle-profile` steps through the profiles and back to none;
+ * `activate-profile-<n>` switches to the n-th profile, or back to none if it is already active.
+ * The content scripts pick up the change through `chrome.storage.onChanged`. The new profile is shown
+ * on the tab's badge for a moment.
+ *
+ * @param {string} command - The command identifier that was triggered
+ * @param {chrome.tabs.Tab} tab - The active tab
+ * @returns {Promise<void>}
+ */
+async function switchProfile(command, tab) {
+  let profile;
+  if (command === 'cycle-profile') {
+    profile = await ElementHiderRules.cycleProfile();
+  } else {
+    const state = await ElementHiderRules.loadGroupState();
+    const target = state.profiles[Number(command.slice(PROFILE_COMMAND_PREFIX.length)) - 1];
+    if (!target) {
+      console.warn(`Element Hider: No profile is saved for '${command}'.`);
+      return;
+    }
+    profile = await ElementHiderRules.setActiveProfile(state.activeProfile === target.id ? null : target.id);
+  }
+  if (!tab?.id) {
+    return;
+  }
+  restoreProfileBadge();
+  profileBadge.tabId = tab.id;
+  profileBadge.timer = setTimeout(restoreProfileBadge, PROFILE_BADGE_DURATION);
+  chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#337ab7' }).catch(() => {});
+  chrome.action.setBadgeText({ tabId: tab.id, text: profile ? profile.name.slice(0, 4) : 'ALL' }).catch(() => {});
+  chrome.action.setTitle({
+    tabId: tab.id,
+    title: profile ? `Element Hider: profile "${profile.name}"` : 'Element Hider: no profile, every group is on'
+  }).catch(() => {});
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'cycle-profile' || command.startsWith(PROFILE_COMMAND_PREFIX)) {
+    switchProfile(command, tab).catch(error => console.warn('Element Hider: Could not switch the profile.', error));
+  }
+});
+
+/**
+ * Schedules the periodic update of subscribed preset lists (see `subscriptions.js`). Alarms survive
+ * service worker restarts but not browser restarts, so the alarm is (re)created on install, update
+ * and startup; `chrome.alarms.create` replaces an existing alarm of the same name.
+ * On install and update the lists are also refreshed right away, which picks up new versions of the
+ * lists bundled with the extension.
+ *
+ * @listens chrome.runtime.onInstalled
+ * @listens chrome.runtime.onStartup
+ */
+function scheduleSubscriptionUpdates() {
+  chrome.alarms.create(ElementHiderSubscriptions.UPDATE_ALARM, {
+    periodInMinutes: ElementHiderSubscriptions.UPDATE_INTERVAL_MINUTES
+  });
+}
+
+/**
+ * The page context menu entries. The two hide entries act on the element the menu was opened on,
+ * which the content script of that frame has recorded; the others act on the whole site.
+ * Menus are not offered on pages content scripts cannot run on.
+ * @type {chrome.contextMenus.CreateProperties[]}
+ */
+const CONTEXT_MENU_ITEMS = [
+  { id: 'hide-element', title: 'Hide this element' },
+  { id: 'hide-similar', title: 'Hide similar elements' },
+  { id: 'separator', type: 'separator' },
+  { id: 'unblock-page', title: 'Unblock this page (remove overlays)' },
+  { id: 'toggle-site-pause', title: 'Pause or resume hiding on this site' },
+  { id: 'open-site-rules', title: 'Show this site\'s rules' }
+];
+
+/**
+ * Creates the context menu entries. They persist across service worker restarts, so this runs on
+ * install and update only, replacing the entries of the previous version.
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({
+        ...item,
+        contexts: ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*', 'file:///*']
+      });
+    }
+  });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  scheduleSubscriptionUpdates();
+  scheduleRuleConditions();
+  ElementHiderSubscriptions.updateAll().catch(error => console.warn('Element Hider: Could not update preset lists.', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleSubscriptionUpdates();
+  scheduleRuleConditions();
+  scheduleSync();
+});
+
+/**
+ * Delay between a change to the rules and the sync that follows, so a burst of edits (or the
+ * bookkeeping writes of a page load) is synced once.
+ * @type {number}
+ */
+const SYNC_DELAY = 2000;
+
+/**
+ * The pending sync timer, if any.
+ * @type {?number}
+ */
+let syncTimer = null;
+
+/**
+ * Syncs, chained so that two syncs never run at the same time.
+ * @type {Promise<void>}
+ */
+let syncQueue = Promise.resolve();
+
+/**
+ * Runs `ElementHiderSync.synchronize` after `SYNC_DELAY`, restarting the delay on every call.
+ * It does nothing while sync is switched off.
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncQueue = syncQueue
+      .then(() => ElementHiderSync.synchronize())
+      .catch(error => console.warn('Element Hider: Could not sync the rules.', error));
+  }, SYNC_DELAY);
+}
+
+/**
+ * Syncs the rules when their synced fields change on this device (see
+ * `ElementHiderSync.hasSyncedChanges`), when another device changed them in sync storage, and when
+ * sync is switched on. Merged remote changes reach the popup and the content scripts as a change to
+ * the local rules.
+ *
+ * @listens chrome.storage.onChanged
+ * @param {object} changes - The changed keys
+ * @param {string} areaName - The storage area that changed
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const { selectors, syncEnabled } = changes;
+  const isSyncRelevant = areaName === 'sync'
+    ? Object.keys(changes).some(ElementHiderSync.isSyncKey)
+    : areaName === 'local' && Boolean(syncEnabled?.newValue ||
+      (selectors && ElementHiderSync.hasSyncedChanges(selectors.oldValue, selectors.newValue)));
+  if (isSyncRelevant) {
+    scheduleSync();
+  }
+});
+
+/**
+ * The alarm set for the next start or end of a rule's time window (see `scheduleRuleConditions`).
+ * @type {string}
+ */
+const SCHEDULE_ALARM = 'rule-schedule';
+
+/**
+ * The alarm that ends the running focus session.
+ * @type {string}
+ */
+const FOCUS_ALARM = 'end-focus-session';
+
+/**
+ * Sets the alarms behind rule conditions (see `rules.js`): one at the next moment a rule's time
+ * window starts or ends, and one at the end of the running focus session. `chrome.alarms.create`
+ * replaces an alarm of the same name, so this simply runs again whenever either changes.
+ *
+ * @returns {Promise<void>}
+ */
+async function scheduleRuleConditions() {
+  try {
+    const next = ElementHiderRules.getNextScheduleChange(await ElementHiderRules.loadSelectors());
+    if (next) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+    } else {
+      chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+    const session = await ElementHiderRules.loadFocusSession();
+    if (session) {
+      chrome.alarms.create(FOCUS_ALARM, { when: session.endsAt });
+    } else {
+      chrome.alarms.clear(FOCUS_ALARM);
+    }
+  } catch (error) {
+    console.warn('Element Hider: Could not schedule rule conditions.', error);
+  }
+}
+
+/**
+ * Tells the content scripts of every tab that a time window started or ended, so they re-apply
+ * their rules. Tabs without a content script are skipped.
+ */
+function broadcastConditionChange() {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { action: 'reevaluateConditions' }, () => void chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Moves the condition alarms when the rules or the focus session change.
+ *
+ * @listens chrome.storage.onChanged
+ * @param {object} changes - The changed keys
+ * @param {string} areaName - The storage area that changed
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.selectors || changes.focusSession)) {
+    scheduleRuleConditions();
+  }
+});
+
+/**
+ * Handles the alarms: updates every subscribed preset list when the update alarm fires, retries a
+ * sync that hit the sync storage write limit, re-applies the rules when a time window starts or ends
+ * and ends the focus session when its time is up.
+ *
+ * @listens chrome.alarms.onAlarm
+ * @param {chrome.alarms.Alarm} alarm - The alarm that fired
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ElementHiderSubscriptions.UPDATE_ALARM) {
+    ElementHiderSubscriptions.updateAll().catch(error => console.warn('Element Hider: Could not update preset lists.', error));
+  } else if (alarm.name === ElementHiderSync.RETRY_ALARM) {
+    scheduleSync();
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    broadcastConditionChange();
+    scheduleRuleConditions();
+  } else if (alarm.name === FOCUS_ALARM) {
+    ElementHiderRules.endFocusSession();
+  }
+});
+
+/**
+ * Shows the rules of a tab's site in the popup. Where the popup cannot be opened
+ * (`chrome.action.openPopup` needs Chrome 127), the options page is opened next to the tab instead,
+ * filtered to the rules that apply to its page.
+ *
+ * @param {chrome.tabs.Tab} tab - The tab the context menu was opened in
+ * @returns {Promise<void>}
+ */
+async function openSiteRules(tab) {
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    const query = tab.url ? `?site=${encodeURIComponent(tab.url)}` : '';
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`options.html${query}`), index: tab.index + 1 });
+  }
+}
+
+/**
+ * Handles the context menu entries (see `CONTEXT_MENU_ITEMS`):
+ * - `hide-element` / `hide-similar`: Asks the content script of the frame the menu was opened in to
+ *   hide the element it recorded, or every element like it.
+ * - `unblock-page`: Asks the top frame to hide the page's overlays and restore scrolling.
+ * - `toggle-site-pause`: Asks the top frame to pause or resume hiding on its site.
+ * - `open-site-rules`: Shows the rules of the current site (see `openSiteRules`).
+ *
+ * @listens chrome.contextMenus.onClicked
+ * @param {chrome.contextMenus.OnClickData} info - The chosen entry and the frame it was opened in
+ * @param {chrome.tabs.Tab} tab - The tab the menu was opened in
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) {
+    return;
+  }
+  let message = null;
+  let frameId = 0;
+  if (info.menuItemId === 'hide-element' || info.menuItemId === 'hide-similar') {
+    message = { action: 'hideContextTarget', similar: info.menuItemId === 'hide-similar' };
+    frameId = info.frameId || 0;
+  } else if (info.menuItemId === 'unblock-page') {
+    message = { action: 'unblockPage' };
+  } else if (info.menuItemId === 'toggle-site-pause') {
+    message = { action: 'toggleSitePause' };
+  } else if (info.menuItemId === 'open-site-rules') {
+    openSiteRules(tab);
+  }
+  if (message) {
+    chrome.tabs.sendMessage(tab.id, message, { frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Element Hider: Could not connect to the content script for action '${message.action}'. Please reload the page and try again.`);
+      } else if (response?.error) {
+        console.warn(`Element Hider: The content script could not complete '${message.action}'.`, response.error);
+      }
+    });
+  }
+});
+
+/**
+ * Replaces the hiding CSS inserted into a content script's document with `chrome.scripting.insertCSS`.
+ * The CSS is inserted as a user stylesheet: the page cannot remove it, its Content Security Policy
+ * does not apply, and it outranks the page's own `!important` declarations. Removing CSS requires the
+ * exact text that was inserted, which the content script keeps track of. Inserting needs host access
+ * to the page and fails without it; the content script then relies on its own stylesheet.
+ *
+ * @param {object} sender - The content script that asked, from `runtime.onMessage`
+ * @param {string} previous - The CSS inserted before, or an empty string
+ * @param {string} css - The CSS to insert, or an empty string to only remove `previous`
+ * @returns {Promise<{injected: boolean, error?: string}>} Whether `css` is now inserted
+ */
+async function replaceInjectedCss(sender, previous, css) {
+  // Targeting the document rather than the frame avoids styling a page the frame navigated to since.
+  const target = sender.documentId
+    ? { tabId: sender.tab.id, documentIds: [sender.documentId] }
+    : { tabId: sender.tab.id, frameIds: [sender.frameId] };
+  if (previous) {
+    await chrome.scripting.removeCSS({ target, css: previous, origin: 'USER' }).catch(() => {});
+  }
+  if (!css) {
+    return { injected: false };
+  }
+  try {
+    await chrome.scripting.insertCSS({ target, css, origin: 'USER' });
+    return { injected: true };
+  } catch (error) {
+    return { injected: false, error: error.message };
+  }
+}
+
+/**
+ * The prefix of the `chrome.storage.session` keys holding tab statuses, followed by the tab id.
+ * Session storage outlives service worker restarts but not the browser session, like the tabs.
+ * @type {string}
+ */
+const TAB_STATUS_PREFIX = 'tabStatus:';
+
+/**
+ * Tab status writes, chained so that reports from several frames of a tab do not overwrite each other.
+ * @type {Promise<void>}
+ */
+let tabStatusQueue = Promise.resolve();
+
+/**
+ * Combines the frame statuses of a tab. The page's own values come from the top frame; the counts
+ * of hidden elements and invalid rules add up over all frames.
+ *
+ * @param {?{frames: Object<string, object>}} entry - The stored statuses of the tab's frames
+ * @returns {?{url: string, domain: string, paused: boolean, activeRules: number, hiddenCount: number, invalidRules: number}}
+ *   The tab's status, or null if its top frame has not reported
+ */
+function summarizeTabStatus(entry) {
+  const top = entry?.frames[0];
+  if (!top) {
+    return null;
+  }
+  const frames = Object.values(entry.frames);
+  return {
+    ...top,
+    hiddenCount: frames.reduce((sum, frame) => sum + frame.hiddenCount, 0),
+    invalidRules: frames.reduce((sum, frame) => sum + frame.invalidRules, 0)
+  };
+}
+
+/**
+ * Shows a tab's status on the toolbar badge, for that tab only:
+ * - paused: "OFF" in grey;
+ * - an active rule with an invalid selector: "!" in red;
+ * - otherwise the number of hidden elements, or nothing if there are none;
+ * - no content script (browser pages, the Web Store, tabs opened before the extension was
+ *   installed): "×" in grey.
+ * While the badge shows a profile switched to by hotkey (see `switchProfile`), it is left alone.
+ *
+ * @param {number} tabId - The tab
+ * @param {?object} status - The tab's status from `summarizeTabStatus`, or null if the content script cannot run
+ */
+function updateBadge(tabId, status) {
+  if (tabId === profileBadge.tabId) {
+    return;
+  }
+  let text = '';
+  let color = '#777777';
+  let title = 'Element Hider';
+  if (!status) {
+    text = '×';
+    title = 'Element Hider cannot run on this page';
+  } else if (status.paused) {
+    text = 'OFF';
+    title = 'Element Hider (paused)';
+  } else if (status.invalidRules > 0) {
+    text = '!';
+    color = '#d9534f';
+    title = `Element Hider: ${status.invalidRules} invalid selector(s) on this page`;
+  } else if (status.hiddenCount > 0) {
+    text = status.hiddenCount > 999 ? '999+' : String(status.hiddenCount);
+    color = '#e60000';
+    title = `Element Hider: ${status.hiddenCount} element(s) hidden by ${status.activeRules} rule(s)`;
+  }
+  // The tab may have been closed in the meantime.
+  chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+  chrome.action.setTitle({ tabId, title }).catch(() => {});
+}
+
+/**
+ * Stores the status a frame reported and updates its tab's badge. A report from a new document in
+ * the top frame (the tab navigated) discards the statuses of the previous page's frames.
+ *
+ * @param {object} sender - The content script that reported, from `runtime.onMessage`
+ * @param {object} status - The frame's status (see `collectTabStatus` in `content.js`)
+ * @returns {Promise<void>}
+ */
+async function recordTabStatus(sender, status) {
+  const key = TAB_STATUS_PREFIX + sender.tab.id;
+  const { [key]: entry = { documentId: null, frames: {} } } = await chrome.storage.session.get(key);
+  if (sender.frameId === 0 && sender.documentId !== entry.documentId) {
+    entry.documentId = sender.documentId;
+    entry.frames = {};
+  }
+  entry.frames[sender.frameId] = status;
+  await chrome.storage.session.set({ [key]: entry });
+  updateBadge(sender.tab.id, summarizeTabStatus(entry));
+}
+
+/**
+ * Returns a tab's status, as last reported by its content scripts.
+ *
+ * @param {number} tabId - The tab
+ * @returns {Promise<?object>} The status from `summarizeTabStatus`, or null if none was reported
+ */
+async function getTabStatus(tabId) {
+  const key = TAB_STATUS_PREFIX + tabId;
+  const { [key]: entry = null } = await chrome.storage.session.get(key);
+  return summarizeTabStatus(entry);
+}
+
+/**
+ * Detects pages the content script cannot run on. Once a tab has finished loading, its top frame is
+ * asked for its status; if nothing answers, the badge says so and the stored status is dropped.
+ * The short delay leaves a freshly injected script time to set up its listener.
+ *
+ * @listens chrome.tabs.onUpdated
+ * @param {number} tabId - The tab that changed
+ * @param {object} changeInfo - What changed
+ */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'complete') {
+    return;
+  }
+  setTimeout(() => {
+    chrome.tabs.sendMessage(tabId, { action: 'getTabStatus' }, { frameId: 0 }, () => {
+      if (chrome.runtime.lastError) {
+        chrome.storage.session.remove(TAB_STATUS_PREFIX + tabId);
+        updateBadge(tabId, null);
+      }
+    });
+  }, 1000);
+});
+
+/**
+ * Drops the stored status of a closed tab.
+ *
+ * @listens chrome.tabs.onRemoved
+ * @param {number} tabId - The closed tab
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(TAB_STATUS_PREFIX + tabId);
+});
+
+/**
+ * Handles requests from the popup and the content script. Fetching happens here rather than in the
+ * popup, which may close before a slow list has downloaded.
+ * - `updateSubscriptions`: Updates one list (`request.id`) or, without an id, every list.
+ * - `replaceInjectedCss`: Swaps the CSS inserted into the sending document (see `replaceInjectedCss`).
+ * - `reportTabStatus`: Stores the sending frame's status and updates its tab's badge (see `recordTabStatus`).
+ * - `getTabStatus`: Answers the popup with the status of a tab (`request.tabId`), or null if no
+ *   content script runs there.
+ *
+ * @listens chrome.runtime.onMessage
+ * @param {object} request - The message object
+ * @param {object} sender - Information about the sender
+ * @param {function} sendResponse - Called with the result once the request has been handled
+ * @returns {boolean} `true` to keep the channel open for the asynchronous response
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'reportTabStatus') {
+    if (sender.tab?.id && request.status) {
+      tabStatusQueue = tabStatusQueue
+        .then(() => recordTabStatus(sender, request.status))
+        .catch(error => console.warn('Element Hider: Could not record the tab status.', error));
+    }
+    return;
+  }
+  if (request.action === 'getTabStatus') {
+    getTabStatus(request.tabId)
+      .then(status => sendResponse({ status }))
+      .catch(() => sendResponse({ status: null }));
+    return true;
+  }
+  if (request.action === 'replaceInjectedCss') {
+    if (!sender.tab?.id) {
+      sendResponse({ injected: false, error: 'Not sent from a tab' });
+      return;
+    }
+    replaceInjectedCss(sender, request.previous || '', request.css || '').then(sendResponse);
+    return true;
+  }
+  if (request.action === 'updateSubscriptions') {
+    const update = request.id
+      ? ElementHiderSubscriptions.updateSubscription(request.id).then(() => ElementHiderSubscriptions.loadSubscriptions())
+      : ElementHiderSubscriptions.updateAll();
+    update
+      .then(subscriptions => sendResponse({ subscriptions }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+});
@@ -2,11 +2,23 @@
  * @fileoverview Content script for the Element Hider Chrome extension.
  * This script is the core engine of the extension, injected into all web pages as defined in `manifest.json`.
  * It is responsible for all direct DOM manipulation, including:
- * 1. Injecting CSS rules to hide elements based on user-defined selectors.
+ * 1. Injecting CSS rules to hide elements based on user-defined selectors, from `document_start` on
+ *    and with fallbacks for hostile pages (see `StyleInjector`).
  * 2. Managing the interactive "Element Picker" feature, including highlighting and DOM traversal.
- * 3. Observing the DOM for changes to re-apply rules on Single Page Applications (SPAs).
+ *    Selector candidates come from `selector-generator.js` (`ElementHiderSelectorGenerator`).
+ * 3. Observing the DOM and client-side navigation to re-apply rules on Single Page Applications (SPAs).
  * 4. Communicating with `background.js` (for hotkeys) and `popup.js` (for selector updates).
  *
+ * The script runs in every frame. Each frame applies the rules for its own URL (`about:blank` and
+ * `srcdoc` frames use their parent's), and rules written with `>>>` reach into open shadow roots
+ * (see `shadow.js`). Only the top frame answers the popup and runs the picker, which reaches into
+ * same-origin frames and open shadow roots itself.
+ *
+ * Rule storage and the rule model live in `rules.js` (`ElementHiderRules`), subscribed preset lists
+ * in `subscriptions.js` (`ElementHiderSubscriptions`), text-based selectors in `procedural.js`
+ * (`ElementHiderProcedural`) and Shadow DOM selectors in `shadow.js` (`ElementHiderShadow`);
+ * `manifest.json` loads them into the same isolated world before this script.
+ *
  * @version 1.0
  * @author TM Soontornsing
  */
@@ -55,157 +67,2147 @@
   }
 
   /**
-   * Extracts the current hostname from `window.location.hostname`. This value is used as the
-   * key for storing and retrieving selectors in `chrome.storage.local`, ensuring rules are
-   * specific to the exact hostname (e.g., 'www.example.com' is distinct from 'app.example.com').
+   * Whether this instance runs in the top-level frame. `manifest.json` injects the script into every
+   * frame; each frame applies the rules whose scopes match its own URL, but only the top frame talks
+   * to the popup and the hotkeys and records rule visits.
+   * @type {boolean}
+   */
+  const IS_TOP_FRAME = window === window.top;
+
+  /**
+   * Returns the URL rules are matched against for a document. Frames without a URL of their own
+   * (`about:blank`, `about:srcdoc`) use the URL of the page that created them, from `baseURI`.
+   * @param {Document} [doc=document] - The document, e.g. that of a same-origin frame.
+   * @returns {string} The document's URL.
+   */
+  function getPageUrl(doc = document) {
+    return doc.location.protocol === "about:" ? doc.baseURI : doc.location.href;
+  }
+
+  /**
+   * Extracts the hostname of a document's URL (see `getPageUrl`). This value is the default
+   * scope key under which the picker saves new rules in `chrome.storage.local`, so new rules are
+   * specific to the exact hostname (e.g., 'www.example.com' is distinct from 'app.example.com')
+   * until the user widens their scope from the popup. Elements picked inside a frame are saved
+   * under the frame's hostname, where the frame's own instance of this script applies them.
    * It includes a special case for local files.
-   * @returns {string} The hostname of the current page, or 'file://' for local files.
+   * @param {Document} [doc=document] - The document, e.g. that of a same-origin frame.
+   * @returns {string} The hostname of the page, or 'file://' for local files.
+   */
+  function getCurrentDomain(doc = document) {
+    const url = new URL(getPageUrl(doc));
+    if (url.protocol === "file:") {
+      return ElementHiderRules.FILE_SCOPE;
+    }
+    return url.hostname;
+  }
+
+  /**
+   * Returns the hostname of the top-level page, which per-site switches (such as turning a preset list
+   * off "on this site") refer to, also inside frames from other origins.
+   * @returns {string} The top-level hostname, or that of this frame if it cannot be determined.
+   */
+  function getSiteDomain() {
+    const origins = window.location.ancestorOrigins;
+    if (IS_TOP_FRAME || !origins?.length) return getCurrentDomain();
+    try {
+      return new URL(origins[origins.length - 1]).hostname || getCurrentDomain();
+    } catch (e) {
+      return getCurrentDomain();
+    }
+  }
+
+  /**
+   * Returns the element an event really happened on. Events from open shadow trees are retargeted
+   * to their host by the time they reach a document listener, but `composedPath()` still starts at
+   * the element inside. Closed shadow trees (like the extension's own overlays) stay hidden.
+   * @param {Event} event - The event.
+   * @returns {Element} The innermost element.
+   */
+  function getEventTarget(event) {
+    const [first] = event.composedPath();
+    // Not `instanceof Element`: elements of same-origin frames belong to the frame's window.
+    return first?.nodeType === Node.ELEMENT_NODE ? first : event.target;
+  }
+
+  /**
+   * Collects the rules that apply to the current page by merging every stored scope that matches
+   * its URL (exact hostname, wildcard subdomains, path globs and the global `*` scope).
+   * @param {object} allSelectors - The full rule map from storage, keyed by scope.
+   * @returns {Array<object>} The merged rules, each annotated with its `scope`.
+   */
+  function getPageRules(allSelectors) {
+    return ElementHiderRules.getRulesForUrl(allSelectors, getPageUrl());
+  }
+
+  /**
+   * Creates a host element for one of the extension's on-page overlays. The overlay content lives in
+   * a closed Shadow DOM so the page's CSS can neither restyle nor hide it, and the host resets all
+   * inherited styles before applying its own positioning.
+   * @param {string} id - The host element's id.
+   * @param {string} cssText - Positioning styles for the host.
+   * @param {string} template - The overlay's markup, including its `<style>`.
+   * @returns {{host: HTMLElement, root: ShadowRoot}} The detached host and its shadow root.
+   */
+  function createOverlayHost(id, cssText, template) {
+    const host = document.createElement("div");
+    host.id = id;
+    host.style.cssText = `all: initial; position: fixed; z-index: 2147483647; ${cssText}`;
+    const root = host.attachShadow({ mode: "closed" });
+    root.innerHTML = template;
+    return { host, root };
+  }
+
+  /**
+   * The minimum time in milliseconds between two `lastMatchedAt` updates of the same rule.
+   * Stamping on every page load would turn each visit into a storage write; an hourly
+   * resolution is plenty to tell live rules from stale ones.
+   * @type {number}
+   */
+  const MATCH_STAMP_INTERVAL = 60 * 60 * 1000;
+
+  /**
+   * How long after initialization a page visit is evaluated for rule matches. Content loaded
+   * late by the page would otherwise count as a miss on every visit.
+   * @type {number}
+   */
+  const VISIT_EVALUATION_DELAY = 5000;
+
+  /**
+   * The most class names and ids `collectPageTokens` offers the popup's editor for autocompletion,
+   * each. The most frequent ones are kept.
+   * @type {number}
+   */
+  const PAGE_TOKEN_LIMIT = 200;
+
+  /**
+   * An in-memory copy of the storage keys the hiding engine reads. Filled once by `initialize` and kept
+   * in sync by `startStorageWatcher`, so DOM changes and client-side navigations are handled without
+   * touching storage.
+   * @type {{selectors: Object<string, Array<object>>, subscriptions: Object<string, object>, isPersistenceEnabled: boolean, pauseState: PauseState, focusSession: ?object, groupState: GroupState}}
+   */
+  const ruleCache = {
+    selectors: {},
+    subscriptions: {},
+    isPersistenceEnabled: true,
+    pauseState: { pausedSites: [], pausedEverywhere: false },
+    focusSession: null,
+    groupState: { disabledGroups: {}, profiles: [], activeProfile: null },
+  };
+
+  /**
+   * The media queries of rule conditions, each watched once so that the rules switch on and off as
+   * the viewport crosses a breakpoint.
+   * @type {Map<string, MediaQueryList>}
+   */
+  const watchedMediaQueries = new Map();
+
+  /**
+   * @description Tells whether this frame's viewport matches a media query, and starts watching the
+   * query on first use. Invalid queries never match.
+   * @param {string} query - The media query of a rule condition.
+   * @returns {boolean}
+   */
+  function matchesMedia(query) {
+    let list = watchedMediaQueries.get(query);
+    if (!list) {
+      list = window.matchMedia(query);
+      list.addEventListener("change", () => {
+        if (isContextValid() && ruleCache.isPersistenceEnabled) applyCachedRules();
+      });
+      watchedMediaQueries.set(query, list);
+    }
+    return list.matches;
+  }
+
+  /**
+   * @description Builds what rule conditions are evaluated against (see
+   * `ElementHiderRules.areConditionsMet`). Time windows are re-evaluated when `background.js` sends
+   * `reevaluateConditions` at their start and end, media queries when they change, and focus
+   * sessions when they start or end in storage. Rule groups are switched per top-level site, and by
+   * the active profile.
+   * @returns {ConditionContext}
+   */
+  function getConditionContext() {
+    return {
+      now: new Date(),
+      matchesMedia,
+      focusActive: ElementHiderRules.isFocusActive(ruleCache.focusSession),
+      isGroupActive: (group) => ElementHiderRules.isGroupActive(ruleCache.groupState, getSiteDomain(), group),
+    };
+  }
+
+  /**
+   * @description Tells whether hiding is paused for this page, on its top-level site or everywhere
+   * (see `ElementHiderRules.isPaused`).
+   * @returns {boolean}
+   */
+  function isHidingPaused() {
+    return ElementHiderRules.isPaused(ruleCache.pauseState, getSiteDomain());
+  }
+
+  /**
+   * @description Resolves the cached rules for the current URL: the user's own enabled rules whose
+   * conditions hold and whose group is on (see `ElementHiderRules.getActiveRules` and
+   * `getConditionContext`), followed by the selectors of every subscribed preset list that applies
+   * here (not switched off for the top-level site, with a scope matching this frame's URL), which
+   * collapse their elements. While hiding is paused (see `isHidingPaused`), no rule is active.
+   * @returns {{pageRules: Array<object>, activeRules: Array<{selector: string, action: string}>}}
+   *   The user's rules for the page (enabled or not), and the combined active rules.
+   */
+  function resolveCachedRules() {
+    const pageRules = getPageRules(ruleCache.selectors);
+    if (isHidingPaused()) {
+      return { pageRules, activeRules: [] };
+    }
+    const activeRules = ElementHiderRules.getActiveRules(pageRules, getConditionContext());
+    const known = new Set(activeRules.map((rule) => rule.selector));
+    const subscribed = ElementHiderSubscriptions.getActiveSelectors(
+      ruleCache.subscriptions,
+      getPageUrl(),
+      getSiteDomain()
+    );
+    for (const selector of subscribed) {
+      if (!known.has(selector)) activeRules.push({ selector, action: "collapse" });
+    }
+    return { pageRules, activeRules };
+  }
+
+  /**
+   * Running totals of the work this script does on the page, reported to the popup with the health
+   * report (`getRuleHealth`) so the cost of the rules on a busy page can be measured. Times are in
+   * milliseconds, measured with `performance.now()`.
+   * @type {{ruleApplications: number, mutationBatches: number, nodesProcessed: number, styleInjections: number, totalTime: number, maxBatchTime: number}}
+   */
+  const perfStats = {
+    ruleApplications: 0,
+    mutationBatches: 0,
+    nodesProcessed: 0,
+    styleInjections: 0,
+    totalTime: 0,
+    maxBatchTime: 0,
+  };
+
+  /**
+   * @description Adds the time elapsed since `start` to `perfStats`.
+   * @param {number} start - The `performance.now()` value taken before the work.
+   * @returns {number} The elapsed time in milliseconds.
+   */
+  function recordPerf(start) {
+    const elapsed = performance.now() - start;
+    perfStats.totalTime += elapsed;
+    return elapsed;
+  }
+
+  /**
+   * The attribute set on an element whose placeholder's "Show" button was clicked. The CSS generated
+   * for `placeholder` rules skips elements carrying it. It only exists in the live DOM, so the element
+   * is hidden again after a reload or when the page re-renders it.
+   * @type {string}
+   */
+  const REVEALED_ATTRIBUTE = "data-element-hider-revealed";
+
+  /**
+   * The tag name of placeholder hosts. A dedicated name keeps them out of the page's own selectors
+   * and lets the DOM handler recognise them.
+   * @type {string}
+   */
+  const PLACEHOLDER_TAG = "element-hider-placeholder";
+
+  /**
+   * The CSS declarations for each rule action (see `ElementHiderRules.RULE_ACTIONS`). `remove` and
+   * `placeholder` also hide the element with CSS, so it never flashes up before the DOM handler runs.
+   * @type {Object<string, string>}
+   */
+  const ACTION_STYLES = {
+    collapse: "display: none !important;",
+    blur: "filter: blur(8px) !important;",
+    dim: "opacity: 0.15 !important; transition: opacity 0.2s !important;",
+    remove: "display: none !important;",
+    placeholder: "display: none !important;",
+  };
+
+  /**
+   * The CSS declarations that replace every action's while peeking (see `Peek`): matched elements
+   * are shown, outlined.
+   * @type {string}
+   */
+  const PEEK_STYLE = "outline: 2px dashed #e60000 !important; outline-offset: -2px !important;";
+
+  /**
+   * The elements currently replaced by a placeholder, mapped to the placeholder host in front of them.
+   * @type {Map<Element, HTMLElement>}
+   */
+  const placeholders = new Map();
+
+  /**
+   * How many elements each `remove` rule has removed during this page view, by selector. The health
+   * report adds them to the live count, as a removed element would otherwise look like a miss.
+   * @type {Map<string, number>}
+   */
+  const removedCounts = new Map();
+
+  /**
+   * The document's elements the active rules hide, for the tab's status. Rebuilt when the rules are
+   * applied (`recountHiddenElements`) and extended with the matches in new content when the status
+   * is reported (`countAddedElements`), so reporting never rescans the whole page.
+   * @type {Set<Element>}
+   */
+  const hiddenElements = new Set();
+
+  /**
+   * The content added since the status was last reported, whose matches `countAddedElements` adds
+   * to `hiddenElements`.
+   * @type {Set<Element>}
+   */
+  const pendingStatusRoots = new Set();
+
+  /** @type {number} How many elements the rules hide inside shadow roots, as of `applyShadowRules`. */
+  let shadowHiddenCount = 0;
+
+  /** @type {number} How many active rules have a selector that cannot be used, as of `recountHiddenElements`. */
+  let invalidRuleCount = 0;
+
+  /**
+   * Set once a `remove` rule has removed an overlay (see `isOverlayElement`) during this page view.
+   * Overlays usually lock scrolling with `overflow: hidden` or `position: fixed` on `<html>` or
+   * `<body>`, so scrolling is forced back on (see `SCROLL_UNLOCK_CSS`).
+   * @type {boolean}
+   */
+  let scrollRestored = false;
+
+  /**
+   * Whether an `unblock` rule (see `Unblocker`) is active on the page. Such rules hide an overlay
+   * whose page script locks scrolling again on every visit, so scrolling is forced back on for as
+   * long as one applies. Undoing the rule gives the page its own scrolling back.
+   * @type {boolean}
+   */
+  let scrollUnlockedByRules = false;
+
+  /**
+   * The CSS that forces scrolling back on once an overlay is gone. The position of `<body>` is only
+   * reset where the page pinned it with an inline `position: fixed`, the usual script-set scroll lock,
+   * so layouts that position the body on purpose are left alone.
+   * @type {string}
+   */
+  const SCROLL_UNLOCK_CSS = [
+    "html, body { overflow: auto !important; }",
+    'body[style*="position: fixed"], body[style*="position:fixed"] { position: static !important; }',
+  ].join("\n");
+
+  /**
+   * The attribute marking elements matched by procedural (text-based) rules. It holds the key of every
+   * such rule that matched the element, space-separated, so each rule can be turned into the CSS
+   * selector `[data-element-hider-rule~="key"]` and go through the same actions as CSS rules.
+   * @type {string}
+   */
+  const PROCEDURAL_ATTRIBUTE = "data-element-hider-rule";
+
+  /**
+   * The active procedural rules of the page, parsed once when the rule set changes.
+   * @type {Array<{key: string, selector: string, action: string, parsed: object}>}
+   */
+  let proceduralRules = [];
+
+  /**
+   * @description Derives a short, stable key from a procedural selector (a 32-bit FNV-1a hash).
+   * @param {string} selector - The selector.
+   * @returns {string} The key, e.g. `p1a2b3c4d`.
+   */
+  function getProceduralKey(selector) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < selector.length; i++) {
+      hash ^= selector.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `p${(hash >>> 0).toString(16)}`;
+  }
+
+  /**
+   * @description Marks the elements matched by the active procedural rules. Without a `root`, the whole
+   * document is scanned; with one, only the matches that node can have produced (see
+   * `ElementHiderProcedural.queryWithin`).
+   * @param {?Element} [root=null] - A newly added element, or `null` for a full scan.
+   * @returns {Element[]} The elements that were newly marked.
+   */
+  function markProceduralMatches(root = null) {
+    const marked = [];
+    for (const rule of proceduralRules) {
+      const matches = root
+        ? ElementHiderProcedural.queryWithin(rule.parsed, root)
+        : ElementHiderProcedural.query(rule.parsed);
+      for (const el of matches) {
+        if (addProceduralMark(el, rule.key)) marked.push(el);
+      }
+    }
+    return marked;
+  }
+
+  /**
+   * @description Adds a procedural rule's key to an element's `PROCEDURAL_ATTRIBUTE`.
+   * @param {Element} el - The matched element.
+   * @param {string} key - The rule's key, from `getProceduralKey`.
+   * @returns {boolean} True if the element was not marked with this key yet.
+   */
+  function addProceduralMark(el, key) {
+    const keys = (el.getAttribute(PROCEDURAL_ATTRIBUTE) || "").split(" ");
+    if (keys.includes(key)) return false;
+    el.setAttribute(PROCEDURAL_ATTRIBUTE, [...keys, key].join(" ").trim());
+    return true;
+  }
+
+  /**
+   * @description Replaces the active procedural rules. When the set of selectors changed, every mark
+   * is cleared and the document rescanned; otherwise the existing marks stay valid and only new nodes
+   * are checked, by `processAddedNodes`. Rules with a malformed selector are skipped (the popup's health
+   * report shows them as invalid).
+   * @param {Array<{selector: string, action: string}>} rules - The active procedural rules.
+   * @returns {void}
+   */
+  function setProceduralRules(rules) {
+    const previousKeys = proceduralRules.map((rule) => rule.key).join(" ");
+    proceduralRules = rules.flatMap(({ selector, action }) => {
+      try {
+        const parsed = ElementHiderProcedural.parse(selector);
+        return [{ key: getProceduralKey(selector), selector, action, parsed }];
+      } catch (e) {
+        return [];
+      }
+    });
+    if (proceduralRules.map((rule) => rule.key).join(" ") === previousKeys) return;
+    document
+      .querySelectorAll(`[${PROCEDURAL_ATTRIBUTE}]`)
+      .forEach((el) => el.removeAttribute(PROCEDURAL_ATTRIBUTE));
+    markProceduralMatches();
+  }
+
+  /**
+   * The active rules whose action needs the DOM handler (`remove` and `placeholder`), with procedural
+   * rules already turned into their attribute selector. Kept by `updateHiddenElements` so that
+   * `processAddedNodes` only has to look at new content.
+   * @type {Array<{selector: string, action: string}>}
+   */
+  let domActionRules = [];
+
+  /**
+   * @description Collects the elements a `MutationObserver` reported as added. Text nodes count as
+   * their parent element; placeholders are left out.
+   * @param {MutationRecord[]} mutations - The observed mutations.
+   * @returns {Set<Element>}
+   */
+  function getAddedRoots(mutations) {
+    const roots = new Set();
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (el?.isConnected && el.localName !== PLACEHOLDER_TAG) roots.add(el);
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * @description Processes the nodes a `MutationObserver` reported as added, for the rules that need
+   * JavaScript: procedural rules are evaluated around each node, then `remove` and `placeholder` rules
+   * are applied within the nodes and the newly marked elements. CSS rules need nothing here, since the
+   * browser applies the stylesheet to new content by itself. Text nodes are checked through their
+   * parent element, since new text can complete a container's match. The elements newly marked by
+   * procedural rules are added to `roots`.
+   * @param {Set<Element>} roots - The added elements, from `getAddedRoots`.
+   * @returns {void}
    */
-  function getCurrentDomain() {
-    if (window.location.protocol === "file:") {
-      return "file://";
+  function processAddedNodes(roots) {
+    if (proceduralRules.length === 0 && domActionRules.length === 0) return;
+    if (roots.size === 0) return;
+    perfStats.nodesProcessed += roots.size;
+    for (const root of [...roots]) {
+      markProceduralMatches(root).forEach((el) => roots.add(el));
+    }
+    if (domActionRules.length > 0) {
+      const wasScrollRestored = scrollRestored;
+      applyDomActions(domActionRules, [...roots]);
+      if (scrollRestored !== wasScrollRestored) StyleInjector.setCss(buildHidingCss(appliedRules));
     }
-    return window.location.hostname;
   }
 
   /**
-   * A session-specific history stack for the element picker tool.
-   * This acts as a Last-In, First-Out (LIFO) stack, tracking only the CSS selectors
-   * added via the hotkey-activated Element Picker within the current page session.
-   * It is exclusively used by the `revertLastAction` feature (`Ctrl+Shift+Z`).
-   *
-   * IMPORTANT: This history is volatile. It is cleared whenever the page is reloaded or
-   * when a manual update is made from the popup UI, as that action is considered a new
-   * source of truth for the page's selectors.
-   * @type {Array<string>}
+   * The active rules with a shadow-crossing selector (see `shadow.js`), split into their parts. The
+   * last part is parsed when it is procedural.
+   * @type {Array<{selector: string, action: string, hosts: string[], inner: string, parsed: ?object, key: string}>}
+   */
+  let shadowRules = [];
+
+  /**
+   * @description Replaces the active shadow-crossing rules. Rules with a malformed selector are skipped
+   * (the popup's health report shows them as invalid).
+   * @param {Array<{selector: string, action: string}>} rules - The active shadow-crossing rules.
+   * @returns {void}
    */
-  let pickerActionHistory = [];
+  function setShadowRules(rules) {
+    shadowRules = rules.flatMap(({ selector, action }) => {
+      try {
+        const { hosts, inner } = ElementHiderShadow.split(selector);
+        const parsed = ElementHiderProcedural.isProcedural(inner)
+          ? ElementHiderProcedural.parse(inner)
+          : null;
+        return [{ selector, action, hosts, inner, parsed, key: getProceduralKey(selector) }];
+      } catch (e) {
+        return [];
+      }
+    });
+  }
 
   /**
-   * Injects or updates a `<style>` tag in the document's `<head>` to hide elements.
-   * This function uses a "nuke and pave" approach: it completely removes any pre-existing
-   * style tag managed by this extension before creating a new one. This ensures maximum
-   * compatibility with modern frameworks (like React or Vue) that might ignore simple
-   * `textContent` updates to a "zombie" style tag that they don't control.
-   * @param {string[]} selectors - An array of CSS selectors for elements to be hidden.
+   * @description Applies the shadow-crossing rules. The document's stylesheet does not reach into
+   * shadow trees, so every open shadow root a rule leads to gets its own stylesheet (see
+   * `StyleInjector.setRootCss`) and DOM actions, and roots no rule reaches any more are cleaned up.
+   * A procedural last part is resolved to marked elements, as in the document. Shadow roots are often
+   * attached after their host was inserted, so this also runs (debounced) after DOM changes.
    * @returns {void}
    */
-  function updateHiddenElements(selectors) {
-    let style = document.getElementById("element-hider-style");
-    if (style) {
-      style.remove();
+  function applyShadowRules() {
+    const rulesByRoot = new Map();
+    for (const rule of shadowRules) {
+      for (const shadowRoot of ElementHiderShadow.resolveRoots(rule.hosts)) {
+        let selector = rule.inner;
+        if (rule.parsed) {
+          ElementHiderProcedural.query(rule.parsed, shadowRoot).forEach((el) =>
+            addProceduralMark(el, rule.key)
+          );
+          selector = `[${PROCEDURAL_ATTRIBUTE}~="${rule.key}"]`;
+        }
+        if (!rulesByRoot.has(shadowRoot)) rulesByRoot.set(shadowRoot, []);
+        rulesByRoot.get(shadowRoot).push({ selector, action: rule.action, ruleSelector: rule.selector });
+      }
     }
-    if (!selectors || selectors.length === 0) {
-      return;
+    for (const shadowRoot of StyleInjector.getStyledRoots()) {
+      if (!rulesByRoot.has(shadowRoot)) {
+        applyDomActions([], null, shadowRoot);
+        StyleInjector.setRootCss(shadowRoot, "");
+      }
+    }
+    const wasScrollRestored = scrollRestored;
+    shadowHiddenCount = 0;
+    for (const [shadowRoot, rules] of rulesByRoot) {
+      applyDomActions(rules, null, shadowRoot);
+      StyleInjector.setRootCss(shadowRoot, buildHidingCss(rules, false));
+      for (const { selector } of rules) {
+        shadowHiddenCount += queryRuleTargets(selector, null, shadowRoot).length;
+      }
     }
-    style = document.createElement("style");
-    style.id = "element-hider-style";
-    const cssRules = selectors
-      .map((selector) => `${selector} { display: none !important; }`)
-      .join("\n");
-    style.textContent = cssRules;
-    document.head.appendChild(style);
+    if (scrollRestored !== wasScrollRestored) StyleInjector.setCss(buildHidingCss(appliedRules));
   }
 
+  /** @type {?number} Pending timeout of the debounced `applyShadowRules` after DOM changes. */
+  let shadowRescanTimeout = null;
+
   /**
-   * A self-contained module encapsulating all logic for the Element Picker feature.
-   * It follows the IIFE module pattern to create a private scope for its state
-   * (`isPickerModeActive`, `highlightElement`, etc.) and internal functions, exposing
-   * only a clean public API (`activate`, `deactivate`, `isActive`).
-   * @returns {{activate: function, deactivate: function, isActive: function}} The public API for controlling the picker.
+   * @description Schedules `applyShadowRules` after a quiet period, when shadow-crossing rules are active.
+   * @returns {void}
    */
-  const Picker = (function () {
-    /** @private @type {boolean} The current activation state of the picker. */
-    let isPickerModeActive = false;
-    /** @private @type {?Element} The DOM element currently highlighted by the picker. */
-    let highlightElement = null;
-    /** @private @type {Element[]} A LIFO stack to track upward DOM traversal for bidirectional scrolling. */
-    let traversalHistory = [];
+  function scheduleShadowRescan() {
+    if (shadowRules.length === 0) return;
+    clearTimeout(shadowRescanTimeout);
+    shadowRescanTimeout = setTimeout(() => {
+      if (!isContextValid()) return;
+      const start = performance.now();
+      applyShadowRules();
+      recordPerf(start);
+    }, 250);
+  }
+
+  /**
+   * @description Finds the elements a rule's selector matches, CSS, procedural or shadow-crossing.
+   * @param {string} selector - The rule's selector.
+   * @param {Document} [doc=document] - The document to search, e.g. that of a same-origin frame.
+   * @returns {Element[]}
+   * @throws {Error} If the selector is invalid.
+   */
+  function findRuleMatches(selector, doc = document) {
+    if (ElementHiderShadow.isShadowSelector(selector)) {
+      const error = ElementHiderShadow.validate(selector);
+      if (error) throw new Error(error);
+      return ElementHiderShadow.query(selector, doc);
+    }
+    if (ElementHiderProcedural.isProcedural(selector)) {
+      return ElementHiderProcedural.query(ElementHiderProcedural.parse(selector), doc);
+    }
+    return Array.from(doc.querySelectorAll(selector));
+  }
+
+  /**
+   * @description Finds the elements matching a selector, treating invalid selectors as matching nothing.
+   * Placeholder hosts are never returned, so a broad selector cannot wrap a placeholder in another one.
+   * @param {string} selector - The CSS selector.
+   * @param {?Element[]} [roots=null] - Limits the search to these elements and their descendants;
+   *   `null` searches the whole `tree`.
+   * @param {Document|ShadowRoot} [tree=document] - The tree searched when there are no `roots`.
+   * @returns {Element[]}
+   */
+  function queryRuleTargets(selector, roots = null, tree = document) {
+    try {
+      let targets;
+      if (roots) {
+        const found = new Set();
+        for (const root of roots) {
+          if (!root.isConnected) continue;
+          if (root.matches(selector)) found.add(root);
+          root.querySelectorAll(selector).forEach((el) => found.add(el));
+        }
+        targets = [...found];
+      } else {
+        targets = Array.from(tree.querySelectorAll(selector));
+      }
+      return targets.filter((el) => el.localName !== PLACEHOLDER_TAG);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * @description Creates the click-to-reveal placeholder shown in front of a hidden element. Revealing
+   * marks the element with `REVEALED_ATTRIBUTE`, which only affects the current page view.
+   * @param {Element} element - The hidden element.
+   * @returns {HTMLElement} The placeholder host, not yet inserted.
+   */
+  function createPlaceholder(element) {
+    const host = document.createElement(PLACEHOLDER_TAG);
+    // Inline !important declarations win over the page's stylesheets, including the rule hiding `element`.
+    host.style.cssText =
+      "all: initial !important; display: block !important; margin: 4px 0 !important;";
+    const root = host.attachShadow({ mode: "closed" });
+    root.innerHTML = `
+      <style>
+        .placeholder { font: 12px/1.4 system-ui, sans-serif; color: #666; background: #f5f5f5;
+          border: 1px dashed #bbb; border-radius: 4px; padding: 4px 8px; }
+        button { font: inherit; color: #e60000; background: none; border: none; padding: 0;
+          cursor: pointer; text-decoration: underline; }
+      </style>
+      <div class="placeholder">Hidden by Element Hider — <button type="button">show</button></div>`;
+    root.querySelector("button").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      element.setAttribute(REVEALED_ATTRIBUTE, "");
+      placeholders.delete(element);
+      host.remove();
+    });
+    return host;
+  }
+
+  /**
+   * @description Tells whether an element floats over the page, as the overlays that lock scrolling
+   * do. Must be called while the element is still in the page.
+   * @param {Element} el - The element.
+   * @returns {boolean}
+   */
+  function isOverlayElement(el) {
+    const { position } = getComputedStyle(el);
+    return position === "fixed" || position === "sticky";
+  }
+
+  /**
+   * @description The DOM half of the hiding actions, for what CSS alone cannot do: removes the elements
+   * of `remove` rules (restoring scrolling if one was an overlay, see `scrollRestored`), and inserts
+   * (or cleans up) the placeholders of `placeholder` rules. Safe to call repeatedly; placeholders are
+   * only added for newly matched elements. With `roots`, only new content is searched and existing
+   * placeholders are left alone, except for those whose element is gone.
+   * @param {Array<{selector: string, action: string, ruleSelector?: string}>} rules - The active rules
+   *   of the tree. `ruleSelector` is the selector of the stored rule, where `selector` was derived from it.
+   * @param {?Element[]} [roots=null] - The added elements to search, or `null` for the whole `tree`.
+   * @param {Document|ShadowRoot} [tree=document] - The tree the rules apply to.
+   * @returns {void}
+   */
+  function applyDomActions(rules, roots = null, tree = document) {
+    for (const { selector, action, ruleSelector } of rules) {
+      if (action !== "remove") continue;
+      const targets = queryRuleTargets(selector, roots, tree);
+      if (targets.length === 0) continue;
+      if (targets.some(isOverlayElement)) scrollRestored = true;
+      targets.forEach((el) => el.remove());
+      const counted = ruleSelector || selector;
+      removedCounts.set(counted, (removedCounts.get(counted) || 0) + targets.length);
+    }
+
+    const wanted = new Set(
+      rules
+        .filter((rule) => rule.action === "placeholder")
+        .flatMap((rule) => queryRuleTargets(rule.selector, roots, tree))
+        .filter((el) => !el.hasAttribute(REVEALED_ATTRIBUTE))
+    );
+    for (const [element, host] of placeholders) {
+      const isStale = !roots && element.getRootNode() === tree && !wanted.has(element);
+      if (isStale || !element.isConnected) {
+        host.remove();
+        placeholders.delete(element);
+      }
+    }
+    for (const element of wanted) {
+      if (placeholders.has(element) || !element.parentNode) continue;
+      const host = createPlaceholder(element);
+      element.before(host);
+      placeholders.set(element, host);
+    }
+  }
+
+  /**
+   * Whether each CSS selector checked by `isCssSelectorUsable` so far can go into a stylesheet.
+   * @type {Map<string, boolean>}
+   */
+  const usableCssSelectors = new Map();
+
+  /**
+   * @description Checks a CSS selector before it is written into a stylesheet. Rules from preset lists
+   * and other devices were stored by the background service worker, which has no DOM to parse them
+   * with; a selector that does not parse, or that closes its CSS rule early, must not reach the page's
+   * stylesheet. The results are cached.
+   * @param {string} selector - A CSS selector.
+   * @returns {boolean}
+   */
+  function isCssSelectorUsable(selector) {
+    let usable = usableCssSelectors.get(selector);
+    if (usable === undefined) {
+      usable = ElementHiderRules.isStylesheetSafe(selector);
+      try {
+        if (usable) document.createDocumentFragment().querySelector(selector);
+      } catch (e) {
+        usable = false;
+      }
+      usableCssSelectors.set(selector, usable);
+    }
+    return usable;
+  }
+
+  /**
+   * @description Generates the stylesheet for the active rules, one CSS rule per selector so that a
+   * single invalid selector cannot disable the others; selectors that cannot be used in a stylesheet
+   * are left out (see `isCssSelectorUsable`). While peeking, matches are outlined instead.
+   * @param {Array<{selector: string, action: string}>} rules - The active rules of the page.
+   * @param {boolean} [forDocument=true] - Whether the stylesheet is the document's; only that one
+   *   restores scrolling.
+   * @returns {string} The CSS text.
+   */
+  function buildHidingCss(rules, forDocument = true) {
+    const css = rules.filter(({ selector }) => isCssSelectorUsable(selector)).map(({ selector, action }) => {
+      if (Peek.isActive()) return `${selector} { ${PEEK_STYLE} }`;
+      const declarations = ACTION_STYLES[action] || ACTION_STYLES.collapse;
+      if (action === "placeholder") {
+        return `:is(${selector}):not([${REVEALED_ATTRIBUTE}]) { ${declarations} }`;
+      }
+      if (action === "dim") {
+        return `${selector} { ${declarations} }\n:is(${selector}):hover { opacity: 1 !important; }`;
+      }
+      return `${selector} { ${declarations} }`;
+    });
+    if ((scrollRestored || scrollUnlockedByRules) && forDocument) {
+      css.push(SCROLL_UNLOCK_CSS);
+    }
+    return css.join("\n");
+  }
+
+  /**
+   * The rules behind the current stylesheet, as passed to `buildHidingCss`.
+   * @type {Array<{selector: string, action: string}>}
+   */
+  let appliedRules = [];
+
+  /**
+   * A self-contained module that keeps the generated CSS applied to the page, in layers, so that hiding
+   * survives strict Content Security Policies, frameworks that replace `<head>` and pages that remove
+   * nodes they don't know:
+   * 1. `background.js` inserts the CSS with `chrome.scripting.insertCSS` as a user stylesheet, which the
+   *    page can neither see nor remove and which CSP does not apply to. This needs host access to the
+   *    page (e.g. through `activeTab` after the popup or a hotkey was used), so it may be refused.
+   * 2. Locally, a constructed stylesheet in `document.adoptedStyleSheets`. It is not a DOM node, needs no
+   *    `<head>` and is not subject to CSP's `style-src`.
+   * 3. Where constructed stylesheets are unavailable, a `<style>` tag.
+   * The local layer is always kept, and applied synchronously, so nothing flashes up while the message
+   * to the background is in flight or when it fails. `verify` re-applies it if the page dropped it.
+   * Shadow-crossing rules get a stylesheet inside each shadow root they reach (`setRootCss`).
+   * @returns {{setCss: function(string): void, setRootCss: function(ShadowRoot, string): void, getStyledRoots: function(): ShadowRoot[], verify: function(): void}}
+   *   The public API.
+   */
+  const StyleInjector = (function () {
+    /** @private @type {string} The id of the fallback `<style>` tag. */
+    const STYLE_ID = "element-hider-style";
+
+    /** @private @type {string} The CSS to apply; empty when no rule applies. */
+    let css = "";
+
+    /** @private @type {boolean} Whether constructed stylesheets can be used (layer 2). */
+    let canAdopt =
+      "adoptedStyleSheets" in Document.prototype && "replaceSync" in CSSStyleSheet.prototype;
+
+    /** @private @type {?CSSStyleSheet} The constructed stylesheet of layer 2. */
+    let sheet = null;
+
+    /** @private @type {?HTMLStyleElement} The `<style>` tag of layer 3. */
+    let styleNode = null;
+
+    /** @private @type {string} The CSS that `background.js` reported as inserted (layer 1). */
+    let injectedCss = "";
+
+    /** @private @type {Promise<void>} Serializes the requests to the background, so they apply in order. */
+    let backgroundQueue = Promise.resolve();
+
+    /**
+     * @private
+     * @type {Map<ShadowRoot, {css: string, sheet: ?CSSStyleSheet, styleNode: ?HTMLStyleElement}>}
+     * The stylesheets of shadow-crossing rules, per shadow root. Neither the document's stylesheets nor
+     * `insertCSS` reach into shadow trees, so each root gets its own, with the same local layers.
+     */
+    const rootStyles = new Map();
+
+    /**
+     * @private
+     * @description Applies `css` with a constructed stylesheet, adopting it again if the page replaced
+     * `document.adoptedStyleSheets`. Falls back to the `<style>` tag for good if this throws.
+     * @returns {boolean} Whether the stylesheet is in place.
+     */
+    function verifyAdoptedSheet() {
+      try {
+        if (!sheet) {
+          sheet = new CSSStyleSheet();
+          sheet.replaceSync(css);
+        }
+        if (!document.adoptedStyleSheets.includes(sheet)) {
+          document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+          perfStats.styleInjections++;
+        }
+        return true;
+      } catch (e) {
+        logger.warn("Constructed stylesheets are unavailable, using a <style> tag.", e);
+        canAdopt = false;
+        sheet = null;
+        return false;
+      }
+    }
+
+    /**
+     * @private
+     * @description Applies `css` with a `<style>` tag. An existing tag is only re-inserted if the page
+     * removed it or moved it out of `<head>` (or out of `<html>`, before `<head>` exists).
+     * @returns {void}
+     */
+    function verifyStyleNode() {
+      const parent = document.head || document.documentElement;
+      if (!parent || (styleNode && styleNode.parentNode === parent)) return;
+      if (!styleNode) {
+        // A tag left behind by a previous instance of this script (after an extension update).
+        document.getElementById(STYLE_ID)?.remove();
+        styleNode = document.createElement("style");
+        styleNode.id = STYLE_ID;
+        styleNode.textContent = css;
+      }
+      parent.appendChild(styleNode);
+      perfStats.styleInjections++;
+    }
+
+    /**
+     * @private
+     * @description Applies a shadow root's CSS, re-adopting or re-inserting it if the component dropped it.
+     * @param {ShadowRoot} shadowRoot - The shadow root.
+     * @param {{css: string, sheet: ?CSSStyleSheet, styleNode: ?HTMLStyleElement}} entry - Its entry in `rootStyles`.
+     * @returns {void}
+     */
+    function verifyRootStyle(shadowRoot, entry) {
+      if (canAdopt) {
+        try {
+          if (!entry.sheet) {
+            entry.sheet = new CSSStyleSheet();
+            entry.sheet.replaceSync(entry.css);
+          }
+          if (!shadowRoot.adoptedStyleSheets.includes(entry.sheet)) {
+            shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, entry.sheet];
+            perfStats.styleInjections++;
+          }
+          return;
+        } catch (e) {
+          entry.sheet = null;
+        }
+      }
+      if (entry.styleNode?.parentNode === shadowRoot) return;
+      if (!entry.styleNode) {
+        entry.styleNode = document.createElement("style");
+        entry.styleNode.textContent = entry.css;
+      }
+      shadowRoot.appendChild(entry.styleNode);
+      perfStats.styleInjections++;
+    }
+
+    /**
+     * @public
+     * @description Makes sure the local layer is in place, in the document and in every styled shadow
+     * root. Cheap when nothing changed, so it runs after every batch of DOM changes. Shadow roots whose
+     * host left the document are forgotten.
+     * @returns {void}
+     */
+    function verify() {
+      for (const [shadowRoot, entry] of rootStyles) {
+        if (shadowRoot.host.isConnected) {
+          verifyRootStyle(shadowRoot, entry);
+        } else {
+          rootStyles.delete(shadowRoot);
+        }
+      }
+      if (!css) return;
+      if (canAdopt && verifyAdoptedSheet()) return;
+      verifyStyleNode();
+    }
+
+    /**
+     * @public
+     * @description Replaces the CSS applied inside one shadow root.
+     * @param {ShadowRoot} shadowRoot - The shadow root.
+     * @param {string} newCss - The CSS text, or an empty string to remove it.
+     * @returns {void}
+     */
+    function setRootCss(shadowRoot, newCss) {
+      const entry = rootStyles.get(shadowRoot);
+      if (entry?.css === newCss) return;
+      if (entry) {
+        if (entry.sheet) {
+          shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.filter((s) => s !== entry.sheet);
+        }
+        entry.styleNode?.remove();
+        rootStyles.delete(shadowRoot);
+      }
+      if (!newCss) return;
+      const created = { css: newCss, sheet: null, styleNode: null };
+      rootStyles.set(shadowRoot, created);
+      verifyRootStyle(shadowRoot, created);
+    }
+
+    /**
+     * @public
+     * @description Lists the shadow roots that currently carry CSS.
+     * @returns {ShadowRoot[]}
+     */
+    function getStyledRoots() {
+      return [...rootStyles.keys()];
+    }
+
+    /**
+     * @private
+     * @description Asks `background.js` to replace the CSS it inserted into this document with `css`.
+     * Failures are expected where the extension lacks host access and only leave the local layer.
+     * @returns {void}
+     */
+    function syncBackground() {
+      const next = css;
+      backgroundQueue = backgroundQueue
+        .then(async () => {
+          if (next === injectedCss || !isContextValid()) return;
+          const response = await chrome.runtime.sendMessage({
+            action: "replaceInjectedCss",
+            previous: injectedCss,
+            css: next,
+          });
+          injectedCss = response?.injected ? next : "";
+          if (response?.error) logger.log("insertCSS unavailable:", response.error);
+        })
+        .catch((error) => {
+          if (isContextValid()) logger.warn("Could not reach the background script.", error);
+        });
+    }
+
+    /**
+     * @public
+     * @description Replaces the CSS in every layer. When the CSS changed, the `<style>` tag uses a "nuke
+     * and pave" approach: it is removed and a new one created rather than having its `textContent`
+     * updated, for compatibility with frameworks (like React or Vue) that might ignore such updates to
+     * a "zombie" style tag they don't control. A constructed stylesheet is simply replaced in place.
+     * @param {string} newCss - The CSS text, from `buildHidingCss`.
+     * @returns {void}
+     */
+    function setCss(newCss) {
+      if (newCss === css) return;
+      css = newCss;
+      if (sheet) sheet.replaceSync(css);
+      styleNode?.remove();
+      styleNode = null;
+      verify();
+      syncBackground();
+    }
+
+    return { setCss, setRootCss, getStyledRoots, verify };
+  })();
+
+  /**
+   * Applies each active rule's action: generates the stylesheet (see `StyleInjector`) and runs the
+   * DOM handler for the actions that need one. Procedural rules are resolved to marked elements first
+   * (see `setProceduralRules`), and shadow-crossing rules are applied inside their shadow roots (see
+   * `applyShadowRules`). Later DOM changes are handled incrementally by `processAddedNodes`.
+   * @param {Array<{selector: string, action: string}>} activeRules - The page's active rules, from
+   *   `resolveCachedRules`.
+   * @returns {void}
+   */
+  function updateHiddenElements(activeRules) {
+    const start = performance.now();
+    const isShadow = (rule) => ElementHiderShadow.isShadowSelector(rule.selector);
+    const documentRules = activeRules.filter((rule) => !isShadow(rule));
+    // Procedural rules are applied through the attribute their matches are marked with.
+    setProceduralRules(
+      documentRules.filter((rule) => ElementHiderProcedural.isProcedural(rule.selector))
+    );
+    appliedRules = [
+      ...documentRules.filter((rule) => !ElementHiderProcedural.isProcedural(rule.selector)),
+      ...proceduralRules.map((rule) => ({
+        selector: `[${PROCEDURAL_ATTRIBUTE}~="${rule.key}"]`,
+        action: rule.action,
+        ruleSelector: rule.selector,
+      })),
+    ];
+    domActionRules = appliedRules.filter(
+      (rule) => rule.action === "remove" || rule.action === "placeholder"
+    );
+    applyDomActions(appliedRules);
+    StyleInjector.setCss(buildHidingCss(appliedRules));
+    setShadowRules(activeRules.filter(isShadow));
+    applyShadowRules();
+    recountHiddenElements(activeRules);
+    perfStats.ruleApplications++;
+    recordPerf(start);
+    scheduleStatusReport(true);
+  }
+
+  /**
+   * @description Applies the cached rules for the current URL. Used whenever the cache or the URL
+   * changed; no storage access is involved.
+   * @returns {void}
+   */
+  function applyCachedRules() {
+    lastEvaluatedUrl = window.location.href;
+    const { pageRules, activeRules } = resolveCachedRules();
+    const active = new Set(activeRules.map((rule) => rule.selector));
+    scrollUnlockedByRules = pageRules.some((rule) => rule.source === "unblock" && active.has(rule.selector));
+    updateHiddenElements(activeRules);
+  }
+
+  /**
+   * A self-contained module for peek mode, which briefly shows what the rules hide: while it is active,
+   * `buildHidingCss` outlines the matched elements instead of hiding them, and a label with the rule's
+   * name (or selector) is drawn over each of them. Peeking is never stored; it ends when toggled
+   * again or after `PEEK_DURATION`. Elements taken out of the page by `remove` rules cannot be shown.
+   * @returns {{toggle: function, isActive: function, scheduleRefresh: function}} The public API.
+   */
+  const Peek = (function () {
+    /** @private @type {boolean} Whether peek mode is on. */
+    let active = false;
+    /** @private @type {?HTMLElement} The host of the label overlay. */
+    let host = null;
+    /** @private @type {?ShadowRoot} The closed shadow root holding the labels. */
+    let root = null;
+    /** @private @type {Array<{element: Element, label: HTMLElement}>} The labelled elements. */
+    let labelled = [];
+    /** @private @type {?number} Pending timeout ending peek mode. */
+    let endTimeout = null;
+    /** @private @type {?number} Pending timeout of the debounced label refresh. */
+    let refreshTimeout = null;
+    /** @private @type {?number} Pending animation frame repositioning the labels. */
+    let positionFrame = null;
+
+    /** @private @type {number} How long peek mode lasts, in milliseconds. */
+    const PEEK_DURATION = 30000;
+    /** @private @type {number} The maximum number of labels drawn. */
+    const LABEL_LIMIT = 200;
+    /** @private @type {string} The markup of the label overlay. */
+    const TEMPLATE = `
+      <style>
+        .label {
+          position: fixed; max-width: 240px; padding: 1px 4px; border-radius: 2px;
+          font: 11px/1.4 Arial, sans-serif; color: #ffffff; background: #e60000;
+          white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+        }
+      </style>`;
+
+    /**
+     * @private
+     * @description Moves every label to the top-left corner of its element, hiding the labels of
+     * elements that are not rendered. Batched into one animation frame.
+     */
+    function positionLabels() {
+      if (positionFrame) return;
+      positionFrame = requestAnimationFrame(() => {
+        positionFrame = null;
+        for (const { element, label } of labelled) {
+          const rect = element.getBoundingClientRect();
+          const visible = element.isConnected && (rect.width > 0 || rect.height > 0);
+          label.style.display = visible ? "block" : "none";
+          label.style.left = `${Math.max(0, rect.left)}px`;
+          label.style.top = `${Math.max(0, rect.top)}px`;
+        }
+      });
+    }
+
+    /**
+     * @private
+     * @description Labels the elements the active rules match, with the rule's label or selector.
+     */
+    function refreshLabels() {
+      root.querySelectorAll(".label").forEach((label) => label.remove());
+      labelled = [];
+      const { pageRules, activeRules } = resolveCachedRules();
+      const names = new Map();
+      for (const rule of pageRules) {
+        if (rule.label && !names.has(rule.selector)) names.set(rule.selector, rule.label);
+      }
+      for (const { selector } of activeRules) {
+        let matches;
+        try {
+          matches = findRuleMatches(selector);
+        } catch (e) {
+          continue;
+        }
+        for (const element of matches) {
+          if (labelled.length >= LABEL_LIMIT) break;
+          const label = document.createElement("div");
+          label.className = "label";
+          label.textContent = names.get(selector) || selector;
+          root.appendChild(label);
+          labelled.push({ element, label });
+        }
+      }
+      positionLabels();
+    }
+
+    /**
+     * @public
+     * @description Refreshes the labels shortly after DOM changes while peeking.
+     */
+    function scheduleRefresh() {
+      clearTimeout(refreshTimeout);
+      refreshTimeout = setTimeout(() => {
+        if (active && isContextValid()) refreshLabels();
+      }, 250);
+    }
+
+    /**
+     * @private
+     * @description Turns peek mode on: re-applies the rules as outlines and draws the labels.
+     */
+    function start() {
+      active = true;
+      applyCachedRules();
+      ({ host, root } = createOverlayHost(
+        "element-hider-peek",
+        "inset: 0; pointer-events: none;",
+        TEMPLATE
+      ));
+      document.documentElement.appendChild(host);
+      refreshLabels();
+      window.addEventListener("scroll", positionLabels, { capture: true, passive: true });
+      window.addEventListener("resize", positionLabels, { passive: true });
+      endTimeout = setTimeout(stop, PEEK_DURATION);
+      logger.log("Peek mode ON.");
+    }
+
+    /**
+     * @private
+     * @description Turns peek mode off and hides the matched elements again.
+     */
+    function stop() {
+      active = false;
+      clearTimeout(endTimeout);
+      clearTimeout(refreshTimeout);
+      cancelAnimationFrame(positionFrame);
+      positionFrame = null;
+      window.removeEventListener("scroll", positionLabels, { capture: true });
+      window.removeEventListener("resize", positionLabels);
+      host?.remove();
+      host = null;
+      root = null;
+      labelled = [];
+      if (isContextValid()) applyCachedRules();
+      logger.log("Peek mode OFF.");
+    }
+
+    /**
+     * @public
+     * @description Turns peek mode on or off.
+     * @returns {boolean} Whether peek mode is now on.
+     */
+    function toggle() {
+      active ? stop() : start();
+      return active;
+    }
+
+    return { toggle, scheduleRefresh, isActive: () => active };
+  })();
+
+  /**
+   * A self-contained module that unblocks a page: it finds what keeps the page from being read
+   * (modal overlays, cookie walls, full-screen sign-up prompts), hides it through ordinary rules
+   * with the `unblock` source, and restores scrolling. A blocker is the outermost `position: fixed`
+   * or `sticky` element with a z-index of at least `MIN_Z_INDEX` that covers
+   * `MIN_VIEWPORT_COVERAGE` of the viewport and lies over page content at one of the
+   * `SAMPLE_POINTS`; whatever is stacked above it there (the dialog on top of its backdrop) goes
+   * with it. Requiring content underneath keeps the fixed full-window layout of web apps from
+   * counting as an overlay. The rules are saved as one history entry, so a single undo brings
+   * everything back. Runs on demand (popup, context menu) and, on the sites switched to automatic
+   * unblocking (see `ElementHiderRules.setAutoUnblock`), after every page load.
+   * @returns {{unblock: function, scheduleAutomatic: function}} The public API.
+   */
+  const Unblocker = (function () {
+    /** @private @type {number} The lowest z-index counted as an overlay's. */
+    const MIN_Z_INDEX = 100;
+    /** @private @type {number} The share of the viewport a blocker covers at least. */
+    const MIN_VIEWPORT_COVERAGE = 0.8;
+    /** @private @type {Array<[number, number]>} Where the viewport is probed, as fractions of its size. */
+    const SAMPLE_POINTS = [[0.5, 0.5], [0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]];
+    /**
+     * @private
+     * @type {number[]} When automatic unblocking looks for blockers, in milliseconds after the page
+     * was parsed. Cookie walls and sign-up prompts are often shown a moment after loading.
+     */
+    const AUTOMATIC_DELAYS = [1000, 4000];
+
+    /**
+     * @private
+     * @description Finds the overlay layer an element belongs to: its outermost fixed or sticky
+     * ancestor (or itself) with a high z-index. The extension's own overlays are never one.
+     * @param {Element} el - An element at a probed point.
+     * @returns {?Element} The layer, or `null` if the element is part of the page's normal content.
+     */
+    function getOverlayLayer(el) {
+      let layer = null;
+      for (let node = el; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+        if (node.id.startsWith("element-hider-") || node.localName === PLACEHOLDER_TAG) return null;
+        const style = getComputedStyle(node);
+        if ((style.position === "fixed" || style.position === "sticky") && parseInt(style.zIndex, 10) >= MIN_Z_INDEX) {
+          layer = node;
+        }
+      }
+      return layer;
+    }
+
+    /**
+     * @private
+     * @description Tells whether an element covers most of the viewport.
+     * @param {Element} el - The element.
+     * @returns {boolean}
+     */
+    function coversViewport(el) {
+      const rect = el.getBoundingClientRect();
+      const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      return width > 0 && height > 0 && width * height >= MIN_VIEWPORT_COVERAGE * window.innerWidth * window.innerHeight;
+    }
+
+    /**
+     * @private
+     * @description Finds the page's blockers at the `SAMPLE_POINTS`, from the top of the stack down to
+     * the first element of the page's normal content.
+     * @returns {Element[]}
+     */
+    function findBlockers() {
+      const blockers = new Set();
+      for (const [x, y] of SAMPLE_POINTS) {
+        const layers = [];
+        let content = null;
+        for (const el of document.elementsFromPoint(window.innerWidth * x, window.innerHeight * y)) {
+          const layer = getOverlayLayer(el);
+          if (!layer) {
+            content = el;
+            break;
+          }
+          if (!layers.includes(layer)) layers.push(layer);
+        }
+        if (!content || content === document.body || content === document.documentElement) continue;
+        const index = layers.findIndex(coversViewport);
+        if (index !== -1) layers.slice(0, index + 1).forEach((layer) => blockers.add(layer));
+      }
+      return [...blockers];
+    }
+
+    /**
+     * @private
+     * @description Tells whether the page has switched off scrolling on `<html>` or `<body>`.
+     * @returns {boolean}
+     */
+    function isScrollLocked() {
+      return [document.documentElement, document.body].some((el) => {
+        if (!el) return false;
+        const style = getComputedStyle(el);
+        return style.overflowY === "hidden" || style.overflowY === "clip" || style.position === "fixed";
+      });
+    }
+
+    /**
+     * @private
+     * @async
+     * @description Saves the blockers' selectors as `unblock` rules of the page's domain, in one write
+     * and one history entry, and applies them. A selector that already has a (disabled) rule switches
+     * that rule back on.
+     * @param {string[]} selectors - The selectors to save.
+     * @returns {Promise<void>}
+     */
+    async function saveRules(selectors) {
+      const domain = getCurrentDomain();
+      const { selectors: allSelectors } = await ElementHiderRules.updateDomainRules(
+        domain,
+        (domainRules) => {
+          let rules = domainRules;
+          for (const selector of selectors) {
+            const existing = rules.find((r) => r.selector === selector);
+            rules = existing
+              ? rules.map((r) => (r === existing ? { ...r, enabled: true } : r))
+              : [...rules, ElementHiderRules.createRule(selector, "unblock")];
+          }
+          return rules;
+        },
+        {
+          domain: getSiteDomain(),
+          type: "unblock",
+          summary: selectors.length === 1 ? `Unblocked ${selectors[0]}` : `Unblocked ${selectors.length} overlays`,
+        }
+      );
+      ruleCache.selectors = allSelectors;
+      applyCachedRules();
+    }
+
+    /**
+     * @public
+     * @async
+     * @description Unblocks the page: hides its blockers through rules, whose being active restores
+     * scrolling (see `scrollUnlockedByRules`). With no blocker found, nothing changes: the page may
+     * lock scrolling for reasons of its own.
+     * @returns {Promise<{selectors: string[], scrollRestored: boolean}>} The selectors saved, and
+     *   whether scrolling had to be restored.
+     */
+    async function unblock() {
+      const locked = isScrollLocked();
+      const selectors = [
+        ...new Set(findBlockers().map((el) => ElementHiderSelectorGenerator.generateSelector(el))),
+      ];
+      if (selectors.length > 0) {
+        await saveRules(selectors);
+        logger.log("Unblocked the page:", selectors);
+      }
+      return { selectors, scrollRestored: locked && selectors.length > 0 };
+    }
+
+    /**
+     * @public
+     * @description Unblocks the page automatically, at each of the `AUTOMATIC_DELAYS` after it was
+     * parsed. Nothing is written when there is nothing left to hide.
+     * @returns {void}
+     */
+    function scheduleAutomatic() {
+      const schedule = () => {
+        for (const delay of AUTOMATIC_DELAYS) {
+          setTimeout(() => {
+            if (!isContextValid() || isHidingPaused()) return;
+            unblock().catch((error) => {
+              if (isContextValid()) {
+                logger.error("Failed to unblock the page.", error);
+              }
+            });
+          }, delay);
+        }
+      };
+      if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", schedule, { once: true });
+      } else {
+        schedule();
+      }
+    }
+
+    return { unblock, scheduleAutomatic };
+  })();
+
+  /**
+   * A self-contained module for the picker's confirmation panel. After the user clicks an element,
+   * the panel shows the candidate selector in an editable field, previews every element it would hide
+   * and lets the user Save, Adjust (go back to picking) or Cancel. Nothing is written to storage until
+   * Save is pressed. The panel lives in a closed Shadow DOM so page CSS cannot restyle or break it.
+   * @returns {{open: function, close: function, isOpen: function, containsEvent: function}} The public API.
+   */
+  const ConfirmationPanel = (function () {
+    /** @private @type {?HTMLElement} The panel's host element, attached to `<html>` while open. */
+    let host = null;
+    /** @private @type {?ShadowRoot} The closed shadow root holding the panel UI. */
+    let root = null;
+    /** @private @type {Array<{element: HTMLElement, outline: string}>} Elements outlined by the preview, with their original outline. */
+    let previewed = [];
+    /** @private @type {?number} Pending timeout for the debounced preview while typing. */
+    let previewTimeout = null;
+    /** @private @type {?{onSave: function, onAdjust: function, onCancel: function}} Callbacks of the open session. */
+    let callbacks = null;
+    /** @private @type {Document} The document previewed: the page's, or a same-origin frame's. */
+    let previewDocument = document;
+
+    /** @private @type {string} The outline drawn around every element the selector would hide. */
+    const PREVIEW_OUTLINE = "2px dashed #FFA500";
+    /** @private @type {number} The maximum number of elements outlined by the preview. */
+    const PREVIEW_LIMIT = 500;
+
+    /** @private @type {string} The panel's markup and styles, rendered inside the shadow root. */
+    const TEMPLATE = `
+      <style>
+        .panel { width: 360px; padding: 12px; border-radius: 8px; background: #fff; color: #333;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3); font: 13px/1.4 Arial, sans-serif; box-sizing: border-box; }
+        .title { margin: 0 0 8px; font-size: 14px; font-weight: bold; color: #b30000; }
+        .selector { width: 100%; box-sizing: border-box; padding: 6px; border: 1px solid #ddd; border-radius: 4px;
+          font: 12px monospace; }
+        .selector:focus { outline: none; border-color: #e60000; }
+        .status { margin: 6px 0; font-size: 12px; color: #555; }
+        .status.error { color: #d9534f; }
+        .candidates { display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px; }
+        .candidate { text-align: left; padding: 4px 6px; border: 1px solid #eee; border-radius: 4px; background: #f9f9f9;
+          font: 11px monospace; color: #333; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .candidate:hover { border-color: #e60000; }
+        .actions { display: flex; gap: 6px; }
+        .actions button { flex: 1; padding: 8px; border: none; border-radius: 4px; font-size: 13px; cursor: pointer; }
+        .save { background: #e60000; color: #fff; }
+        .save:disabled { opacity: 0.5; cursor: not-allowed; }
+        .adjust, .cancel { background: #e0e0e0; color: #555; }
+      </style>
+      <div class="panel" role="dialog" aria-label="Element Hider: confirm selector">
+        <p class="title">Hide these elements?</p>
+        <input class="selector" type="text" spellcheck="false" aria-label="CSS selector" />
+        <div class="status"></div>
+        <div class="candidates"></div>
+        <div class="actions">
+          <button class="save">Save</button>
+          <button class="adjust">Adjust</button>
+          <button class="cancel">Cancel</button>
+        </div>
+      </div>`;
+
+    /**
+     * @private
+     * @description Removes the preview outlines, restoring each element's original inline outline.
+     */
+    function clearPreview() {
+      previewed.forEach(({ element, outline }) => {
+        element.style.outline = outline;
+      });
+      previewed = [];
+    }
+
+    /**
+     * @private
+     * @description Outlines every element the selector matches and updates the status line and the
+     * Save button. Invalid and empty selectors disable Save.
+     * @param {string} selector - The selector to preview.
+     */
+    function preview(selector) {
+      clearPreview();
+      const status = root.querySelector(".status");
+      const saveButton = root.querySelector(".save");
+      let matches;
+      try {
+        matches = selector.trim() ? findRuleMatches(selector, previewDocument) : [];
+      } catch (e) {
+        status.textContent =
+          ElementHiderProcedural.isProcedural(selector) || ElementHiderShadow.isShadowSelector(selector)
+            ? e.message
+            : "Invalid selector.";
+        status.classList.add("error");
+        saveButton.disabled = true;
+        return;
+      }
+      Array.from(matches)
+        .slice(0, PREVIEW_LIMIT)
+        .forEach((element) => {
+          previewed.push({ element, outline: element.style.outline });
+          element.style.outline = PREVIEW_OUTLINE;
+        });
+      status.classList.toggle("error", matches.length === 0);
+      status.textContent =
+        matches.length === 0
+          ? "This selector matches nothing on this page."
+          : `${matches.length} element${matches.length === 1 ? "" : "s"} will be hidden.`;
+      saveButton.disabled = matches.length === 0;
+    }
+
+    /**
+     * @private
+     * @description Puts a selector into the editable field and previews it.
+     * @param {string} selector - The selector to show.
+     */
+    function setSelector(selector) {
+      const input = root.querySelector(".selector");
+      input.value = selector;
+      preview(selector);
+    }
+
+    /**
+     * @private
+     * @description Ends the session and invokes one of its callbacks.
+     * @param {"onSave"|"onAdjust"|"onCancel"} name - The callback to run.
+     * @param {...*} args - Arguments for the callback.
+     */
+    function finish(name, ...args) {
+      const session = callbacks;
+      close();
+      session?.[name]?.(...args);
+    }
+
+    /**
+     * @private
+     * @description Keyboard shortcuts inside the panel: Enter saves, Escape cancels.
+     * @param {KeyboardEvent} event - The keyboard event object.
+     */
+    function handleKeydown(event) {
+      event.stopPropagation();
+      if (event.key === "Enter" && !root.querySelector(".save").disabled) {
+        event.preventDefault();
+        finish("onSave", root.querySelector(".selector").value.trim());
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        finish("onCancel");
+      }
+    }
+
+    /**
+     * @public
+     * @description Opens the panel for a set of candidate selectors. The first candidate is preselected.
+     * @param {object} options
+     * @param {Array<{selector: string, matchCount: number}>} options.candidates - Ranked selector candidates.
+     * @param {Document} [options.doc=document] - The document the element was picked in.
+     * @param {function(string): void} options.onSave - Called with the final selector when Save is pressed.
+     * @param {function(): void} options.onAdjust - Called when the user wants to pick again.
+     * @param {function(): void} options.onCancel - Called when the user cancels.
+     */
+    function open({ candidates, doc = document, onSave, onAdjust, onCancel }) {
+      close();
+      callbacks = { onSave, onAdjust, onCancel };
+      previewDocument = doc;
+      ({ host, root } = createOverlayHost(
+        "element-hider-confirmation",
+        "right: 16px; bottom: 16px;",
+        TEMPLATE
+      ));
+
+      const input = root.querySelector(".selector");
+      input.addEventListener("input", () => {
+        clearTimeout(previewTimeout);
+        previewTimeout = setTimeout(() => preview(input.value), 150);
+      });
+      root.addEventListener("keydown", handleKeydown);
+      root.querySelector(".save").addEventListener("click", () =>
+        finish("onSave", input.value.trim())
+      );
+      root.querySelector(".adjust").addEventListener("click", () => finish("onAdjust"));
+      root.querySelector(".cancel").addEventListener("click", () => finish("onCancel"));
+
+      root.querySelector(".candidates").append(
+        ...candidates.map((candidate) => {
+          const button = document.createElement("button");
+          button.className = "candidate";
+          button.title = `${candidate.selector} (${candidate.matchCount} matches)`;
+          button.textContent = `${candidate.selector}  ·  ${candidate.matchCount}`;
+          button.addEventListener("click", () => setSelector(candidate.selector));
+          return button;
+        })
+      );
+
+      document.documentElement.appendChild(host);
+      setSelector(candidates[0]?.selector || "");
+      input.focus();
+    }
+
+    /**
+     * @public
+     * @description Closes the panel and removes all preview outlines.
+     */
+    function close() {
+      clearTimeout(previewTimeout);
+      clearPreview();
+      host?.remove();
+      host = null;
+      root = null;
+      callbacks = null;
+    }
+
+    /**
+     * @public
+     * @description Tells whether an event originated inside the panel. Events from a closed shadow
+     * root are retargeted to the host, so checking the composed path is sufficient.
+     * @param {Event} event - Any DOM event.
+     * @returns {boolean}
+     */
+    function containsEvent(event) {
+      return !!host && event.composedPath().includes(host);
+    }
+
+    return { open, close, isOpen: () => !!host, containsEvent };
+  })();
+
+  /**
+   * A self-contained module for the picker's multi-select overlay. It lists the selections pending
+   * in the current batch, each with its match count and a remove button, and commits or discards
+   * them together. Like `ConfirmationPanel`, it lives in a closed Shadow DOM.
+   * @returns {{open: function, update: function, close: function, isOpen: function, containsEvent: function}} The public API.
+   */
+  const BatchPanel = (function () {
+    /** @private @type {?HTMLElement} The panel's host element, attached to `<html>` while open. */
+    let host = null;
+    /** @private @type {?ShadowRoot} The closed shadow root holding the panel UI. */
+    let root = null;
+
+    /** @private @type {string} The panel's markup and styles, rendered inside the shadow root. */
+    const TEMPLATE = `
+      <style>
+        .panel { width: 360px; padding: 12px; border-radius: 8px; background: #fff; color: #333;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3); font: 13px/1.4 Arial, sans-serif; box-sizing: border-box; }
+        .title { margin: 0 0 4px; font-size: 14px; font-weight: bold; color: #b30000; }
+        .hint { margin: 0 0 8px; font-size: 11px; color: #888; }
+        ul { list-style: none; margin: 0 0 8px; padding: 0; max-height: 180px; overflow-y: auto; }
+        li { display: flex; align-items: center; gap: 6px; padding: 3px 0; border-bottom: 1px solid #eee; }
+        .selector { flex: 1; min-width: 0; font: 11px monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .count { font-size: 10px; color: #555; background: #e0e0e0; border-radius: 3px; padding: 1px 4px; }
+        .remove { border: none; background: none; color: #d9534f; cursor: pointer; font-size: 14px; padding: 0 4px; }
+        .actions { display: flex; gap: 6px; }
+        .actions button { flex: 1; padding: 8px; border: none; border-radius: 4px; font-size: 13px; cursor: pointer; }
+        .commit { background: #e60000; color: #fff; }
+        .commit:disabled { opacity: 0.5; cursor: not-allowed; }
+        .cancel { background: #e0e0e0; color: #555; }
+      </style>
+      <div class="panel" role="dialog" aria-label="Element Hider: pending selections">
+        <p class="title">Multi-select</p>
+        <p class="hint">Click more elements to add them, click a pending one to remove it. Enter commits, Esc cancels.</p>
+        <ul class="pending"></ul>
+        <div class="actions">
+          <button class="commit"></button>
+          <button class="cancel">Cancel</button>
+        </div>
+      </div>`;
+
+    /**
+     * @public
+     * @description Opens the panel.
+     * @param {object} options
+     * @param {function(): void} options.onCommit - Called when the user commits the batch.
+     * @param {function(): void} options.onCancel - Called when the user discards the batch.
+     * @param {function(number): void} options.onRemove - Called with the index of a removed selection.
+     */
+    function open({ onCommit, onCancel, onRemove }) {
+      close();
+      ({ host, root } = createOverlayHost(
+        "element-hider-batch",
+        "right: 16px; bottom: 16px;",
+        TEMPLATE
+      ));
+      root.querySelector(".commit").addEventListener("click", onCommit);
+      root.querySelector(".cancel").addEventListener("click", onCancel);
+      root.querySelector(".pending").addEventListener("click", (event) => {
+        const button = event.target.closest(".remove");
+        if (button) onRemove(Number(button.dataset.index));
+      });
+      document.documentElement.appendChild(host);
+    }
+
+    /**
+     * @public
+     * @description Re-renders the pending list.
+     * @param {Array<{selector: string, matchCount: number}>} selections - The pending selections, in order.
+     */
+    function update(selections) {
+      if (!root) return;
+      root.querySelector(".pending").replaceChildren(
+        ...selections.map((selection, index) => {
+          const item = document.createElement("li");
+          const selector = document.createElement("span");
+          selector.className = "selector";
+          selector.textContent = selection.selector;
+          selector.title = selection.selector;
+          const count = document.createElement("span");
+          count.className = "count";
+          count.textContent = String(selection.matchCount);
+          const remove = document.createElement("button");
+          remove.className = "remove";
+          remove.textContent = "×";
+          remove.title = "Remove from batch";
+          remove.dataset.index = String(index);
+          item.append(selector, count, remove);
+          return item;
+        })
+      );
+      const commit = root.querySelector(".commit");
+      commit.textContent = `Hide ${selections.length} selection${selections.length === 1 ? "" : "s"}`;
+      commit.disabled = selections.length === 0;
+    }
+
+    /**
+     * @public
+     * @description Closes the panel.
+     */
+    function close() {
+      host?.remove();
+      host = null;
+      root = null;
+    }
+
+    /**
+     * @public
+     * @description Tells whether an event originated inside the panel.
+     * @param {Event} event - Any DOM event.
+     * @returns {boolean}
+     */
+    function containsEvent(event) {
+      return !!host && event.composedPath().includes(host);
+    }
+
+    return { open, update, close, isOpen: () => !!host, containsEvent };
+  })();
+
+  /**
+   * A self-contained module encapsulating all logic for the Element Picker feature.
+   * It follows the IIFE module pattern to create a private scope for its state
+   * (`isPickerModeActive`, `highlightElement`, etc.) and internal functions, exposing
+   * only a clean public API (`activate`, `deactivate`, `hideElement`, `isActive`).
+   * @returns {{activate: function, deactivate: function, hideElement: function, isActive: function}} The public API for controlling the picker.
+   */
+  const Picker = (function () {
+    /** @private @type {boolean} The current activation state of the picker. */
+    let isPickerModeActive = false;
+    /** @private @type {?Element} The DOM element currently highlighted by the picker. */
+    let highlightElement = null;
+    /** @private @type {Element[]} A LIFO stack to track upward DOM traversal for bidirectional scrolling. */
+    let traversalHistory = [];
+    /** @private @type {?HTMLElement} The host element of the on-page tooltip listing selector candidates. */
+    let tooltipHost = null;
+    /** @private @type {?ShadowRoot} The tooltip's shadow root, which isolates it from page CSS. */
+    let tooltipRoot = null;
+    /** @private @type {?number} Pending timeout for the debounced candidate computation. */
+    let candidateTimeout = null;
+    /** @private @type {{element: ?Element, candidates: Array<object>}} The last computed candidates and their element. */
+    let currentCandidates = { element: null, candidates: [] };
+
+    /** @private @type {Array<{element: Element, selector: string, domain: string, matchCount: number, outline: string}>} Selections pending in multi-select mode. */
+    let pendingSelections = [];
+
+    /** @private @type {Document[]} The documents the picker listens to: the page's and those of same-origin frames. */
+    let pickerDocuments = [];
+
+    /** @private @type {string} The outline drawn around the highlighted element. */
+    const HIGHLIGHT_OUTLINE = "2px solid #e60000";
+    /** @private @type {string} The outline drawn around elements pending in multi-select mode. */
+    const PENDING_OUTLINE = "2px solid #FFA500";
+    /** @private @type {string[]} Keys that only modify a click (Shift starts multi-select) and must not cancel. */
+    const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta"];
+    /** @private @type {string[]} Tags the keyboard traversal skips because they never render. */
+    const UNPICKABLE_TAGS = ["HEAD", "SCRIPT", "STYLE", "LINK", "META", "TITLE", "NOSCRIPT", "TEMPLATE"];
+    /** @private @type {number} How many selector candidates the tooltip offers. */
+    const CANDIDATE_LIMIT = 3;
+
+    /**
+     * @private
+     * @description Throttles a function to limit its execution rate, essential for performance on high-frequency events.
+     * @param {function} func - The function to throttle.
+     * @param {number} limit - The minimum time in milliseconds between executions.
+     * @returns {function} The new throttled function.
+     */
+    function throttle(func, limit) {
+      let inThrottle;
+      return function () {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+          func.apply(context, args);
+          inThrottle = true;
+          setTimeout(() => (inThrottle = false), limit);
+        }
+      };
+    }
+
+    /**
+     * @private
+     * @description Returns the parent of an element for traversal, leaving a shadow tree through its
+     * host. The `<html>` element of a document is never returned.
+     * @param {Element} el - The element.
+     * @returns {?Element} The parent, or `null` at the top.
+     */
+    function getParent(el) {
+      const rootNode = el.getRootNode();
+      const parent = el.parentElement || rootNode.host || null;
+      return parent && parent !== parent.ownerDocument.documentElement ? parent : null;
+    }
+
+    /**
+     * @private
+     * @description Returns the first pickable child of an element for traversal, entering its open
+     * shadow root if it has one.
+     * @param {Element} el - The element.
+     * @returns {?Element}
+     */
+    function getFirstPickableChild(el) {
+      return Array.from((el.shadowRoot || el).children).find(isPickable) || null;
+    }
+
+    /**
+     * @private
+     * @description Returns the document of a frame element if the picker may enter it (same origin).
+     * @param {Element} frame - An `<iframe>` or `<frame>`.
+     * @returns {?Document}
+     */
+    function getFrameDocument(frame) {
+      try {
+        return frame.contentDocument;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * @private
+     * @description Starts listening to a document's pointer and keyboard events, and to those of every
+     * same-origin frame inside it. Cross-origin frames cannot be entered.
+     * @param {Document} doc - The document.
+     */
+    function listenToDocument(doc) {
+      if (pickerDocuments.includes(doc)) return;
+      pickerDocuments.push(doc);
+      if (doc.body) doc.body.style.cursor = "crosshair";
+      doc.addEventListener("mouseover", throttledMouseOver);
+      doc.addEventListener("mouseout", handleMouseOut);
+      doc.addEventListener("keydown", handleKeydownCancel, { capture: true });
+      doc.addEventListener("mousedown", handleMouseAction, { capture: true });
+      doc.addEventListener("wheel", handleWheel, { capture: true, passive: false });
+      doc.querySelectorAll("iframe, frame").forEach((frame) => {
+        const frameDocument = getFrameDocument(frame);
+        if (frameDocument) listenToDocument(frameDocument);
+      });
+    }
+
+    /**
+     * @private
+     * @description Stops listening to every document `listenToDocument` attached to.
+     */
+    function stopListening() {
+      for (const doc of pickerDocuments) {
+        if (doc.body) doc.body.style.cursor = "default";
+        doc.removeEventListener("mouseover", throttledMouseOver);
+        doc.removeEventListener("mouseout", handleMouseOut);
+        doc.removeEventListener("keydown", handleKeydownCancel, { capture: true });
+        doc.removeEventListener("mousedown", handleMouseAction, { capture: true });
+        doc.removeEventListener("wheel", handleWheel, { capture: true });
+      }
+      pickerDocuments = [];
+    }
+
+    /**
+     * @private
+     * @description Returns an element's bounding box relative to the top-level viewport, adding the
+     * offsets of the same-origin frames it is nested in.
+     * @param {Element} el - The element.
+     * @returns {{left: number, top: number, bottom: number}}
+     */
+    function getViewportRect(el) {
+      const rect = el.getBoundingClientRect();
+      let { left, top } = rect;
+      let frame = el.ownerDocument.defaultView.frameElement;
+      while (frame) {
+        const frameRect = frame.getBoundingClientRect();
+        left += frameRect.left + frame.clientLeft;
+        top += frameRect.top + frame.clientTop;
+        frame = frame.ownerDocument.defaultView.frameElement;
+      }
+      return { left, top, bottom: top + rect.height };
+    }
+
+    /**
+     * @private
+     * @description Keyboard handler for the picker. Arrow keys traverse the DOM (Up: parent, Down: child,
+     * Left/Right: previous/next sibling); Enter opens the confirmation panel for the highlighted element
+     * or commits a pending multi-select batch; Shift+Enter adds the highlighted element to the batch.
+     * Any other key, including Esc, cancels picker mode. Key presses inside the confirmation panel are
+     * left to the panel, and modifier keys are ignored so Shift-click works.
+     * @param {KeyboardEvent} event - The keyboard event object.
+     */
+    function handleKeydownCancel(event) {
+      if (ConfirmationPanel.containsEvent(event)) return;
+      if (MODIFIER_KEYS.includes(event.key)) return;
+      if (ConfirmationPanel.isOpen()) return; // Focus left the panel; keep the session alive.
+      if (handleNavigationKey(event.key)) {
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+      }
+      if (event.key === "Enter") {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.shiftKey && highlightElement) {
+          togglePendingSelection(highlightElement);
+        } else if (pendingSelections.length > 0) {
+          commitPendingSelections();
+        } else if (highlightElement) {
+          confirmElement(highlightElement);
+        }
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      logger.log(`Key press (${event.key}) detected. Cancelling selection.`);
+      deactivate();
+    }
+
+    /**
+     * @private
+     * @description Unified mouse event handler for choosing an element. A left press opens the
+     * confirmation panel with the ranked selector candidates for the highlighted element; nothing is
+     * saved until the user confirms there. Any other button cancels. Presses inside the panel are
+     * left alone. Using `mousedown` is more reliable than `click` on complex websites that may stop
+     * event propagation.
+     * @param {MouseEvent} event - The mouse event object.
+     */
+    function handleMouseAction(event) {
+      if (ConfirmationPanel.containsEvent(event) || BatchPanel.containsEvent(event)) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.button !== 0) {
+        logger.log(
+          `Mouse button ${event.button} press detected. Cancelling selection.`
+        );
+        deactivate();
+        return;
+      }
+      if (ConfirmationPanel.isOpen()) return; // Clicks on the page are ignored while confirming.
+
+      // The highlight may have been moved to an ancestor with the wheel; that is what the user chose.
+      const clickedElement = highlightElement || getEventTarget(event);
+      if (event.shiftKey || pendingSelections.length > 0) {
+        togglePendingSelection(clickedElement);
+        return;
+      }
+
+      logger.log("Left mouse press selected an element, awaiting confirmation.");
+      confirmElement(clickedElement);
+    }
+
+    /**
+     * @private
+     * @description Opens the confirmation panel for an element chosen by mouse or keyboard.
+     * Adjust returns to picking with the same element highlighted.
+     * @param {Element} el - The chosen element.
+     */
+    function confirmElement(el) {
+      const candidates = getCandidatesFor(el);
+      setHighlight(null);
+      ConfirmationPanel.open({
+        candidates,
+        doc: el.ownerDocument,
+        onSave: (selector) =>
+          saveSelections([{ selector, domain: getCurrentDomain(el.ownerDocument) }]),
+        onAdjust: () => {
+          logger.log("Adjusting selection.");
+          setHighlight(el);
+        },
+        onCancel: () => deactivate(),
+      });
+    }
+
+    /**
+     * @private
+     * @description Tells whether keyboard traversal may stop on an element: it must render and must
+     * not be one of the extension's own overlays.
+     * @param {?Element} el - The candidate element.
+     * @returns {boolean}
+     */
+    function isPickable(el) {
+      return (
+        !!el &&
+        !UNPICKABLE_TAGS.includes(el.tagName) &&
+        el.localName !== PLACEHOLDER_TAG &&
+        !el.id.startsWith("element-hider-")
+      );
+    }
+
+    /**
+     * @private
+     * @description Walks from an element in one sibling direction to the first pickable sibling.
+     * @param {Element} el - The starting element.
+     * @param {"previousElementSibling"|"nextElementSibling"} direction - The sibling property to follow.
+     * @returns {?Element} The sibling, or `null` if there is none.
+     */
+    function findPickableSibling(el, direction) {
+      let sibling = el[direction];
+      while (sibling && !isPickable(sibling)) {
+        sibling = sibling[direction];
+      }
+      return sibling;
+    }
+
+    /**
+     * @private
+     * @description Moves the highlight with the arrow keys. Up pushes onto `traversalHistory` just like
+     * scrolling the wheel up, so Down first returns to the child the user came from and otherwise goes
+     * to the first pickable child. Sibling moves start a fresh history. Without a highlight, traversal
+     * starts at `<body>`. Up and Down cross into and out of open shadow trees. The new element is
+     * scrolled into view.
+     * @param {string} key - The `KeyboardEvent.key` value.
+     * @returns {boolean} True if the key was a navigation key and has been handled.
+     */
+    function handleNavigationKey(key) {
+      const current = highlightElement || document.body;
+      let next = null;
+      if (key === "ArrowUp") {
+        const parent = getParent(current);
+        if (parent) {
+          traversalHistory.push(current);
+          next = parent;
+        }
+      } else if (key === "ArrowDown") {
+        const lastVisited = traversalHistory[traversalHistory.length - 1];
+        if (lastVisited && getParent(lastVisited) === current) {
+          next = traversalHistory.pop();
+        } else {
+          next = getFirstPickableChild(current);
+        }
+      } else if (key === "ArrowLeft" || key === "ArrowRight") {
+        next = findPickableSibling(
+          current,
+          key === "ArrowLeft" ? "previousElementSibling" : "nextElementSibling"
+        );
+        if (next) traversalHistory = [];
+      } else {
+        return false;
+      }
+      if (next) {
+        setHighlight(next);
+        next.scrollIntoView({ block: "nearest", inline: "nearest" });
+      }
+      return true;
+    }
+
+    /**
+     * @private
+     * @description Adds an element to the multi-select batch, or removes it if it is already pending.
+     * The first Shift-click opens the batch overlay; from then on plain clicks add too, until the
+     * batch is committed or cancelled.
+     * @param {Element} el - The clicked (or wheel-selected) element.
+     */
+    function togglePendingSelection(el) {
+      const index = pendingSelections.findIndex((p) => p.element === el);
+      if (index !== -1) {
+        removePendingSelection(index);
+        return;
+      }
+      const [best] = getCandidatesFor(el);
+      setHighlight(null);
+      pendingSelections.push({
+        element: el,
+        selector: best.selector,
+        domain: getCurrentDomain(el.ownerDocument),
+        matchCount: best.matchCount,
+        outline: el.style.outline,
+      });
+      el.style.outline = PENDING_OUTLINE;
+      if (!BatchPanel.isOpen()) {
+        BatchPanel.open({
+          onCommit: commitPendingSelections,
+          onCancel: () => deactivate(),
+          onRemove: removePendingSelection,
+        });
+      }
+      BatchPanel.update(pendingSelections);
+      logger.log("Added to multi-select batch:", best.selector);
+    }
 
     /**
      * @private
-     * @description Throttles a function to limit its execution rate, essential for performance on high-frequency events.
-     * @param {function} func - The function to throttle.
-     * @param {number} limit - The minimum time in milliseconds between executions.
-     * @returns {function} The new throttled function.
+     * @description Removes one selection from the batch and restores its element's outline.
+     * @param {number} index - The index of the selection in `pendingSelections`.
      */
-    function throttle(func, limit) {
-      let inThrottle;
-      return function () {
-        const args = arguments;
-        const context = this;
-        if (!inThrottle) {
-          func.apply(context, args);
-          inThrottle = true;
-          setTimeout(() => (inThrottle = false), limit);
-        }
-      };
+    function removePendingSelection(index) {
+      const [removed] = pendingSelections.splice(index, 1);
+      if (removed) {
+        removed.element.style.outline = removed.outline;
+      }
+      BatchPanel.update(pendingSelections);
     }
 
     /**
      * @private
-     * @description Event handler to cancel picker mode upon any key press.
-     * @param {KeyboardEvent} event - The keyboard event object.
+     * @description Restores the outlines of all pending elements and empties the batch.
      */
-    function handleKeydownCancel(event) {
-      event.preventDefault();
-      event.stopPropagation();
-      logger.log(`Key press (${event.key}) detected. Cancelling selection.`);
-      deactivate();
+    function clearPendingSelections() {
+      pendingSelections.forEach((p) => {
+        p.element.style.outline = p.outline;
+      });
+      pendingSelections = [];
+      BatchPanel.close();
     }
 
     /**
      * @private
-     * @async
-     * @description Unified mouse event handler for confirming a selection. It generates a selector for the
-     * clicked element, saves it to storage, and applies the new hiding rule. Using `mousedown` is more
-     * reliable than `click` on complex websites that may stop event propagation.
-     * @param {MouseEvent} event - The mouse event object.
+     * @description Commits every pending selection as one batch (one storage write, one undo step).
      */
-    async function handleMouseAction(event) {
-      event.preventDefault();
-      event.stopPropagation();
-      if (event.button !== 0) {
-        logger.log(
-          `Mouse button ${event.button} press detected. Cancelling selection.`
-        );
-        deactivate();
-        return;
+    function commitPendingSelections() {
+      const selections = pendingSelections.map(({ selector, domain }) => ({ selector, domain }));
+      clearPendingSelections();
+      if (selections.length > 0) {
+        saveSelections(selections);
       }
+    }
 
-      logger.log("Left mouse press CONFIRMED selection.");
-      const clickedElement = event.target;
-      const selector = generateSelector(clickedElement);
-
+    /**
+     * @private
+     * @async
+     * @description Saves confirmed selectors as picker rules in a single storage write per domain and
+     * applies them. Elements picked inside a frame are saved for the frame's domain. A selector that
+     * already exists (possibly disabled) switches that rule back on instead. Each write is recorded as
+     * one entry in the history of the top-level site (see `getSiteDomain`), even inside a frame from
+     * another origin, so that the undo shortcut and the popup can revert it from the page.
+     * @param {Array<{selector: string, domain: string}>} selections - The confirmed selectors and the
+     *   domain of the document each was picked in.
+     * @returns {Promise<boolean>} Whether the selections were saved.
+     */
+    async function saveSelections(selections) {
       try {
-        if (!isContextValid()) return; // GUARD
-        const result = await chrome.storage.local.get({ selectors: {} });
-        const allSelectors = result.selectors || {};
-        const currentDomain = getCurrentDomain();
-        const domainSelectors = allSelectors[currentDomain] || [];
-
-        if (!domainSelectors.includes(selector)) {
-          const newDomainSelectors = [...domainSelectors, selector];
-          allSelectors[currentDomain] = newDomainSelectors;
-          await chrome.storage.local.set({ selectors: allSelectors });
-          updateHiddenElements(newDomainSelectors);
-          pickerActionHistory.push(selector);
-          logger.log(
-            "Selector saved and applied for domain:",
-            currentDomain,
-            selector
+        if (!isContextValid()) return false; // GUARD
+        const selectorsByDomain = new Map();
+        for (const { selector, domain } of selections) {
+          if (!selectorsByDomain.has(domain)) selectorsByDomain.set(domain, new Set());
+          selectorsByDomain.get(domain).add(selector);
+        }
+        for (const [domain, domainSelectors] of selectorsByDomain) {
+          const selectorsToSave = [...domainSelectors];
+          const addedRules = [];
+          const { selectors } = await ElementHiderRules.updateDomainRules(
+            domain,
+            (domainRules) => {
+              let rules = domainRules;
+              for (const selector of selectorsToSave) {
+                const existing = rules.find((r) => r.selector === selector);
+                if (existing) {
+                  // Picking an element covered by a disabled rule switches that rule back on.
+                  rules = rules.map((r) =>
+                    r === existing ? { ...r, enabled: true } : r
+                  );
+                  continue;
+                }
+                const rule = ElementHiderRules.createRule(selector, "picker");
+                addedRules.push(rule);
+                rules = [...rules, rule];
+              }
+              return rules;
+            },
+            {
+              domain: getSiteDomain(),
+              type: "picker",
+              summary:
+                selectorsToSave.length === 1
+                  ? `Picked ${selectorsToSave[0]}`
+                  : `Picked ${selectorsToSave.length} elements`,
+            }
           );
-        } else {
+          ruleCache.selectors = selectors;
           logger.log(
-            "Selector already exists for domain:",
-            currentDomain,
-            selector
+            `Saved ${addedRules.length} new selector(s) for domain:`,
+            domain,
+            selectorsToSave
           );
         }
+        applyCachedRules();
+        return true;
       } catch (error) {
         if (isContextValid()) {
-          logger.error("An error occurred while handling the click.", error);
+          logger.error("An error occurred while saving the selection.", error);
         }
+        return false;
       } finally {
         deactivate();
       }
@@ -219,25 +2221,22 @@
      * @param {WheelEvent} event - The wheel event object.
      */
     const handleWheel = throttle((event) => {
+      if (ConfirmationPanel.isOpen()) return; // Let the page scroll while confirming.
       event.preventDefault();
       if (!highlightElement || !isPickerModeActive) return;
 
       if (event.deltaY < 0) {
         // Scrolling UP
-        const parent = highlightElement.parentElement;
-        if (parent && parent !== document.documentElement) {
+        const parent = getParent(highlightElement);
+        if (parent) {
           traversalHistory.push(highlightElement); // Save current element before moving up
-          highlightElement.style.outline = "";
-          highlightElement = parent;
-          highlightElement.style.outline = "2px solid #e60000";
+          setHighlight(parent);
         }
       } else if (event.deltaY > 0) {
         // Scrolling DOWN
         if (traversalHistory.length > 0) {
           const child = traversalHistory.pop(); // Get the last element we came from
-          highlightElement.style.outline = "";
-          highlightElement = child;
-          highlightElement.style.outline = "2px solid #e60000";
+          setHighlight(child);
         }
       }
     }, 100);
@@ -250,11 +2249,14 @@
      * @param {MouseEvent} event - The mouseover event object.
      */
     const throttledMouseOver = throttle((event) => {
-      if (highlightElement) {
-        highlightElement.style.outline = "";
+      if (ConfirmationPanel.isOpen() || BatchPanel.containsEvent(event)) return;
+      const target = getEventTarget(event);
+      if (target.localName === "iframe" || target.localName === "frame") {
+        // A frame that loaded after activation: follow the pointer into it if it is same-origin.
+        const frameDocument = getFrameDocument(target);
+        if (frameDocument) listenToDocument(frameDocument);
       }
-      highlightElement = event.target;
-      highlightElement.style.outline = "2px solid #e60000";
+      setHighlight(target);
       traversalHistory = []; // Reset history on new hover
     }, 50);
 
@@ -264,85 +2266,149 @@
      * @param {MouseEvent} event - The mouseout event object.
      */
     function handleMouseOut(event) {
-      if (event.target && event.target === highlightElement) {
-        highlightElement.style.outline = "";
-        highlightElement = null;
+      if (getEventTarget(event) === highlightElement) {
+        setHighlight(null);
       }
     }
 
     /**
      * @private
-     * @description Generates a robust and specific CSS selector for a given DOM element.
-     * The strategy prioritizes stability:
-     * 1. Stable test attributes (`data-testid`, `data-cy`, etc.).
-     * 2. The element's `id`.
-     * 3. A highly specific path-based selector using tag names, escaped class names, and `:nth-of-type`
-     *    as a fallback. This is designed to be resilient against dynamic class names from frameworks.
-     * @param {Element} el - The DOM element to generate a selector for.
-     * @returns {string} The generated CSS selector.
+     * @description Moves the highlight outline to a new element (or clears it) and schedules a
+     * refresh of the selector candidates shown in the tooltip.
+     * @param {?Element} el - The element to highlight, or `null` to clear the highlight.
      */
-    function generateSelector(el) {
-      const escapeCSS = (str) => {
-        if (typeof str !== "string") return "";
-        return str.replace(/([#;&,.+*~':"!^$\[\]()<=>|/])/g, "\\$1");
-      };
-      const stableAttrs = [
-        "data-testid",
-        "data-cy",
-        "data-test",
-        "name",
-        "aria-label",
-      ];
-      for (const attr of stableAttrs) {
-        const attrValue = el.getAttribute(attr);
-        if (attrValue)
-          return `${el.tagName.toLowerCase()}[${attr}="${attrValue}"]`;
-      }
-      if (el.id) return `#${escapeCSS(el.id)}`;
-      let path = [];
-      let current = el;
-      while (current.parentElement) {
-        let segment = current.tagName.toLowerCase();
-        const stableClasses = Array.from(current.classList)
-          .filter((c) => !/hover|active|focus/.test(c))
-          .map((c) => `.${escapeCSS(c)}`)
-          .join("");
-        if (stableClasses) segment += stableClasses;
-        const siblings = Array.from(current.parentElement.children);
-        const sameTagSiblings = siblings.filter(
-          (s) => s.tagName === current.tagName
-        );
-        if (sameTagSiblings.length > 1) {
-          const index = sameTagSiblings.indexOf(current) + 1;
-          segment += `:nth-of-type(${index})`;
-        }
-        path.unshift(segment);
-        current = current.parentElement;
+    function setHighlight(el) {
+      if (highlightElement) {
+        const pending = pendingSelections.find((p) => p.element === highlightElement);
+        highlightElement.style.outline = pending ? PENDING_OUTLINE : "";
+      }
+      highlightElement = el;
+      if (highlightElement) {
+        highlightElement.style.outline = HIGHLIGHT_OUTLINE;
+      }
+      scheduleTooltipUpdate();
+    }
+
+    /**
+     * @private
+     * @description Returns the ranked selector candidates for an element, reusing the last result
+     * when it was computed for the same element.
+     * @param {Element} el - The element to describe.
+     * @returns {Array<{selector: string, strategy: string, matchCount: number, unique: boolean}>}
+     */
+    function getCandidatesFor(el) {
+      if (currentCandidates.element !== el) {
+        currentCandidates = {
+          element: el,
+          candidates: ElementHiderSelectorGenerator.getCandidates(el, CANDIDATE_LIMIT),
+        };
+      }
+      return currentCandidates.candidates;
+    }
+
+    /**
+     * @private
+     * @description Creates the tooltip host. The tooltip lives in a closed Shadow DOM so the page's
+     * CSS can neither restyle nor hide it, and ignores pointer events so it never becomes the hover target.
+     */
+    function createTooltip() {
+      ({ host: tooltipHost, root: tooltipRoot } = createOverlayHost(
+        "element-hider-picker-tooltip",
+        "pointer-events: none; display: none;",
+        `
+        <style>
+          .tooltip { max-width: 420px; padding: 6px 8px; border-radius: 4px; background: #222; color: #fff;
+            font: 12px/1.4 Arial, sans-serif; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3); }
+          .element { margin-bottom: 4px; font-family: monospace; font-weight: bold; word-break: break-all; }
+          .candidate { font-family: monospace; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+          .candidate.best { color: #ff8080; }
+          .count { color: #aaa; }
+          .keys { margin-top: 4px; font-size: 10px; color: #aaa; }
+        </style>
+        <div class="tooltip" role="status" aria-live="polite"></div>`
+      ));
+      document.documentElement.appendChild(tooltipHost);
+    }
+
+    /**
+     * @private
+     * @description Debounces the tooltip refresh. Generating candidates runs several
+     * `querySelectorAll` calls, which is too costly to repeat on every throttled mouse move.
+     */
+    function scheduleTooltipUpdate() {
+      clearTimeout(candidateTimeout);
+      if (!highlightElement) {
+        if (tooltipHost) tooltipHost.style.display = "none";
+        return;
       }
-      return path.join(" > ");
+      candidateTimeout = setTimeout(renderTooltip, 120);
+    }
+
+    /**
+     * @private
+     * @description Describes an element as `tag#id.class1.class2`, so the user can tell exactly which
+     * element is highlighted while traversing with the keyboard or wheel.
+     * @param {Element} el - The element to describe.
+     * @returns {string}
+     */
+    function describeElement(el) {
+      const id = el.id ? `#${el.id}` : "";
+      const classes = Array.from(el.classList)
+        .map((c) => `.${c}`)
+        .join("");
+      return `${el.tagName.toLowerCase()}${id}${classes}`;
+    }
+
+    /**
+     * @private
+     * @description Renders the highlighted element's tag, id and classes followed by its ranked selector
+     * candidates with their match counts, next to the element. The first candidate is the one a click
+     * will save. The tooltip is a live region, so screen readers announce each newly highlighted element.
+     */
+    function renderTooltip() {
+      if (!isPickerModeActive || !highlightElement || !tooltipRoot) return;
+      const container = tooltipRoot.querySelector(".tooltip");
+      const element = document.createElement("div");
+      element.className = "element";
+      element.textContent = describeElement(highlightElement);
+      const keys = document.createElement("div");
+      keys.className = "keys";
+      keys.textContent = "↑ parent  ↓ child  ← → siblings  Enter select  Esc cancel";
+      container.replaceChildren(
+        element,
+        ...getCandidatesFor(highlightElement).map((candidate, index) => {
+          const line = document.createElement("div");
+          line.className = index === 0 ? "candidate best" : "candidate";
+          const count = document.createElement("span");
+          count.className = "count";
+          count.textContent = ` (${candidate.matchCount} match${candidate.matchCount === 1 ? "" : "es"})`;
+          line.append(candidate.selector, count);
+          return line;
+        }),
+        keys
+      );
+      tooltipHost.style.display = "block"; // Must render before it can be measured.
+      const rect = getViewportRect(highlightElement);
+      const height = container.offsetHeight;
+      const top =
+        rect.bottom + 6 + height < window.innerHeight
+          ? rect.bottom + 6
+          : Math.max(rect.top - height - 6, 0);
+      tooltipHost.style.top = `${top}px`;
+      tooltipHost.style.left = `${Math.max(Math.min(rect.left, window.innerWidth - 430), 0)}px`;
     }
 
     /**
      * @public
-     * @description Activates the element picker mode, setting the cursor and attaching all necessary event listeners.
+     * @description Activates the element picker mode, setting the cursor and attaching all necessary event
+     * listeners, to the page and to every same-origin frame (see `listenToDocument`).
      */
     function activate() {
       if (isPickerModeActive) return;
       isPickerModeActive = true;
       traversalHistory = [];
-      document.body.style.cursor = "crosshair";
-      document.addEventListener("mouseover", throttledMouseOver);
-      document.addEventListener("mouseout", handleMouseOut);
-      document.addEventListener("keydown", handleKeydownCancel, {
-        capture: true,
-      });
-      document.addEventListener("mousedown", handleMouseAction, {
-        capture: true,
-      });
-      document.addEventListener("wheel", handleWheel, {
-        capture: true,
-        passive: false,
-      });
+      createTooltip();
+      listenToDocument(document);
       logger.log("Picker mode ACTIVATED.");
     }
 
@@ -353,45 +2419,98 @@
     function deactivate() {
       if (!isPickerModeActive) return;
       isPickerModeActive = false;
-      document.body.style.cursor = "default";
-      if (highlightElement) {
-        highlightElement.style.outline = "";
-        highlightElement = null;
-      }
-      document.removeEventListener("mouseover", throttledMouseOver);
-      document.removeEventListener("mouseout", handleMouseOut);
-      document.removeEventListener("keydown", handleKeydownCancel, {
-        capture: true,
-      });
-      document.removeEventListener("mousedown", handleMouseAction, {
-        capture: true,
-      });
-      document.removeEventListener("wheel", handleWheel, { capture: true });
+      ConfirmationPanel.close();
+      clearPendingSelections();
+      setHighlight(null);
+      clearTimeout(candidateTimeout);
+      tooltipHost?.remove();
+      tooltipHost = null;
+      tooltipRoot = null;
+      currentCandidates = { element: null, candidates: [] };
+      stopListening();
       logger.log("Picker mode DEACTIVATED.");
     }
 
-    return { activate, deactivate, isActive: () => isPickerModeActive };
+    /**
+     * @public
+     * @async
+     * @description Hides an element right away, without the confirmation panel, as the context menu's
+     * "Hide this element" does. With `similar`, the rule covers the elements like it as well (see
+     * `ElementHiderSelectorGenerator.getSimilarSelector`). A running picker session is ended.
+     * @param {Element} el - The element to hide.
+     * @param {boolean} [similar=false] - Whether to hide similar elements too.
+     * @returns {Promise<?string>} The saved selector, or `null` if it could not be saved.
+     */
+    async function hideElement(el, similar = false) {
+      deactivate();
+      const selector = similar
+        ? ElementHiderSelectorGenerator.getSimilarSelector(el)
+        : ElementHiderSelectorGenerator.generateSelector(el);
+      const saved = await saveSelections([{ selector, domain: getCurrentDomain(el.ownerDocument) }]);
+      return saved ? selector : null;
+    }
+
+    return { activate, deactivate, hideElement, isActive: () => isPickerModeActive };
   })();
 
   /**
    * @async
-   * @description Initializes the extension's state on page load. It checks if persistence is
-   * enabled and, if so, fetches the selectors for the current domain from storage and
-   * applies them by calling `updateHiddenElements`.
+   * @description Initializes the extension's state on page load. It loads (and, if needed, migrates)
+   * the stored rules, the subscribed preset lists, the persistence setting, the pause state, the focus
+   * session and the disabled groups into `ruleCache` in parallel, the only storage reads of the page
+   * view, and reports the tab's status to `background.js`. If persistence is enabled and hiding is not
+   * paused, it applies the rules for the current page as soon as they have arrived and records which
+   * of the user's rules matched.
    * @returns {Promise<void>}
    */
   async function initialize() {
     try {
       if (!isContextValid()) return; // GUARD
-      const result = await chrome.storage.local.get([
-        "selectors",
-        "isPersistenceEnabled",
-      ]);
-      const shouldPersist = result.isPersistenceEnabled !== false;
-      const currentDomain = getCurrentDomain();
-      const domainSelectors = result.selectors?.[currentDomain] || [];
-      if (shouldPersist && domainSelectors.length > 0) {
-        updateHiddenElements(domainSelectors);
+      const start = performance.now();
+      const [selectors, subscriptions, settings, pauseState, focusSession, groupState, autoUnblockSites] =
+        await Promise.all([
+          ElementHiderRules.loadSelectors(),
+          ElementHiderSubscriptions.loadSubscriptions(),
+          chrome.storage.local.get("isPersistenceEnabled"),
+          ElementHiderRules.loadPauseState(),
+          ElementHiderRules.loadFocusSession(),
+          ElementHiderRules.loadGroupState(),
+          IS_TOP_FRAME ? ElementHiderRules.loadAutoUnblockSites() : [],
+        ]);
+      ruleCache.selectors = selectors;
+      ruleCache.subscriptions = subscriptions;
+      ruleCache.isPersistenceEnabled = settings.isPersistenceEnabled !== false;
+      ruleCache.pauseState = pauseState;
+      ruleCache.focusSession = focusSession;
+      ruleCache.groupState = groupState;
+      logger.log(`Loaded rules in ${(performance.now() - start).toFixed(1)} ms.`);
+      scheduleStatusReport(true);
+      if (!ruleCache.isPersistenceEnabled) return;
+      const { pageRules, activeRules } = resolveCachedRules();
+      if (activeRules.length > 0) {
+        applyCachedRules();
+      }
+      // Frames (often many, and short-lived) would multiply the storage writes, so only the top frame
+      // records visits.
+      if (pageRules.length > 0 && IS_TOP_FRAME) {
+        // This script runs at `document_start`, so the page is evaluated once it has been parsed.
+        const scheduleVisit = () =>
+          setTimeout(() => {
+            if (!isContextValid()) return;
+            recordRuleVisit().catch((error) => {
+              if (isContextValid()) {
+                logger.error("Failed to record rule matches.", error);
+              }
+            });
+          }, VISIT_EVALUATION_DELAY);
+        if (document.readyState === "loading") {
+          document.addEventListener("DOMContentLoaded", scheduleVisit, { once: true });
+        } else {
+          scheduleVisit();
+        }
+      }
+      if (IS_TOP_FRAME && autoUnblockSites.includes(getSiteDomain())) {
+        Unblocker.scheduleAutomatic();
       }
     } catch (error) {
       if (isContextValid()) {
@@ -400,55 +2519,207 @@
     }
   }
 
+  /**
+   * @description Counts the live matches of each rule with `findRuleMatches`. A selector that cannot
+   * be parsed is reported as invalid instead of throwing; the browser silently drops the matching
+   * CSS rule, so this is the only place such a rule becomes visible. Elements already removed by a
+   * `remove` rule during this page view are included in its count.
+   * @param {Array<object>} rules - The page's merged rules.
+   * @returns {Array<{id: string, scope: string, selector: string, enabled: boolean, matchCount: number, valid: boolean, error: ?string}>}
+   *   One health entry per rule, in the same order.
+   */
+  function computeRuleHealth(rules) {
+    return rules.map((rule) => {
+      const entry = {
+        id: rule.id,
+        scope: rule.scope,
+        selector: rule.selector,
+        enabled: rule.enabled,
+        matchCount: 0,
+        valid: true,
+        error: null,
+      };
+      try {
+        entry.matchCount = findRuleMatches(rule.selector).length;
+        if (rule.action === "remove") {
+          entry.matchCount += removedCounts.get(rule.selector) || 0;
+        }
+      } catch (e) {
+        entry.valid = false;
+        entry.error = e.message;
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * @description Measures how much of the page each selector typed into the popup's editor would
+   * hide: its matches plus everything inside them, as a share of all the page's elements. For CSS
+   * selectors the browser counts the union (`sel, :is(sel) *`); for procedural and shadow-crossing
+   * selectors the subtrees of the matches are added up, which can only overestimate. Invalid
+   * selectors are left out.
+   * @param {string[]} selectors - The selectors to measure.
+   * @returns {Array<{selector: string, matchCount: number, coverage: number}>}
+   */
+  function measureSelectors(selectors) {
+    const total = Math.max(document.getElementsByTagName("*").length, 1);
+    return selectors.flatMap((selector) => {
+      try {
+        const matches = findRuleMatches(selector);
+        let hidden;
+        if (ElementHiderShadow.isShadowSelector(selector) || ElementHiderProcedural.isProcedural(selector)) {
+          hidden = matches.reduce((sum, el) => sum + 1 + el.getElementsByTagName("*").length, 0);
+        } else {
+          hidden = document.querySelectorAll(`${selector}, :is(${selector}) *`).length;
+        }
+        return [{ selector, matchCount: matches.length, coverage: Math.min(hidden / total, 1) }];
+      } catch (e) {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * @description Collects the class names and ids used on the page for the popup editor's
+   * autocompletion: class names most frequent first, ids in page order. Generated-looking names (see
+   * `ElementHiderSelectorGenerator.isRandomLooking`) change between visits and are left out.
+   * @returns {{classes: string[], ids: string[]}}
+   */
+  function collectPageTokens() {
+    const classCounts = new Map();
+    const ids = [];
+    for (const el of document.querySelectorAll("[class], [id]")) {
+      for (const name of el.classList) {
+        if (!ElementHiderSelectorGenerator.isRandomLooking(name)) {
+          classCounts.set(name, (classCounts.get(name) || 0) + 1);
+        }
+      }
+      if (el.id && ids.length < PAGE_TOKEN_LIMIT && !ElementHiderSelectorGenerator.isRandomLooking(el.id)) {
+        ids.push(el.id);
+      }
+    }
+    const classes = [...classCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, PAGE_TOKEN_LIMIT)
+      .map(([name]) => name);
+    return { classes, ids };
+  }
+
   /**
    * @async
-   * @description Reverts the last element hidden by the picker tool. It pops the last-added
-   * selector from the `pickerActionHistory` session stack, removes it from the master list in
-   * `chrome.storage.local`, and updates the page styles.
+   * @description Records the outcome of this page visit in the match statistics (`ruleStats`, see
+   * `rules.js`) of every enabled rule that applies to it. A rule that matched has `missedVisits`
+   * reset and, at most every `MATCH_STAMP_INTERVAL`, `lastMatchedAt` stamped; a valid rule that
+   * matched nothing has `missedVisits` incremented so the popup can flag it as stale. The statistics
+   * of deleted rules are dropped. The rules themselves are never written, and the statistics only
+   * when something changed.
    * @returns {Promise<void>}
    */
-  async function revertLastAction() {
-    if (pickerActionHistory.length === 0) {
-      logger.warn("No actions in session history to revert.");
-      return;
+  async function recordRuleVisit() {
+    const now = Date.now();
+    const health = computeRuleHealth(
+      getPageRules(ruleCache.selectors).filter((rule) => rule.enabled)
+    );
+    const ruleStats = await ElementHiderRules.loadRuleStats();
+    let changed = false;
+    for (const entry of health) {
+      const stats = ElementHiderRules.getRuleStats(ruleStats, entry.id);
+      if (entry.matchCount > 0) {
+        const stamp = now - (stats.lastMatchedAt || 0) >= MATCH_STAMP_INTERVAL;
+        if (!stamp && !stats.missedVisits) continue;
+        ruleStats[entry.id] = {
+          missedVisits: 0,
+          lastMatchedAt: stamp ? now : stats.lastMatchedAt,
+        };
+        changed = true;
+      } else if (entry.valid) {
+        ruleStats[entry.id] = { ...stats, missedVisits: stats.missedVisits + 1 };
+        changed = true;
+      }
+    }
+    const ruleIds = new Set(Object.values(ruleCache.selectors).flatMap((rules) => rules.map((rule) => rule.id)));
+    for (const id of Object.keys(ruleStats)) {
+      if (ruleIds.has(id)) continue;
+      delete ruleStats[id];
+      changed = true;
     }
-    const selectorToRevert = pickerActionHistory.pop();
-    logger.log("Reverting selector:", selectorToRevert);
+    if (changed && isContextValid()) {
+      await ElementHiderRules.saveRuleStats(ruleStats);
+    }
+  }
+
+  /**
+   * @async
+   * @description Steps through the top-level site's persistent history (see `rules.js`), which also
+   * holds the picks made in its frames, and updates the page styles. Undo reverts the most recent
+   * change still in effect, whether it was made with the picker or from the popup; redo reapplies the
+   * most recently undone one.
+   * @param {boolean} backwards - True to undo, false to redo.
+   * @returns {Promise<void>}
+   */
+  async function stepHistory(backwards) {
     try {
-      if (!isContextValid()) {
-        // GUARD
-        pickerActionHistory.push(selectorToRevert); // Push back if we can't save
+      if (!isContextValid()) return; // GUARD
+      const domain = getSiteDomain();
+      const result = backwards
+        ? await ElementHiderRules.undo(domain)
+        : await ElementHiderRules.redo(domain);
+      if (!result) {
+        logger.warn(`Nothing to ${backwards ? "undo" : "redo"} for domain:`, domain);
         return;
       }
-      const result = await chrome.storage.local.get({ selectors: {} });
-      const allSelectors = result.selectors || {};
-      const currentDomain = getCurrentDomain();
-      let domainSelectors = allSelectors[currentDomain] || [];
-      const newDomainSelectors = domainSelectors.filter(
-        (s) => s !== selectorToRevert
-      );
-
-      if (newDomainSelectors.length === 0) {
-        delete allSelectors[currentDomain];
-      } else {
-        allSelectors[currentDomain] = newDomainSelectors;
-      }
-      await chrome.storage.local.set({ selectors: allSelectors });
-      updateHiddenElements(newDomainSelectors);
+      logger.log(backwards ? "Undid:" : "Redid:", result.entry.summary);
+      ruleCache.selectors = result.selectors;
+      applyCachedRules();
     } catch (error) {
-      pickerActionHistory.push(selectorToRevert); // Push back on any failure
       if (isContextValid()) {
-        logger.error("Error during revert action:", error);
+        logger.error("Error while stepping through history:", error);
       }
     }
   }
 
+  /**
+   * @description Undoes the last change to the rules of the page's site (`Ctrl+Shift+Z`).
+   * @returns {Promise<void>}
+   */
+  function revertLastAction() {
+    return stepHistory(true);
+  }
+
+  /**
+   * @description Redoes the last undone change to the rules of the page's site (`Ctrl+Shift+Y`).
+   * @returns {Promise<void>}
+   */
+  function redoLastAction() {
+    return stepHistory(false);
+  }
+
   /**
    * @listens chrome.runtime.onMessage
    * @description Main message listener for commands from other parts of the extension.
    * - `updateSelectors`: Received from `popup.js` to apply a new set of rules.
    * - `togglePickerMode`: Received from `background.js` via a hotkey to activate/deactivate the picker.
-   * - `revertLastAction`: Received from `background.js` via a hotkey to undo the last picker action.
+   * - `revertLastAction`: Received from `background.js` via a hotkey to undo the last change.
+   * - `redoLastAction`: Received from `background.js` via a hotkey to redo the last undone change.
+   * - `getRuleHealth`: Received from `popup.js` to report live match counts, invalid selectors and the
+   *   script's overhead on the page (`perfStats`).
+   * - `hideContextTarget`: Received from `background.js` when "Hide this element" or "Hide similar
+   *   elements" (`request.similar`) is chosen in the context menu. Sent to the frame the menu was
+   *   opened in, which hides its `contextMenuTarget`.
+   * - `toggleSitePause`: Received from `background.js` via the context menu to pause or resume hiding
+   *   on the current site.
+   * - `togglePeek`: Received from `background.js` via a hotkey or from `popup.js` to turn peek mode
+   *   (see `Peek`) on or off. Every frame toggles its own; the top frame answers.
+   * - `getTabStatus`: Received from `background.js` to check that the script runs in the top frame;
+   *   answered with `collectTabStatus`.
+   * - `reevaluateConditions`: Received from `background.js` when a rule's time window starts or ends.
+   *   Every frame re-applies its rules.
+   * - `measureSelectors`: Received from `popup.js` to check how much of the page the selectors in its
+   *   editor (`request.selectors`) would hide (see `measureSelectors`).
+   * - `getPageTokens`: Received from `popup.js` for the class names and ids its editor autocompletes
+   *   (see `collectPageTokens`).
+   * - `unblockPage`: Received from `popup.js` or from `background.js` via the context menu to hide the
+   *   page's overlays and restore scrolling (see `Unblocker`).
    * @param {object} request - The message object.
    * @param {object} sender - Information about the script that sent the message.
    * @param {function} sendResponse - Function to call to send a response.
@@ -460,69 +2731,395 @@
       logger.log("Context invalidated. Ignoring message:", request.action);
       return;
     }
+    if (request.action === "hideContextTarget") {
+      if (!contextMenuTarget?.isConnected) {
+        sendResponse({ status: "No element to hide" });
+        return;
+      }
+      Picker.hideElement(contextMenuTarget, !!request.similar).then((selector) =>
+        sendResponse(
+          selector
+            ? { status: "Element hidden", selector }
+            : { status: "Failed to hide the element" }
+        )
+      );
+      contextMenuTarget = null;
+      return true;
+    }
+    if (request.action === "togglePeek") {
+      const peeking = Peek.toggle();
+      if (IS_TOP_FRAME) sendResponse({ peeking });
+      return;
+    }
+    if (request.action === "reevaluateConditions") {
+      if (ruleCache.isPersistenceEnabled) applyCachedRules();
+      return;
+    }
+    // Messages to the tab reach every frame; the top frame answers, and its picker reaches into
+    // same-origin frames. Other frames pick up rule changes through `startStorageWatcher`.
+    if (!IS_TOP_FRAME) return;
 
     if (request.action === "updateSelectors") {
-      pickerActionHistory = [];
-      logger.log("Session history cleared due to manual update from popup.");
-      const currentDomain = getCurrentDomain();
-      const domainSelectors = request.selectors?.[currentDomain] || [];
-      updateHiddenElements(domainSelectors);
-      sendResponse({ status: "Selectors updated and history cleared" });
+      ruleCache.selectors = request.selectors || {};
+      applyCachedRules();
+      sendResponse({ status: "Selectors updated" });
     } else if (request.action === "togglePickerMode") {
       Picker.isActive() ? Picker.deactivate() : Picker.activate();
       sendResponse({ status: "Picker mode toggled" });
     } else if (request.action === "revertLastAction") {
       revertLastAction();
       sendResponse({ status: "Revert action triggered" });
+    } else if (request.action === "redoLastAction") {
+      redoLastAction();
+      sendResponse({ status: "Redo action triggered" });
+    } else if (request.action === "getTabStatus") {
+      sendResponse({ status: collectTabStatus() });
+    } else if (request.action === "toggleSitePause") {
+      const site = getSiteDomain();
+      ElementHiderRules.setSitePaused(site, !ruleCache.pauseState.pausedSites.includes(site))
+        .then((pausedSites) => sendResponse({ paused: pausedSites.includes(site) }))
+        .catch((error) => {
+          logger.error("Failed to pause or resume hiding.", error);
+          sendResponse({ error: error.message });
+        });
+    } else if (request.action === "measureSelectors") {
+      sendResponse({ selectors: measureSelectors(request.selectors || []) });
+    } else if (request.action === "getPageTokens") {
+      sendResponse(collectPageTokens());
+    } else if (request.action === "unblockPage") {
+      Unblocker.unblock()
+        .then(sendResponse)
+        .catch((error) => {
+          logger.error("Failed to unblock the page.", error);
+          sendResponse({ error: error.message });
+        });
+    } else if (request.action === "getRuleHealth") {
+      ElementHiderRules.loadSelectors()
+        .then((allSelectors) => {
+          sendResponse({
+            url: window.location.href,
+            rules: computeRuleHealth(getPageRules(allSelectors)),
+            perf: { ...perfStats },
+          });
+        })
+        .catch((error) => {
+          logger.error("Failed to compute rule health.", error);
+          sendResponse({ url: window.location.href, rules: [] });
+        });
     }
     return true;
   });
 
+  /**
+   * @typedef {object} TabStatus
+   * @property {string} url - The URL rules are matched against (see `getPageUrl`).
+   * @property {string} domain - The frame's hostname (see `getCurrentDomain`).
+   * @property {boolean} paused - Whether hiding is paused here (see `isHidingPaused`).
+   * @property {number} activeRules - How many rules, own and subscribed, are active.
+   * @property {number} hiddenCount - How many elements the active rules hide, including those removed.
+   * @property {number} invalidRules - How many active rules have a selector that cannot be used.
+   */
+
+  /**
+   * @description Checks whether a rule's selector can be used, without searching the page.
+   * @param {string} selector - The rule's selector.
+   * @returns {boolean}
+   */
+  function isUsableSelector(selector) {
+    if (ElementHiderShadow.isShadowSelector(selector)) {
+      return ElementHiderShadow.validate(selector) === null;
+    }
+    if (ElementHiderProcedural.isProcedural(selector)) {
+      return ElementHiderProcedural.validate(selector) === null;
+    }
+    return isCssSelectorUsable(selector);
+  }
+
+  /**
+   * @description Recounts what the rules hide in the document once they have been applied. Procedural
+   * rules are counted through the attribute their matches were marked with, so no text is searched.
+   * @param {Array<{selector: string}>} activeRules - The active rules of the page.
+   * @returns {void}
+   */
+  function recountHiddenElements(activeRules) {
+    hiddenElements.clear();
+    pendingStatusRoots.clear();
+    for (const { selector } of appliedRules) {
+      queryRuleTargets(selector).forEach((el) => hiddenElements.add(el));
+    }
+    invalidRuleCount = activeRules.filter((rule) => !isUsableSelector(rule.selector)).length;
+  }
+
+  /**
+   * @description Brings `hiddenElements` up to date with the DOM changes since the last report:
+   * adds the matches within the added content and drops the elements no longer in the page.
+   * @returns {void}
+   */
+  function countAddedElements() {
+    const roots = [...pendingStatusRoots].filter((root) => root.isConnected);
+    pendingStatusRoots.clear();
+    if (roots.length > 0) {
+      for (const { selector } of appliedRules) {
+        queryRuleTargets(selector, roots).forEach((el) => hiddenElements.add(el));
+      }
+    }
+    for (const el of hiddenElements) {
+      if (!el.isConnected) hiddenElements.delete(el);
+    }
+  }
+
+  /**
+   * @description Collects this frame's status for `background.js` and the popup.
+   * @returns {TabStatus}
+   */
+  function collectTabStatus() {
+    countAddedElements();
+    const { activeRules } = resolveCachedRules();
+    const removed = activeRules.reduce((sum, { selector }) => sum + (removedCounts.get(selector) || 0), 0);
+    return {
+      url: getPageUrl(),
+      domain: getCurrentDomain(),
+      paused: isHidingPaused(),
+      activeRules: activeRules.length,
+      hiddenCount: hiddenElements.size + shadowHiddenCount + removed,
+      invalidRules: invalidRuleCount,
+    };
+  }
+
+  /** @type {?string} The last status sent by `reportTabStatus`, serialized, to skip repeats. */
+  let lastReportedStatus = null;
+
+  /** @type {?number} Pending timeout of `scheduleStatusReport`. */
+  let statusReportTimeout = null;
+
+  /** @type {boolean} Whether the pending report must be sent even if nothing changed. */
+  let isStatusReportForced = false;
+
+  /**
+   * How long after a change the status is reported, in milliseconds. Reports are not postponed by
+   * further changes, so a busy page reports at most this often.
+   * @type {number}
+   */
+  const STATUS_REPORT_DELAY = 500;
+
+  /**
+   * @description Reports this frame's status (see `collectTabStatus`) to `background.js`, which
+   * combines the frames of a tab into its toolbar badge and answers the popup with it. A status equal
+   * to the last one is only sent again when `force` is set (after the rules were re-applied, e.g. on a
+   * client-side navigation). Frames without active rules stay silent until they have some.
+   * @param {boolean} [force=false] - Whether to report an unchanged status.
+   * @returns {void}
+   */
+  function reportTabStatus(force = false) {
+    if (!isContextValid()) return;
+    const status = collectTabStatus();
+    const serialized = JSON.stringify(status);
+    if (!force && serialized === lastReportedStatus) return;
+    if (!IS_TOP_FRAME && lastReportedStatus === null && status.activeRules === 0) return;
+    lastReportedStatus = serialized;
+    chrome.runtime
+      .sendMessage({ action: "reportTabStatus", status })
+      .catch((error) => logger.warn("Could not report the tab status.", error));
+  }
+
+  /**
+   * @description Schedules `reportTabStatus` after `STATUS_REPORT_DELAY`, unless one is already pending.
+   * @param {boolean} [force=false] - Whether to report an unchanged status.
+   * @returns {void}
+   */
+  function scheduleStatusReport(force = false) {
+    isStatusReportForced ||= force;
+    if (statusReportTimeout) return;
+    statusReportTimeout = setTimeout(() => {
+      statusReportTimeout = null;
+      const forced = isStatusReportForced;
+      isStatusReportForced = false;
+      reportTabStatus(forced);
+    }, STATUS_REPORT_DELAY);
+  }
+
+  /**
+   * The element the context menu was last opened on in this frame. The menu itself is drawn by the
+   * browser, and `background.js` only learns which frame it was opened in, so the element is recorded
+   * here by `startContextMenuTracking`.
+   * @type {?Element}
+   */
+  let contextMenuTarget = null;
+
+  /**
+   * @description Records the target of every `contextmenu` event (see `contextMenuTarget`). The
+   * listener captures, so pages that stop the event still report it, and it reaches into open shadow
+   * roots (see `getEventTarget`).
+   * @returns {void}
+   */
+  function startContextMenuTracking() {
+    document.addEventListener(
+      "contextmenu",
+      (event) => {
+        contextMenuTarget = getEventTarget(event);
+      },
+      { capture: true }
+    );
+  }
+
+  /**
+   * The event `route-hook.js` dispatches on `window` from the page's main world after every
+   * `history.pushState`/`history.replaceState` call. Must match the constant in that file.
+   * @type {string}
+   */
+  const ROUTE_CHANGE_EVENT = "element-hider:routechange";
+
+  /**
+   * The URL the active rule set was last computed for. Compared against `window.location.href`
+   * to tell real route changes apart from repeated or no-op history events.
+   * @type {string}
+   */
+  let lastEvaluatedUrl = window.location.href;
+
+  /**
+   * @description Handles a possible client-side navigation. If the URL actually changed since the
+   * rules were last evaluated, path-scoped rules may have switched on or off, so the active rule
+   * set is recomputed from `ruleCache`.
+   * @returns {void}
+   */
+  function handleRouteChange() {
+    if (!isContextValid() || window.location.href === lastEvaluatedUrl) return;
+    logger.log("Route changed to", window.location.href);
+    if (ruleCache.isPersistenceEnabled) {
+      applyCachedRules();
+    } else {
+      lastEvaluatedUrl = window.location.href;
+    }
+  }
+
+  /**
+   * @description Starts watching for SPA navigation: `pushState`/`replaceState` (reported by the
+   * main-world `route-hook.js`), back/forward (`popstate`) and fragment changes (`hashchange`).
+   * @returns {void}
+   */
+  function startRouteWatcher() {
+    window.addEventListener(ROUTE_CHANGE_EVENT, handleRouteChange);
+    window.addEventListener("popstate", handleRouteChange);
+    window.addEventListener("hashchange", handleRouteChange);
+    logger.log("Route watcher started.");
+  }
+
+  /**
+   * @listens chrome.storage.onChanged
+   * @description Keeps `ruleCache` in sync with storage and re-applies the rules when they changed:
+   * the user's rules (edited in the popup or another tab), a preset list subscription (toggled in the
+   * popup, or a new version fetched by `background.js`), the persistence setting, the pause state, the
+   * focus session, which switches the rules that only apply during one, or the rule group switches and
+   * the active profile.
+   * While persistence is off, only changes to the user's own rules and to pausing are applied, as the
+   * popup's Save always applies them and pausing must take effect at once.
+   * @returns {void}
+   */
+  function startStorageWatcher() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !isContextValid()) return;
+      if (
+        !changes.selectors &&
+        !changes.subscriptions &&
+        !changes.isPersistenceEnabled &&
+        !changes.pausedSites &&
+        !changes.pausedEverywhere &&
+        !changes.focusSession &&
+        !changes.disabledGroups &&
+        !changes.profiles &&
+        !changes.activeProfile
+      ) {
+        return;
+      }
+      if (changes.selectors) ruleCache.selectors = changes.selectors.newValue || {};
+      if (changes.subscriptions) ruleCache.subscriptions = changes.subscriptions.newValue || {};
+      if (changes.isPersistenceEnabled) {
+        ruleCache.isPersistenceEnabled = changes.isPersistenceEnabled.newValue !== false;
+      }
+      const pauseChanged = !!(changes.pausedSites || changes.pausedEverywhere);
+      if (changes.pausedSites) {
+        ruleCache.pauseState.pausedSites = changes.pausedSites.newValue || [];
+      }
+      if (changes.pausedEverywhere) {
+        ruleCache.pauseState.pausedEverywhere = changes.pausedEverywhere.newValue === true;
+      }
+      if (changes.focusSession) ruleCache.focusSession = changes.focusSession.newValue || null;
+      if (changes.disabledGroups) ruleCache.groupState.disabledGroups = changes.disabledGroups.newValue || {};
+      if (changes.profiles) ruleCache.groupState.profiles = changes.profiles.newValue || [];
+      if (changes.activeProfile) ruleCache.groupState.activeProfile = changes.activeProfile.newValue || null;
+      if (ruleCache.isPersistenceEnabled || changes.selectors || pauseChanged) {
+        logger.log("Stored rules changed, re-applying rules.");
+        applyCachedRules();
+      }
+    });
+  }
+
   /**
    * @description Starts a MutationObserver to handle dynamically loaded content on Single Page Applications (SPAs).
-   * This ensures that hiding rules are re-applied when the user navigates within a site
-   * without a full page reload. It is debounced to avoid performance issues on pages with
-   * frequent DOM changes.
+   * Each batch of mutations is handled incrementally and synchronously, so matching content never
+   * flashes up: the stylesheet is restored if the page removed it (`StyleInjector.verify`), the
+   * rules that need JavaScript run on just the added nodes (`processAddedNodes`), and placeholders
+   * of removed elements are dropped. Shadow roots are rescanned shortly after
+   * (`scheduleShadowRescan`), as their contents are not observed. Nothing is processed while hiding
+   * is paused. The added nodes are kept for the next status report (`scheduleStatusReport`), which
+   * counts the matches within them only. The rules themselves come from `ruleCache`, so no storage
+   * is read. A URL change the route watcher did not see is picked up here as a fallback. The time
+   * spent is added to `perfStats`.
    * @returns {void}
    */
   function startMutationObserver() {
-    let debounceTimeout;
-    const observer = new MutationObserver(() => {
-      clearTimeout(debounceTimeout);
-      debounceTimeout = setTimeout(async () => {
-        if (!isContextValid()) {
-          // PRIMARY FIX IS HERE
-          logger.log("MutationObserver stopped: Context became invalid.");
-          observer.disconnect(); // Stop observing to prevent future errors
-          return;
-        }
+    const observer = new MutationObserver((mutations) => {
+      if (!isContextValid()) {
+        // PRIMARY FIX IS HERE
+        logger.log("MutationObserver stopped: Context became invalid.");
+        observer.disconnect(); // Stop observing to prevent future errors
+        return;
+      }
 
-        logger.log("DOM changed (debounced), re-applying rules.");
-        try {
-          const result = await chrome.storage.local.get([
-            "selectors",
-            "isPersistenceEnabled",
-          ]);
-          if (result.isPersistenceEnabled !== false) {
-            const currentDomain = getCurrentDomain();
-            const domainSelectors = result.selectors?.[currentDomain] || [];
-            updateHiddenElements(domainSelectors);
-          }
-        } catch (error) {
-          if (isContextValid()) {
-            logger.error("Error re-applying rules in MutationObserver.", error);
+      const start = performance.now();
+      try {
+        if (window.location.href !== lastEvaluatedUrl) {
+          handleRouteChange();
+        }
+        if (!isHidingPaused()) {
+          const roots = getAddedRoots(mutations);
+          processAddedNodes(roots);
+          roots.forEach((root) => pendingStatusRoots.add(root));
+          scheduleShadowRescan();
+        }
+        if (Peek.isActive()) Peek.scheduleRefresh();
+        scheduleStatusReport();
+        if (placeholders.size > 0 && mutations.some((m) => m.removedNodes.length > 0)) {
+          for (const [element, host] of placeholders) {
+            if (!element.isConnected) {
+              host.remove();
+              placeholders.delete(element);
+            }
           }
         }
-      }, 300);
+        StyleInjector.verify();
+      } catch (error) {
+        logger.error("Error processing DOM changes.", error);
+      }
+      perfStats.mutationBatches++;
+      perfStats.maxBatchTime = Math.max(perfStats.maxBatchTime, recordPerf(start));
     });
 
-    if (document.body) {
-      observer.observe(document.body, { childList: true, subtree: true });
-      logger.log("MutationObserver started.");
+    if (!document.documentElement) {
+      // Only possible at `document_start` in unusual documents; start once the DOM exists.
+      document.addEventListener("DOMContentLoaded", startMutationObserver, { once: true });
+      return;
     }
+    // The whole document is observed, from `document_start` on, so that the parser's insertions are
+    // processed as they happen and removing the style tag from `<head>` is noticed too.
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+    logger.log("MutationObserver started.");
   }
 
   // --- Initial Kick-off ---
   initialize();
   startMutationObserver();
+  startRouteWatcher();
+  startStorageWatcher();
+  startContextMenuTracking();
 })();
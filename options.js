@@ -0,0 +1,914 @@
+/**
+ * @fileoverview Script for the Element Hider options page (options.html), a dashboard for the rules
+ * of every scope at once.
+ *
+ * This script handles:
+ * - Listing every stored scope with its rules, narrowed down by a search text and a rule state, or
+ *   to the scopes that apply to one page (`options.html?site=<url>`, opened from the context menu).
+ * - Editing a rule's selector (checked with `ElementHiderRuleIO.isValidSelector` before it is saved),
+ *   label, action, group, enabled state and activation conditions, and deleting single rules or whole
+ *   scopes.
+ * - Bulk actions on the ticked rules: enable, disable, delete, set the action or the group, and move
+ *   or copy them to another scope.
+ * - Creating, renaming, deleting and switching the profiles, each a set of rule groups.
+ * - Showing how much of the `chrome.storage.local` quota is in use.
+ * - Switching cross-device sync on or off and showing its status (see `sync.js`).
+ *
+ * All writes go through `ElementHiderRules` (rules.js), like the popup's. Open tabs pick the changes up
+ * through `chrome.storage.onChanged`, and this page re-renders when the popup or the picker changes
+ * the rules while it is open.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const storageUsage = document.getElementById('storage-usage');
+    const storageSummary = document.getElementById('storage-summary');
+    const syncCheckbox = document.getElementById('sync-enabled');
+    const syncStatusText = document.getElementById('sync-status');
+    const searchInput = document.getElementById('rule-search');
+    const filterSelect = document.getElementById('rule-filter');
+    const selectAllCheckbox = document.getElementById('select-all');
+    const selectionCount = document.getElementById('selection-count');
+    const bulkEnableButton = document.getElementById('bulk-enable');
+    const bulkDisableButton = document.getElementById('bulk-disable');
+    const bulkDeleteButton = document.getElementById('bulk-delete');
+    const bulkActionSelect = document.getElementById('bulk-action');
+    const bulkSetActionButton = document.getElementById('bulk-set-action');
+    const bulkScopeInput = document.getElementById('bulk-scope');
+    const bulkMoveButton = document.getElementById('bulk-move');
+    const bulkCopyButton = document.getElementById('bulk-copy');
+    const bulkGroupInput = document.getElementById('bulk-group');
+    const bulkSetGroupButton = document.getElementById('bulk-set-group');
+    const bulkStatus = document.getElementById('bulk-status');
+    const groupSuggestions = document.getElementById('group-suggestions');
+    const activeProfileSelect = document.getElementById('active-profile');
+    const profileList = document.getElementById('profile-list');
+    const profileNameInput = document.getElementById('profile-name');
+    const addProfileButton = document.getElementById('add-profile');
+    const scopeSuggestions = document.getElementById('scope-suggestions');
+    const scopeList = document.getElementById('scope-list');
+
+    /**
+     * Display names of the rule actions in `ElementHiderRules.RULE_ACTIONS`.
+     * @type {Object<string, string>}
+     */
+    const RULE_ACTION_LABELS = {
+        collapse: 'Hide',
+        blur: 'Blur',
+        dim: 'Dim',
+        remove: 'Remove',
+        placeholder: 'Placeholder',
+    };
+
+    /**
+     * The storage keys broken down in the storage summary, with their display names.
+     * @type {Array<[string, string]>}
+     */
+    const STORAGE_KEYS = [
+        ['selectors', 'rules'],
+        ['history', 'history'],
+        ['subscriptions', 'preset lists'],
+    ];
+
+    /**
+     * The complete rule map, as last loaded or saved.
+     * @type {Object<string, Array<object>>}
+     */
+    let allSelectors = {};
+
+    /**
+     * The rules' match statistics by rule id, as last loaded. Only used to show and filter stale rules,
+     * so it is not reloaded on every page visit.
+     * @type {Object<string, object>}
+     */
+    let ruleStats = {};
+
+    /**
+     * The per-site group switches and the profiles, as last loaded.
+     * @type {{disabledGroups: Object<string, string[]>, profiles: Array<object>, activeProfile: ?string}}
+     */
+    let groupState = { disabledGroups: {}, profiles: [], activeProfile: null };
+
+    /**
+     * The number of profiles with a hotkey of their own (`activate-profile-<n>` in manifest.json).
+     * @type {number}
+     */
+    const PROFILE_HOTKEYS = 3;
+
+    /**
+     * The ticked rules, as keys from `ruleKey`. Kept across re-renders; rules that no longer exist are
+     * dropped on the next render.
+     * @type {Set<string>}
+     */
+    const selectedKeys = new Set();
+
+    /**
+     * The rule whose conditions editor is open, as a key from `ruleKey`, so it stays open across
+     * re-renders.
+     * @type {?string}
+     */
+    let editingConditionsKey = null;
+
+    /**
+     * The weekdays in the order the conditions editor lists them, Monday first.
+     * @type {number[]}
+     */
+    const EDITOR_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+    /**
+     * The keys of the rules the current search and filter show, in display order.
+     * @type {string[]}
+     */
+    let shownKeys = [];
+
+    /**
+     * The page whose rules the `site` filter shows, from the `site` query parameter, or `null`.
+     * @type {?string}
+     */
+    const siteFilterUrl = new URLSearchParams(window.location.search).get('site');
+
+    /**
+     * Builds the key identifying a rule in `selectedKeys`. Scopes cannot contain whitespace, so a
+     * space separates the two parts unambiguously.
+     * @param {string} scope - The scope the rule is stored under.
+     * @param {string} id - The rule's id.
+     * @returns {string}
+     */
+    function ruleKey(scope, id) {
+        return `${scope} ${id}`;
+    }
+
+    /**
+     * Splits a key from `ruleKey` back into the reference `ElementHiderRules.transferRules` expects.
+     * @param {string} key - The rule key.
+     * @returns {{scope: string, id: string}}
+     */
+    function parseRuleKey(key) {
+        const space = key.lastIndexOf(' ');
+        return { scope: key.slice(0, space), id: key.slice(space + 1) };
+    }
+
+    /**
+     * Returns the site whose history records changes to a scope: its hostname without a leading
+     * `*.`, or `file://` for local files. The global scope belongs to no site.
+     * @param {string} scope - The scope key.
+     * @returns {?string}
+     */
+    function getHistoryDomain(scope) {
+        if (scope.startsWith(ElementHiderRules.FILE_SCOPE)) return ElementHiderRules.FILE_SCOPE;
+        const host = scope.split('/')[0].replace(/^\*\./, '').toLowerCase();
+        return host === ElementHiderRules.GLOBAL_SCOPE ? null : host;
+    }
+
+    /**
+     * Builds the history record passed to the `ElementHiderRules` write helpers. History is kept per
+     * site, so a change is only recorded when every scope it touches belongs to the same site.
+     * @param {string[]} scopes - The scopes the change touches.
+     * @param {string} type - The entry type ('edit' or 'clear').
+     * @param {string} summary - A short description shown in the popup's history list.
+     * @returns {?{domain: string, type: string, summary: string}} The record, or null if there is no single site.
+     */
+    function historyRecord(scopes, type, summary) {
+        const domains = new Set(scopes.map(getHistoryDomain));
+        if (domains.size !== 1 || domains.has(null)) return null;
+        return { domain: [...domains][0], type, summary };
+    }
+
+    /**
+     * Formats a size in bytes for the storage summary.
+     * @param {number} bytes - The size.
+     * @returns {string} e.g. '512 B', '1.4 KB' or '2.1 MB'.
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Formats an epoch timestamp for the rule tooltips.
+     * @param {?number} timestamp - Epoch milliseconds, or null.
+     * @returns {string} A localized date string, or 'never'.
+     */
+    function formatTimestamp(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+    }
+
+    /**
+     * Estimates the storage a scope takes up, the way `chrome.storage` counts it: the key plus the
+     * JSON of the value, in UTF-8.
+     * @param {string} scope - The scope key.
+     * @param {Array<object>} rules - The scope's rules.
+     * @returns {number} The size in bytes.
+     */
+    function getScopeSize(scope, rules) {
+        return new TextEncoder().encode(scope + JSON.stringify(rules)).length;
+    }
+
+    /**
+     * Shows the storage in use against the quota, broken down by key, and the number of rules and scopes.
+     */
+    function refreshStorageStats() {
+        const quota = chrome.storage.local.QUOTA_BYTES;
+        Promise.all([
+            chrome.storage.local.getBytesInUse(null),
+            ...STORAGE_KEYS.map(([key]) => chrome.storage.local.getBytesInUse(key)),
+        ]).then(([total, ...sizes]) => {
+            const scopes = Object.keys(allSelectors).length;
+            const rules = Object.values(allSelectors).reduce((sum, list) => sum + list.length, 0);
+            const breakdown = STORAGE_KEYS.map(([, name], index) => `${name} ${formatBytes(sizes[index])}`);
+            storageUsage.value = total / quota;
+            storageSummary.textContent = `${rules} rule(s) in ${scopes} scope(s) · ` +
+                `${formatBytes(total)} of ${formatBytes(quota)} used (${breakdown.join(', ')}).`;
+        });
+    }
+
+    /**
+     * Shows whether sync is on, when it last exchanged changes and how much of the sync quota the
+     * rules use, or why it failed.
+     */
+    function refreshSyncState() {
+        ElementHiderSync.loadSyncState().then(({ enabled, status }) => {
+            syncCheckbox.checked = enabled;
+            syncStatusText.classList.toggle('error', enabled && Boolean(status.error));
+            if (!enabled) {
+                syncStatusText.textContent = 'Rules are kept on this device only. Sync uses the browser account this profile is signed in to.';
+            } else if (status.error) {
+                syncStatusText.textContent = status.error;
+            } else {
+                syncStatusText.textContent = `Last change synced: ${formatTimestamp(status.lastSyncedAt)} · ` +
+                    `${formatBytes(status.bytesInUse)} of ${formatBytes(status.quotaBytes)} sync storage used.`;
+            }
+        });
+    }
+
+    /**
+     * Tells whether a rule passes the search text and the state filter.
+     * @param {object} rule - The rule.
+     * @param {string} scope - The scope it is stored under; the search text also matches it.
+     * @returns {boolean}
+     */
+    function isRuleShown(rule, scope) {
+        const query = searchInput.value.trim().toLowerCase();
+        if (query && ![rule.selector, rule.label, rule.group || '', scope].some(text => text.toLowerCase().includes(query))) {
+            return false;
+        }
+        switch (filterSelect.value) {
+            case 'enabled':
+                return rule.enabled;
+            case 'disabled':
+                return !rule.enabled;
+            case 'stale':
+                return ElementHiderRules.isRuleStale(rule, ruleStats);
+            case 'invalid':
+                return !ElementHiderRuleIO.isValidSelector(rule.selector);
+            case 'conditional':
+                return Boolean(rule.conditions);
+            case 'site':
+                return ElementHiderRules.scopeMatchesUrl(scope, siteFilterUrl);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Orders scopes for display: the global scope first, then alphabetically by site and path.
+     * @param {string} a - A scope key.
+     * @param {string} b - Another scope key.
+     * @returns {number}
+     */
+    function compareScopes(a, b) {
+        if (a === ElementHiderRules.GLOBAL_SCOPE || b === ElementHiderRules.GLOBAL_SCOPE) {
+            return a === ElementHiderRules.GLOBAL_SCOPE ? -1 : 1;
+        }
+        return a.replace(/^\*\./, '').localeCompare(b.replace(/^\*\./, ''));
+    }
+
+    /**
+     * Renders the rule map: one group per scope with at least one shown rule, the selection state and
+     * the scope suggestions of the bulk move field.
+     * @param {Object<string, Array<object>>} selectors - The complete rule map.
+     */
+    function render(selectors) {
+        allSelectors = selectors;
+        const existingKeys = new Set(Object.entries(selectors).flatMap(([scope, rules]) =>
+            rules.map(rule => ruleKey(scope, rule.id))
+        ));
+        [...selectedKeys].filter(key => !existingKeys.has(key)).forEach(key => selectedKeys.delete(key));
+
+        shownKeys = [];
+        const scopes = Object.keys(selectors).sort(compareScopes);
+        scopeList.replaceChildren(...scopes.flatMap(scope => {
+            const rules = selectors[scope].filter(rule => isRuleShown(rule, scope));
+            if (rules.length === 0) return [];
+            shownKeys.push(...rules.map(rule => ruleKey(scope, rule.id)));
+            return [renderScopeGroup(scope, rules)];
+        }));
+        if (scopes.length === 0) {
+            scopeList.textContent = 'No rules saved yet. Use the element picker or the popup to add some.';
+        } else if (shownKeys.length === 0) {
+            scopeList.textContent = 'No rules match the search.';
+        }
+
+        scopeSuggestions.replaceChildren(...[ElementHiderRules.GLOBAL_SCOPE, ...scopes].filter((scope, index, list) =>
+            list.indexOf(scope) === index
+        ).map(scope => {
+            const option = document.createElement('option');
+            option.value = scope;
+            return option;
+        }));
+        groupSuggestions.replaceChildren(...ElementHiderRules.getGroupNames(selectors).map(group => {
+            const option = document.createElement('option');
+            option.value = group;
+            return option;
+        }));
+        renderSelectionState();
+        renderProfiles();
+        refreshStorageStats();
+    }
+
+    /**
+     * Reloads the profiles from storage and renders them.
+     */
+    function refreshProfiles() {
+        ElementHiderRules.loadGroupState().then(state => {
+            groupState = state;
+            renderProfiles();
+        });
+    }
+
+    /**
+     * Renders the profile menu and one row per profile: its name, its hotkey if it has one, a
+     * checkbox per rule group (every group in use, plus any the profile still lists) and a delete
+     * button. Edits are saved at once.
+     */
+    function renderProfiles() {
+        const { profiles } = groupState;
+        const active = ElementHiderRules.getActiveProfile(groupState);
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No profile (every group on)';
+        activeProfileSelect.replaceChildren(none, ...profiles.map(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            return option;
+        }));
+        activeProfileSelect.value = active ? active.id : '';
+
+        const groups = [...new Set([
+            ...ElementHiderRules.getGroupNames(allSelectors),
+            ...profiles.flatMap(profile => profile.groups),
+        ])].sort();
+        profileList.replaceChildren(...profiles.map((profile, index) => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'input';
+            name.value = profile.name;
+            name.title = 'Profile name';
+            name.addEventListener('change', () => {
+                if (!name.value.trim()) {
+                    name.value = profile.name;
+                    return;
+                }
+                saveProfiles(profiles.map(p => (p.id === profile.id ? { ...p, name: name.value } : p)));
+            });
+
+            const hotkey = document.createElement('span');
+            hotkey.className = 'profile-hotkey';
+            hotkey.textContent = (profile.id === groupState.activeProfile ? 'Active · ' : '') +
+                (index < PROFILE_HOTKEYS ? `Profile hotkey ${index + 1}` : 'No hotkey of its own');
+
+            const remove = document.createElement('button');
+            remove.className = 'history-revert';
+            remove.textContent = 'Delete';
+            remove.title = 'Delete this profile; the rules and groups are kept';
+            remove.addEventListener('click', () => saveProfiles(profiles.filter(p => p.id !== profile.id)));
+
+            const groupChoices = document.createElement('div');
+            groupChoices.className = 'profile-groups';
+            groupChoices.append(groups.length > 0 ? 'Groups on:' : 'No rule has a group yet.', ...groups.map(group => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = profile.groups.includes(group);
+                checkbox.addEventListener('change', () => {
+                    const chosen = checkbox.checked
+                        ? [...profile.groups, group]
+                        : profile.groups.filter(g => g !== group);
+                    saveProfiles(profiles.map(p => (p.id === profile.id ? { ...p, groups: chosen } : p)));
+                });
+                label.append(checkbox, ` ${group}`);
+                return label;
+            }));
+
+            item.append(name, hotkey, remove, groupChoices);
+            return item;
+        }));
+    }
+
+    /**
+     * Saves the edited profiles and renders them again.
+     * @param {Array<object>} profiles - The profiles, in the order of their hotkeys.
+     */
+    function saveProfiles(profiles) {
+        ElementHiderRules.saveProfiles(profiles).then(refreshProfiles);
+    }
+
+    /**
+     * Updates the select-all checkbox and the selection count, and enables the bulk buttons while
+     * rules are ticked.
+     */
+    function renderSelectionState() {
+        const shownSelected = shownKeys.filter(key => selectedKeys.has(key)).length;
+        selectAllCheckbox.checked = shownKeys.length > 0 && shownSelected === shownKeys.length;
+        selectAllCheckbox.indeterminate = shownSelected > 0 && shownSelected < shownKeys.length;
+        selectionCount.textContent = selectedKeys.size > 0 ? `${selectedKeys.size} rule(s) selected.` : '';
+        [bulkEnableButton, bulkDisableButton, bulkDeleteButton, bulkSetActionButton, bulkSetGroupButton, bulkMoveButton, bulkCopyButton]
+            .forEach(button => {
+                button.disabled = selectedKeys.size === 0;
+            });
+    }
+
+    /**
+     * Ticks or unticks a set of rules and refreshes the checkboxes.
+     * @param {string[]} keys - The rule keys.
+     * @param {boolean} isSelected - Whether to tick them.
+     */
+    function setSelected(keys, isSelected) {
+        keys.forEach(key => (isSelected ? selectedKeys.add(key) : selectedKeys.delete(key)));
+        render(allSelectors);
+    }
+
+    /**
+     * Renders one scope: a header with a checkbox ticking its shown rules, its rule count and size
+     * and a delete button, followed by the shown rules.
+     * @param {string} scope - The scope key.
+     * @param {Array<object>} rules - The scope's rules that pass the search and filter.
+     * @returns {HTMLElement}
+     */
+    function renderScopeGroup(scope, rules) {
+        const group = document.createElement('section');
+        group.className = 'scope-group';
+
+        const header = document.createElement('div');
+        header.className = 'scope-header';
+
+        const keys = rules.map(rule => ruleKey(scope, rule.id));
+        const selectScope = document.createElement('input');
+        selectScope.type = 'checkbox';
+        selectScope.title = 'Select the shown rules of this scope';
+        selectScope.checked = keys.every(key => selectedKeys.has(key));
+        selectScope.addEventListener('change', () => setSelected(keys, selectScope.checked));
+
+        const name = document.createElement('span');
+        name.className = 'scope-name';
+        name.textContent = scope;
+
+        const details = document.createElement('span');
+        details.className = 'scope-details';
+        const total = allSelectors[scope].length;
+        details.textContent = `${rules.length === total ? total : `${rules.length} of ${total}`} rule(s) · ` +
+            formatBytes(getScopeSize(scope, allSelectors[scope]));
+
+        const remove = document.createElement('button');
+        remove.className = 'history-revert';
+        remove.textContent = 'Delete Scope';
+        remove.title = `Delete every rule of ${scope}`;
+        remove.addEventListener('click', () => deleteScope(scope));
+
+        header.append(selectScope, name, details, remove);
+
+        const list = document.createElement('ul');
+        list.className = 'rule-list scope-rules';
+        list.append(...rules.map(rule => renderRuleItem(scope, rule)));
+
+        group.append(header, list);
+        return group;
+    }
+
+    /**
+     * Renders one rule: a selection checkbox, an enable checkbox, the editable selector, its
+     * source, its action, its conditions, a delete button and an editable group and label. Creation
+     * and last-match times are shown as a tooltip, and invalid and stale rules are flagged like in
+     * the popup.
+     * @param {string} scope - The scope the rule is stored under.
+     * @param {object} rule - The rule.
+     * @returns {HTMLLIElement}
+     */
+    function renderRuleItem(scope, rule) {
+        const key = ruleKey(scope, rule.id);
+        const isInvalid = !ElementHiderRuleIO.isValidSelector(rule.selector);
+        const stats = ElementHiderRules.getRuleStats(ruleStats, rule.id);
+        const isStale = ElementHiderRules.isRuleStale(rule, ruleStats);
+        const item = document.createElement('li');
+        item.className = 'rule-item' + (rule.enabled ? '' : ' disabled') + (isInvalid ? ' invalid' : '') + (isStale ? ' stale' : '');
+
+        const select = document.createElement('input');
+        select.type = 'checkbox';
+        select.className = 'rule-select';
+        select.title = 'Select for a bulk action';
+        select.checked = selectedKeys.has(key);
+        select.addEventListener('change', () => setSelected([key], select.checked));
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = rule.enabled ? 'Disable this rule' : 'Enable this rule';
+        toggle.addEventListener('change', () => updateRule(scope, rule, { enabled: toggle.checked },
+            `${toggle.checked ? 'Enabled' : 'Disabled'} ${rule.selector}`));
+
+        const selector = document.createElement('input');
+        selector.type = 'text';
+        selector.className = 'rule-selector rule-selector-input';
+        selector.spellcheck = false;
+        selector.value = rule.selector;
+        selector.title = `Created: ${formatTimestamp(rule.createdAt)}\nLast matched: ${formatTimestamp(stats.lastMatchedAt)}` +
+            (isStale ? `\nNo matches in the last ${stats.missedVisits} visits` : '') +
+            (isInvalid ? '\nThe browser cannot parse this selector.' : '');
+        selector.addEventListener('change', () => editSelector(scope, rule, selector));
+
+        const source = document.createElement('span');
+        source.className = `rule-source ${rule.source}`;
+        source.textContent = rule.source;
+
+        const action = document.createElement('select');
+        action.className = 'rule-action';
+        action.title = 'What happens to matching elements';
+        action.append(...createActionOptions());
+        action.value = rule.action || 'collapse';
+        action.addEventListener('change', () => updateRule(scope, rule, { action: action.value },
+            `Set ${rule.selector} to ${action.value}`));
+
+        const remove = document.createElement('button');
+        remove.className = 'history-revert';
+        remove.textContent = 'Delete';
+        remove.title = 'Delete this rule';
+        remove.addEventListener('click', () => {
+            ElementHiderRules.updateDomainRules(scope, rules => rules.filter(r => r.id !== rule.id),
+                historyRecord([scope], 'edit', `Deleted ${rule.selector}`)
+            ).then(({ selectors }) => render(selectors));
+        });
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'rule-label';
+        label.placeholder = 'Add a label…';
+        label.value = rule.label;
+        label.addEventListener('change', () => updateRule(scope, rule, { label: label.value.trim() },
+            `Relabelled ${rule.selector}`));
+
+        const editConditions = document.createElement('button');
+        editConditions.className = 'history-revert';
+        editConditions.textContent = 'Conditions';
+        editConditions.title = 'Choose when this rule applies';
+        editConditions.addEventListener('click', () => {
+            editingConditionsKey = editingConditionsKey === key ? null : key;
+            render(allSelectors);
+        });
+
+        const group = document.createElement('input');
+        group.type = 'text';
+        group.className = 'rule-group';
+        group.placeholder = 'No group';
+        group.title = 'Group this rule belongs to';
+        group.value = rule.group || '';
+        group.setAttribute('list', 'group-suggestions');
+        group.addEventListener('change', () => {
+            const name = group.value.trim();
+            updateRule(scope, rule, { group: name },
+                name ? `Put ${rule.selector} in group ${name}` : `Removed ${rule.selector} from its group`);
+        });
+
+        item.append(select, toggle, selector, source, action, editConditions, remove);
+        if (rule.conditions) {
+            const conditions = document.createElement('span');
+            conditions.className = 'rule-conditions';
+            conditions.textContent = `Only: ${ElementHiderRules.describeConditions(rule.conditions)}`;
+            item.appendChild(conditions);
+        }
+        if (editingConditionsKey === key) {
+            item.appendChild(renderConditionsEditor(scope, rule));
+        }
+        item.append(group, label);
+        return item;
+    }
+
+    /**
+     * Creates a checkbox with a label, for the conditions editor.
+     * @param {string} text - The label text.
+     * @param {boolean} checked - Whether it starts ticked.
+     * @returns {{label: HTMLLabelElement, checkbox: HTMLInputElement}}
+     */
+    function createCheckbox(text, checked) {
+        const label = document.createElement('label');
+        label.className = 'pause-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        label.append(checkbox, ` ${text}`);
+        return { label, checkbox };
+    }
+
+    /**
+     * Renders the editor of a rule's activation conditions: a time window on chosen weekdays, a media
+     * query the viewport must match and whether the rule only applies during focus sessions. Every
+     * ticked condition must hold. Saving with nothing ticked makes the rule apply again at all times.
+     * @param {string} scope - The scope the rule is stored under.
+     * @param {object} rule - The rule.
+     * @returns {HTMLElement}
+     */
+    function renderConditionsEditor(scope, rule) {
+        const current = rule.conditions || {};
+        const editor = document.createElement('div');
+        editor.className = 'conditions-editor';
+
+        const schedule = createCheckbox('Only at these times', Boolean(current.schedule));
+        const days = document.createElement('div');
+        days.className = 'conditions-days';
+        const dayCheckboxes = EDITOR_DAYS.map(day => {
+            const { label, checkbox } = createCheckbox(ElementHiderRules.DAY_NAMES[day],
+                current.schedule ? current.schedule.days.includes(day) : day >= 1 && day <= 5);
+            checkbox.value = String(day);
+            days.appendChild(label);
+            return checkbox;
+        });
+        const times = document.createElement('div');
+        times.className = 'conditions-times';
+        const start = document.createElement('input');
+        start.type = 'time';
+        start.value = current.schedule?.start || '09:00';
+        const end = document.createElement('input');
+        end.type = 'time';
+        end.value = current.schedule?.end || '17:00';
+        times.append('From', start, 'to', end);
+
+        const media = createCheckbox('Only when the viewport matches', Boolean(current.media));
+        const mediaQuery = document.createElement('input');
+        mediaQuery.type = 'text';
+        mediaQuery.className = 'input';
+        mediaQuery.spellcheck = false;
+        mediaQuery.placeholder = '(max-width: 800px)';
+        mediaQuery.value = current.media || '';
+
+        const focus = createCheckbox('Only during focus sessions (started from the popup)', Boolean(current.focus));
+
+        const error = document.createElement('small');
+        error.className = 'help-text conditions-error';
+
+        const save = document.createElement('button');
+        save.className = 'history-revert';
+        save.textContent = 'Save Conditions';
+        save.addEventListener('click', () => {
+            const checkedDays = dayCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value));
+            const query = mediaQuery.value.trim();
+            if (schedule.checkbox.checked && (checkedDays.length === 0 || !start.value || !end.value || start.value === end.value)) {
+                error.textContent = 'Choose at least one day and a time window that does not start when it ends.';
+                return;
+            }
+            if (media.checkbox.checked && (!query || window.matchMedia(query).media === 'not all')) {
+                error.textContent = 'Enter a valid media query, e.g. (max-width: 800px).';
+                return;
+            }
+            const conditions = ElementHiderRules.normalizeConditions({
+                schedule: schedule.checkbox.checked ? { days: checkedDays, start: start.value, end: end.value } : null,
+                media: media.checkbox.checked ? query : null,
+                focus: focus.checkbox.checked,
+            });
+            editingConditionsKey = null;
+            updateRule(scope, rule, { conditions }, conditions
+                ? `Set ${rule.selector} to apply only: ${ElementHiderRules.describeConditions(conditions)}`
+                : `Set ${rule.selector} to always apply`);
+        });
+
+        editor.append(schedule.label, days, times, media.label, mediaQuery, focus.label, error, save);
+        return editor;
+    }
+
+    /**
+     * Creates one option per rule action, for the per-rule and bulk action menus.
+     * @returns {HTMLOptionElement[]}
+     */
+    function createActionOptions() {
+        return ElementHiderRules.RULE_ACTIONS.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = RULE_ACTION_LABELS[name];
+            return option;
+        });
+    }
+
+    /**
+     * Applies a change to one rule and saves it.
+     * @param {string} scope - The scope the rule is stored under.
+     * @param {object} rule - The rule to change.
+     * @param {object} changes - The fields to overwrite on the rule.
+     * @param {string} summary - The history summary.
+     */
+    function updateRule(scope, rule, changes, summary) {
+        ElementHiderRules.updateDomainRules(scope, rules =>
+            rules.map(r => (r.id === rule.id ? { ...r, ...changes } : r)),
+            historyRecord([scope], 'edit', summary)
+        ).then(({ selectors }) => render(selectors));
+    }
+
+    /**
+     * Saves an edited selector, or marks the field as invalid if the selector is empty, cannot be
+     * parsed or already exists in the scope. A changed selector starts its match statistics afresh.
+     * @param {string} scope - The scope the rule is stored under.
+     * @param {object} rule - The rule being edited.
+     * @param {HTMLInputElement} field - The rule's selector field.
+     */
+    function editSelector(scope, rule, field) {
+        const selector = field.value.trim();
+        let error = null;
+        if (!selector) {
+            error = 'A rule needs a selector.';
+        } else if (!ElementHiderRuleIO.isValidSelector(selector)) {
+            error = 'The browser cannot parse this selector.';
+        } else if (allSelectors[scope].some(r => r.id !== rule.id && r.selector === selector)) {
+            error = 'This scope already has a rule with this selector.';
+        }
+        field.classList.toggle('invalid', Boolean(error));
+        if (error) {
+            field.title = error;
+            return;
+        }
+        if (selector === rule.selector) return;
+        delete ruleStats[rule.id];
+        ElementHiderRules.resetRuleStats([rule.id]);
+        updateRule(scope, rule, { selector }, `Changed ${rule.selector} to ${selector}`);
+    }
+
+    /**
+     * Deletes every rule of a scope after confirmation.
+     * @param {string} scope - The scope key.
+     */
+    function deleteScope(scope) {
+        if (!confirm(`Are you sure you want to delete all ${allSelectors[scope].length} rule(s) for "${scope}"?`)) return;
+        ElementHiderRules.updateDomainRules(scope, () => [],
+            historyRecord([scope], 'clear', `Cleared all rules for ${scope}`)
+        ).then(({ selectors }) => render(selectors));
+    }
+
+    /**
+     * Returns the scopes of the ticked rules, for history records.
+     * @returns {string[]}
+     */
+    function getSelectedScopes() {
+        return [...new Set([...selectedKeys].map(key => parseRuleKey(key).scope))];
+    }
+
+    /**
+     * Rewrites every ticked rule in a single storage write.
+     * @param {function(object): ?object} updater - Returns the new rule, or null to delete it.
+     * @param {string} summary - The history summary and the status message.
+     */
+    function updateSelectedRules(updater, summary) {
+        const record = historyRecord(getSelectedScopes(), 'edit', summary);
+        ElementHiderRules.updateAllRules((rules, scope) =>
+            rules.map(rule => (selectedKeys.has(ruleKey(scope, rule.id)) ? updater(rule) : rule)).filter(Boolean),
+            record
+        ).then(selectors => {
+            bulkStatus.textContent = `${summary}.`;
+            render(selectors);
+        });
+    }
+
+    /**
+     * Moves or copies the ticked rules to the scope in the bulk scope field, or marks the field as
+     * invalid. Rules whose selector the target scope already has are not duplicated.
+     * @param {boolean} copy - True to copy, false to move.
+     */
+    function transferSelectedRules(copy) {
+        const toScope = bulkScopeInput.value.trim();
+        const isValid = ElementHiderRules.isValidScope(toScope);
+        bulkScopeInput.classList.toggle('invalid', !isValid);
+        if (!isValid) return;
+        const count = selectedKeys.size;
+        const summary = `${copy ? 'Copied' : 'Moved'} ${count} rule(s) to ${toScope}`;
+        ElementHiderRules.transferRules([...selectedKeys].map(parseRuleKey), toScope, copy,
+            historyRecord([...getSelectedScopes(), toScope], 'edit', summary)
+        ).then(selectors => {
+            bulkStatus.textContent = `${summary}.`;
+            render(selectors);
+        });
+    }
+
+    bulkActionSelect.append(...createActionOptions());
+
+    /**
+     * Offers the `site` filter, selected, when the page was opened for a site (see `siteFilterUrl`).
+     */
+    if (siteFilterUrl) {
+        const option = document.createElement('option');
+        option.value = 'site';
+        option.textContent = `Rules for ${ElementHiderRules.getDefaultScope(siteFilterUrl) || siteFilterUrl}`;
+        filterSelect.append(option);
+        filterSelect.value = 'site';
+    }
+
+    /**
+     * Loads the rules and their match statistics, then renders them.
+     */
+    function loadRules() {
+        Promise.all([ElementHiderRules.loadSelectors(), ElementHiderRules.loadRuleStats()]).then(([selectors, stats]) => {
+            ruleStats = stats;
+            render(selectors);
+        });
+    }
+
+    /**
+     * Loads the rules when the page opens. `loadSelectors` migrates rules saved by older versions first.
+     */
+    loadRules();
+    refreshSyncState();
+    refreshProfiles();
+
+    /**
+     * Keeps the page current while rules are changed elsewhere (the popup, the picker, another
+     * options page, another device through sync) and the storage figures while anything is written.
+     */
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes.syncEnabled || changes.syncStatus) {
+            refreshSyncState();
+        }
+        if (changes.profiles || changes.activeProfile) {
+            refreshProfiles();
+        }
+        if (changes.selectors) {
+            loadRules();
+        } else {
+            refreshStorageStats();
+        }
+    });
+
+    /**
+     * Handles the sync checkbox. `background.js` runs the first sync once it is switched on.
+     */
+    syncCheckbox.addEventListener('change', () => {
+        ElementHiderSync.setSyncEnabled(syncCheckbox.checked).then(refreshSyncState);
+    });
+
+    /**
+     * Handles the search field and the state filter.
+     */
+    searchInput.addEventListener('input', () => render(allSelectors));
+    filterSelect.addEventListener('change', () => render(allSelectors));
+
+    /**
+     * Handles the "Select all shown rules" checkbox.
+     */
+    selectAllCheckbox.addEventListener('change', () => setSelected(shownKeys, selectAllCheckbox.checked));
+
+    /**
+     * Handles the bulk action buttons.
+     */
+    bulkEnableButton.addEventListener('click', () => {
+        updateSelectedRules(rule => ({ ...rule, enabled: true }), `Enabled ${selectedKeys.size} rule(s)`);
+    });
+
+    bulkDisableButton.addEventListener('click', () => {
+        updateSelectedRules(rule => ({ ...rule, enabled: false }), `Disabled ${selectedKeys.size} rule(s)`);
+    });
+
+    bulkDeleteButton.addEventListener('click', () => {
+        const count = selectedKeys.size;
+        if (!confirm(`Are you sure you want to delete ${count} rule(s)?`)) return;
+        updateSelectedRules(() => null, `Deleted ${count} rule(s)`);
+    });
+
+    bulkSetActionButton.addEventListener('click', () => {
+        const action = bulkActionSelect.value;
+        updateSelectedRules(rule => ({ ...rule, action }), `Set ${selectedKeys.size} rule(s) to ${action}`);
+    });
+
+    bulkSetGroupButton.addEventListener('click', () => {
+        const group = bulkGroupInput.value.trim();
+        updateSelectedRules(rule => ({ ...rule, group }), group
+            ? `Put ${selectedKeys.size} rule(s) in group ${group}`
+            : `Removed ${selectedKeys.size} rule(s) from their group`);
+    });
+
+    bulkMoveButton.addEventListener('click', () => transferSelectedRules(false));
+    bulkCopyButton.addEventListener('click', () => transferSelectedRules(true));
+
+    /**
+     * Handles the profile menu and the "Add Profile" button. A new profile starts with every group
+     * in use switched on.
+     */
+    activeProfileSelect.addEventListener('change', () => {
+        ElementHiderRules.setActiveProfile(activeProfileSelect.value || null).then(refreshProfiles);
+    });
+
+    addProfileButton.addEventListener('click', () => {
+        const name = profileNameInput.value.trim();
+        profileNameInput.classList.toggle('invalid', !name);
+        if (!name) return;
+        profileNameInput.value = '';
+        saveProfiles([...groupState.profiles, { name, groups: ElementHiderRules.getGroupNames(allSelectors) }]);
+    });
+});
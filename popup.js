@@ -2,16 +2,29 @@
  * @fileoverview Script for the Element Hider extension's popup UI (popup.html).
  *
  * This script handles all user interactions within the popup, including:
- * - Loading and managing presets from `preset.json`.
- * - Loading and displaying saved selectors from `chrome.storage`.
- * - Handling user input in the textarea.
+ * - Subscribing to preset lists (the catalogue in `preset.json` or any URL) via `subscriptions.js`,
+ *   and switching them off for the current site.
+ * - Loading and displaying saved rules from `chrome.storage` (via `ElementHiderRules` in `rules.js`).
+ * - Toggling and labelling individual rules without deleting them, and opening the options page
+ *   (options.html) to manage the rules of every site.
+ * - Showing a health report (live match counts, invalid and stale rules) from the content script.
+ * - Pausing hiding on the current site or everywhere, and starting peek mode on the current page.
+ * - Unblocking the current page (hiding its overlays and restoring scrolling), once or on every visit
+ *   to the site.
+ * - Starting and ending focus sessions, which switch on the rules that only apply during one.
+ * - Switching profiles, and switching the rule groups on the current page on or off for its site.
+ * - Choosing the scope (hostname, wildcard subdomains, URL path or global) and the group rules are
+ *   saved under.
+ * - Handling user input in the textarea: checking each selector as it is typed, highlighting it and
+ *   autocompleting class names and ids from the page (via `ElementHiderSelectorLint` in
+ *   `selector-lint.js`), and refusing to save invalid selectors.
  * - Saving settings and selectors to `chrome.storage`.
  * - Communicating with the `content.js` script on the active tab to apply changes in real-time.
  */
 
 /**
  * Main initialization function that runs when the popup's DOM is fully loaded.
- * It sets up all necessary event listeners and loads the initial state from storage and presets.
+ * It sets up all necessary event listeners and loads the initial state from storage and the preset catalogue.
  * @listens DOMContentLoaded
  */
 
@@ -30,7 +43,8 @@ async function getCurrentDomainFromActiveTab() {
                     if (url.protocol.startsWith('chrome')) {
                         resolve('chrome-internal');
                     } else if (url.protocol === 'file:') {
-                        resolve('file-local');
+                        // Must match the key content.js uses for local files.
+                        resolve(ElementHiderRules.FILE_SCOPE);
                     } else {
                         resolve(url.hostname); 
                     }
@@ -44,46 +58,1055 @@ async function getCurrentDomainFromActiveTab() {
         });
     });
 }
+
+/**
+ * Gets the full URL of the active tab, used to find every scope that applies to it.
+ * @async
+ * @returns {Promise<?string>} The active tab's URL, or null if there is none.
+ */
+async function getActiveTabUrl() {
+    return new Promise(resolve => {
+        chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+            resolve(tabs.length > 0 && tabs[0].url ? tabs[0].url : null);
+        });
+    });
+}
+
+/**
+ * Asks background.js for the status the active tab's content scripts reported: the page's URL and
+ * hostname as the content script sees them, whether hiding is paused, and how many rules are active
+ * and elements hidden.
+ * @async
+ * @returns {Promise<?object>} The tab's status, or null if no content script runs on the tab.
+ */
+async function getActiveTabStatus() {
+    return new Promise(resolve => {
+        chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+            if (tabs.length === 0 || !tabs[0].id) {
+                resolve(null);
+                return;
+            }
+            chrome.runtime.sendMessage({ action: 'getTabStatus', tabId: tabs[0].id }, response => {
+                resolve(chrome.runtime.lastError ? null : response?.status || null);
+            });
+        });
+    });
+}
 document.addEventListener('DOMContentLoaded', () => {
-/** @type {Array<{name: string, selectors: string[]}>|null} */
-let presets = null;
+/** @type {Array<{id: string, name: string, url: string}>} The bundled lists offered for subscription. */
+let catalogue = [];
 const selectorsArea = document.getElementById('selectors');
-const selectElement = document.getElementById('preset-select');
+const subscriptionList = document.getElementById('subscription-list');
+const subscriptionUrlInput = document.getElementById('subscription-url');
+const subscribeButton = document.getElementById('subscribe');
+const updateListsButton = document.getElementById('update-lists');
+const subscriptionStatus = document.getElementById('subscription-status');
 const saveButton = document.getElementById('save');
 const persistCheckbox = document.getElementById('persist-checkbox');
 const clearAllButton = document.getElementById('clear-all');
+const ruleList = document.getElementById('rule-list');
+const scopeInput = document.getElementById('scope-input');
+const scopeSuggestions = document.getElementById('scope-suggestions');
+const healthSummary = document.getElementById('rule-health-summary');
+const manageRulesButton = document.getElementById('manage-rules');
+const historyList = document.getElementById('history-list');
+const undoButton = document.getElementById('undo');
+const redoButton = document.getElementById('redo');
+const exportScopesSelect = document.getElementById('export-scopes');
+const exportFormatSelect = document.getElementById('export-format');
+const exportButton = document.getElementById('export');
+const importModeSelect = document.getElementById('import-mode');
+const importFileInput = document.getElementById('import-file');
+const importButton = document.getElementById('import');
+const importReport = document.getElementById('import-report');
+const pauseSiteCheckbox = document.getElementById('pause-site');
+const pauseAllCheckbox = document.getElementById('pause-all');
+const pauseStatus = document.getElementById('pause-status');
+const peekButton = document.getElementById('peek');
+const unblockButton = document.getElementById('unblock-page');
+const autoUnblockCheckbox = document.getElementById('auto-unblock');
+const unblockStatus = document.getElementById('unblock-status');
+const tabStatusText = document.getElementById('tab-status');
+const focusMinutesSelect = document.getElementById('focus-minutes');
+const focusSessionButton = document.getElementById('focus-session');
+const focusStatus = document.getElementById('focus-status');
+const groupInput = document.getElementById('group-input');
+const groupSuggestions = document.getElementById('group-suggestions');
+const profileSelect = document.getElementById('profile-select');
+const groupList = document.getElementById('group-list');
+const groupStatus = document.getElementById('group-status');
+const selectorsHighlight = document.getElementById('selectors-highlight');
+const selectorCompletions = document.getElementById('selector-completions');
+const selectorProblems = document.getElementById('selector-problems');
+
+/**
+ * The active tab's URL, resolved once when the popup opens.
+ * @type {?string}
+ */
+let activeTabUrl = null;
+
+/**
+ * The active tab's hostname. Its history records every change made from the popup, and it is the
+ * site the "On this site" switches of preset lists apply to.
+ * @type {?string}
+ */
+let historyDomain = null;
+
+/**
+ * The merged rules of the active tab, as last loaded by `refreshRules`, whose groups are listed.
+ * @type {Array<object>}
+ */
+let pageGroupRules = [];
+
+/**
+ * How long typing in the selector editor has to pause before its lines are checked again, in
+ * milliseconds. Measuring the selectors on the page is a round trip to the content script.
+ * @type {number}
+ */
+const LINT_DELAY = 300;
+
+/**
+ * The most suggestions the selector editor's autocompletion shows at once.
+ * @type {number}
+ */
+const COMPLETION_LIMIT = 8;
+
+/**
+ * The selectors of the editing scope and group as last loaded into the editor. Save only asks
+ * about warnings on lines that are not among them, so existing rules are not questioned each time.
+ * @type {Set<string>}
+ */
+let savedEditorSelectors = new Set();
+
+/**
+ * The class names and ids of the active tab's page, offered by the editor's autocompletion.
+ * @type {{classes: string[], ids: string[]}}
+ */
+let pageTokens = { classes: [], ids: [] };
+
+/**
+ * The pending check of the selector editor, scheduled by `scheduleLint`.
+ * @type {?number}
+ */
+let lintTimer = null;
+
+/**
+ * Counts the checks of the selector editor, so the answer to an older page measurement does not
+ * overwrite the results of a newer check.
+ * @type {number}
+ */
+let lintRun = 0;
+
+/**
+ * The open autocompletion: the suggested names, the highlighted one, and where the typed name starts.
+ * @type {?{names: string[], active: number, start: number}}
+ */
+let completion = null;
+
+/**
+ * The line severities last drawn by `renderSelectorHighlight`, by line number.
+ * @type {Map<number, string>}
+ */
+let highlightedLines = new Map();
+
+/**
+ * Display names of the rule actions in `ElementHiderRules.RULE_ACTIONS`.
+ * @type {Object<string, string>}
+ */
+const RULE_ACTION_LABELS = {
+    collapse: 'Hide',
+    blur: 'Blur',
+    dim: 'Dim',
+    remove: 'Remove',
+    placeholder: 'Placeholder',
+};
 
 /**
- * Fetches and loads presets from the preset.json file.
- * Populates the preset dropdown with the loaded presets.
+ * Sends the full rule map to the content script of the active tab so changes apply in real-time.
+ * @param {Object<string, Array<object>>} allSelectors - The complete rule map from storage.
+ * @param {string} warning - The message logged if the content script cannot be reached.
+ * @param {function} [callback] - Called once the message has been delivered, has failed, or could not
+ *   be sent because there is no active tab.
+ */
+function sendSelectorsToActiveTab(allSelectors, warning, callback) {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+        if (tabs.length === 0 || !tabs[0].id) {
+            callback?.();
+            return;
+        }
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'updateSelectors', selectors: allSelectors }, () => {
+            if (chrome.runtime.lastError) {
+                console.warn(warning);
+            }
+            callback?.();
+        });
+    });
+}
+
+/**
+ * Shows the active tab's status, as reported by its content scripts, above the pause switches.
+ * A paused page is described by the pause note instead (see `refreshPauseState`).
+ * @param {?object} status - The status from `getActiveTabStatus`, or null if no content script runs.
+ */
+function renderTabStatus(status) {
+    tabStatusText.classList.toggle('error', !status || status.invalidRules > 0);
+    if (!status) {
+        tabStatusText.textContent = 'Element Hider is not running on this page. Browser pages cannot be changed; other pages need a reload.';
+    } else if (status.paused) {
+        tabStatusText.textContent = '';
+    } else if (status.invalidRules > 0) {
+        tabStatusText.textContent = `${status.invalidRules} active rule(s) have an invalid selector; see Saved Rules.`;
+    } else {
+        tabStatusText.textContent = `${status.activeRules} rule(s) active, ${status.hiddenCount} element(s) hidden on this page.`;
+    }
+}
+
+/**
+ * Shows where hiding is paused: the two pause checkboxes, and a note while this site is paused.
+ */
+function refreshPauseState() {
+    ElementHiderRules.loadPauseState().then(state => {
+        pauseSiteCheckbox.checked = state.pausedSites.includes(historyDomain);
+        pauseAllCheckbox.checked = state.pausedEverywhere;
+        pauseStatus.textContent = ElementHiderRules.isPaused(state, historyDomain)
+            ? 'Hiding is paused here. Your rules are kept and apply again once you resume.'
+            : '';
+    });
+}
+
+/**
+ * Shows whether the current site is unblocked automatically.
+ */
+function refreshAutoUnblock() {
+    ElementHiderRules.loadAutoUnblockSites().then(sites => {
+        autoUnblockCheckbox.checked = sites.includes(historyDomain);
+        autoUnblockCheckbox.disabled = !historyDomain;
+    });
+}
+
+/**
+ * Asks the content script of the active tab to unblock the page (see `Unblocker` in content.js) and
+ * reports what it did. The overlays become `unblock` rules, so the rule list and history are reloaded.
+ */
+function unblockActiveTab() {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+        if (tabs.length === 0 || !tabs[0].id) return;
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'unblockPage' }, response => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                unblockStatus.textContent = 'This page cannot be unblocked.';
+                return;
+            }
+            const { selectors, scrollRestored } = response;
+            if (selectors.length > 0) {
+                unblockStatus.textContent = `Hid ${selectors.length} overlay(s)${scrollRestored ? ' and restored scrolling' : ''}. Undo brings them back.`;
+                refreshRules();
+            } else {
+                unblockStatus.textContent = 'No overlay found on this page.';
+            }
+        });
+    });
+}
+
+/**
+ * Shows whether a focus session is running and until when, and turns the focus button into a
+ * start or stop button accordingly.
+ */
+function refreshFocusSession() {
+    ElementHiderRules.loadFocusSession().then(session => {
+        focusSessionButton.textContent = session ? 'End Focus Session' : 'Start Focus Session';
+        focusMinutesSelect.disabled = Boolean(session);
+        focusStatus.textContent = session
+            ? `Focus session until ${new Date(session.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Rules set to apply during focus sessions are on.`
+            : '';
+    });
+}
+
+/**
+ * Formats an epoch timestamp for the rule list tooltips.
+ * @param {?number} timestamp - Epoch milliseconds, or null.
+ * @returns {string} A localized date string, or 'never'.
+ */
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : 'never';
+}
+
+/**
+ * Returns the scope currently typed into the scope field, i.e. where Save and Clear All act.
+ * @returns {string} The trimmed scope key.
+ */
+function getEditingScope() {
+    return scopeInput.value.trim();
+}
+
+/**
+ * Returns the group typed into the group field, i.e. which of the scope's rules Save acts on.
+ * @returns {string} The trimmed group name, or an empty string for the ungrouped rules.
+ */
+function getEditingGroup() {
+    return groupInput.value.trim();
+}
+
+/**
+ * Reloads the textarea (rules of the editing scope and group), the rule list (rules of every scope
+ * that applies to the active tab) and the group switches from storage.
+ */
+function refreshRules() {
+    Promise.all([
+        ElementHiderRules.loadSelectors(),
+        ElementHiderRules.loadRuleStats(),
+        fetchRuleHealth(),
+    ]).then(([allSelectors, ruleStats, { health, perf }]) => {
+        const scopeRules = (allSelectors[getEditingScope()] || []).filter(rule => (rule.group || '') === getEditingGroup());
+        selectorsArea.value = scopeRules.map(rule => rule.selector).join('\n');
+        savedEditorSelectors = new Set(scopeRules.map(rule => rule.selector));
+        hideCompletions();
+        lintEditor();
+        const pageRules = activeTabUrl ? ElementHiderRules.getRulesForUrl(allSelectors, activeTabUrl) : [];
+        renderRuleList(pageRules, ruleStats, health);
+        renderHealthSummary(pageRules, ruleStats, health, perf);
+        populateScopeSuggestions(allSelectors);
+        groupSuggestions.replaceChildren(...ElementHiderRules.getGroupNames(allSelectors).map(group => {
+            const option = document.createElement('option');
+            option.value = group;
+            return option;
+        }));
+        refreshGroups(pageRules);
+    });
+    refreshHistory();
+}
+
+/**
+ * Shows the profiles, with the active one selected, and one switch per rule group on this page.
+ * A group the active profile leaves off cannot be switched on here.
+ * @param {Array<object>} [pageRules] - The merged rules of the active tab; defaults to the last ones loaded.
+ */
+function refreshGroups(pageRules = pageGroupRules) {
+    pageGroupRules = pageRules;
+    ElementHiderRules.loadGroupState().then(state => {
+        const profile = ElementHiderRules.getActiveProfile(state);
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No profile (every group on)';
+        profileSelect.replaceChildren(none, ...state.profiles.map(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            return option;
+        }));
+        profileSelect.value = profile ? profile.id : '';
+
+        const groups = ElementHiderRules.getGroupNames(pageRules);
+        groupList.replaceChildren(...groups.map(group => {
+            const offByProfile = Boolean(profile) && !profile.groups.includes(group);
+            const item = document.createElement('li');
+            item.className = 'group-item' + (offByProfile ? ' off-by-profile' : '');
+            item.title = offByProfile ? `Off while the "${profile.name}" profile is active` : '';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = !offByProfile && ElementHiderRules.isGroupActive(state, historyDomain, group);
+            toggle.disabled = offByProfile || !historyDomain;
+            toggle.title = 'Apply this group on this site';
+            toggle.addEventListener('change', () => {
+                ElementHiderRules.setGroupEnabled(historyDomain, group, toggle.checked).then(() => refreshGroups());
+            });
+
+            const name = document.createElement('span');
+            name.className = 'group-name';
+            name.textContent = group;
+
+            const count = document.createElement('span');
+            count.className = 'group-count';
+            count.textContent = `${pageRules.filter(rule => rule.group === group).length} rule(s)`;
+
+            item.append(toggle, name, count);
+            return item;
+        }));
+        groupStatus.textContent = groups.length === 0
+            ? 'Give rules a group (e.g. ads, comments) to switch them on and off together. Profiles are set up under Manage All Rules.'
+            : '';
+    });
+}
+
+/**
+ * Asks the content script of the active tab how much of the page each selector would hide
+ * (see `measureSelectors` in content.js).
+ * @param {string[]} selectors - The valid selectors of the editor.
+ * @returns {Promise<Map<string, {matchCount: number, coverage: number}>>} The measurements by
+ *   selector; empty if no content script runs on the tab.
+ */
+function measureEditorSelectors(selectors) {
+    return new Promise(resolve => {
+        chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+            if (selectors.length === 0 || tabs.length === 0 || !tabs[0].id) {
+                resolve(new Map());
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action: 'measureSelectors', selectors }, response => {
+                if (chrome.runtime.lastError || !response?.selectors) {
+                    resolve(new Map());
+                    return;
+                }
+                resolve(new Map(response.selectors.map(entry => [entry.selector, entry])));
+            });
+        });
+    });
+}
+
+/**
+ * Loads the class names and ids of the active tab's page for the editor's autocompletion. Pages
+ * without a content script simply get no suggestions.
+ */
+function fetchPageTokens() {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+        if (tabs.length === 0 || !tabs[0].id) return;
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'getPageTokens' }, response => {
+            if (!chrome.runtime.lastError && response?.classes) {
+                pageTokens = response;
+            }
+        });
+    });
+}
+
+/**
+ * Checks every line of the selector editor (see selector-lint.js), first on its own and then
+ * against the active tab's page, and shows the results each time.
+ * @returns {Promise<{selectors: Array<{line: number, selector: string}>, problems: Array<object>}>}
+ *   The editor's selectors and all their problems, in line order.
+ */
+function lintEditor() {
+    const run = ++lintRun;
+    const { selectors, problems } = ElementHiderSelectorLint.lintText(selectorsArea.value);
+    renderLintResults(problems);
+    const invalidLines = new Set(problems.filter(problem => problem.severity === 'error').map(problem => problem.line));
+    const valid = selectors.filter(entry => !invalidLines.has(entry.line));
+    return measureEditorSelectors([...new Set(valid.map(entry => entry.selector))]).then(measurements => {
+        const allProblems = [...problems, ...ElementHiderSelectorLint.lintCoverage(valid, measurements)]
+            .sort((a, b) => a.line - b.line);
+        if (run === lintRun) renderLintResults(allProblems);
+        return { selectors, problems: allProblems };
+    });
+}
+
+/**
+ * Checks the selector editor once typing pauses for `LINT_DELAY`. The highlighting follows every
+ * keystroke, with the last known problems.
+ */
+function scheduleLint() {
+    clearTimeout(lintTimer);
+    renderSelectorHighlight(null);
+    lintTimer = setTimeout(lintEditor, LINT_DELAY);
+}
+
+/**
+ * Shows the problems of the selector editor: marked lines in the highlight layer, and one entry per
+ * problem under the editor. Clicking an entry selects its line.
+ * @param {Array<object>} problems - The problems from selector-lint.js, in line order.
+ */
+function renderLintResults(problems) {
+    renderSelectorHighlight(problems);
+    selectorProblems.replaceChildren(...problems.map(problem => {
+        const item = document.createElement('li');
+        item.className = `selector-problem ${problem.severity}`;
+        item.textContent = `Line ${problem.line}: ${problem.message}`;
+        item.title = problem.selector;
+        item.addEventListener('click', () => selectEditorLine(problem.line));
+        return item;
+    }));
+}
+
+/**
+ * Redraws the highlight layer behind the selector editor: each line split into coloured tokens,
+ * with lines that have an error or a warning marked.
+ * @param {?Array<object>} problems - The problems to mark, or `null` to keep the marks of the last check.
+ */
+function renderSelectorHighlight(problems) {
+    if (problems) {
+        highlightedLines = new Map();
+        for (const problem of problems) {
+            if (highlightedLines.get(problem.line) !== 'error') {
+                highlightedLines.set(problem.line, problem.severity);
+            }
+        }
+    }
+    const lines = selectorsArea.value.split('\n').map((text, index) => {
+        const line = document.createElement('span');
+        line.className = 'highlight-line';
+        const severity = highlightedLines.get(index + 1);
+        if (severity) line.classList.add(severity);
+        line.append(...ElementHiderSelectorLint.tokenize(text).map(token => {
+            if (token.type === 'text') return token.text;
+            const span = document.createElement('span');
+            span.className = `token-${token.type}`;
+            span.textContent = token.text;
+            return span;
+        }));
+        return line;
+    });
+    // A trailing newline only takes up a line in the textarea if something follows it here.
+    selectorsHighlight.replaceChildren(...lines.flatMap((line, index) => index === 0 ? [line] : ['\n', line]), ' ');
+    selectorsHighlight.scrollTop = selectorsArea.scrollTop;
+}
+
+/**
+ * Selects a line of the selector editor, e.g. the one a problem was reported for.
+ * @param {number} line - The 1-based line number.
+ */
+function selectEditorLine(line) {
+    const lines = selectorsArea.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+    selectorsArea.focus();
+    selectorsArea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+}
+
+/**
+ * Offers the page's class names after a typed `.` and its ids after a typed `#`, matching what has
+ * been typed of the name so far.
+ */
+function updateCompletions() {
+    const caret = selectorsArea.selectionStart;
+    const match = selectorsArea.selectionEnd === caret
+        ? /([.#])([-\w]*)$/.exec(selectorsArea.value.slice(0, caret))
+        : null;
+    if (!match) {
+        hideCompletions();
+        return;
+    }
+    const [, marker, typed] = match;
+    const names = (marker === '.' ? pageTokens.classes : pageTokens.ids)
+        .filter(name => name.startsWith(typed) && name !== typed)
+        .slice(0, COMPLETION_LIMIT);
+    if (names.length === 0) {
+        hideCompletions();
+        return;
+    }
+    completion = { names, active: 0, start: caret - typed.length };
+    renderCompletions();
+}
+
+/**
+ * Shows the open autocompletion under the selector editor, with its highlighted suggestion.
+ */
+function renderCompletions() {
+    const marker = selectorsArea.value[completion.start - 1];
+    selectorCompletions.replaceChildren(...completion.names.map((name, index) => {
+        const item = document.createElement('li');
+        item.className = 'selector-completion' + (index === completion.active ? ' active' : '');
+        item.textContent = marker + name;
+        // mousedown, not click: the textarea must not lose its caret first.
+        item.addEventListener('mousedown', event => {
+            event.preventDefault();
+            acceptCompletion(name);
+        });
+        return item;
+    }));
+    selectorCompletions.hidden = false;
+}
+
+/**
+ * Closes the autocompletion.
+ */
+function hideCompletions() {
+    completion = null;
+    selectorCompletions.hidden = true;
+    selectorCompletions.replaceChildren();
+}
+
+/**
+ * Replaces the partly typed class name or id with a suggestion, escaped for use in a selector.
+ * @param {string} name - The chosen class name or id.
+ */
+function acceptCompletion(name) {
+    selectorsArea.setRangeText(CSS.escape(name), completion.start, selectorsArea.selectionStart, 'end');
+    hideCompletions();
+    scheduleLint();
+}
+
+/**
+ * Builds the history record passed to the `ElementHiderRules` write helpers.
+ * @param {string} type - The entry type ('edit', 'clear' or 'import').
+ * @param {string} summary - A short description shown in the history list.
+ * @returns {?{domain: string, type: string, summary: string}} The record, or null if the tab has no domain.
+ */
+function historyRecord(type, summary) {
+    return historyDomain ? { domain: historyDomain, type, summary } : null;
+}
+
+/**
+ * Renders the active tab's change history, newest first. Each entry can be reverted on its own;
+ * undone entries are greyed out until they are redone or discarded by a new change.
+ */
+function refreshHistory() {
+    if (!historyDomain) {
+        historyList.replaceChildren();
+        undoButton.disabled = redoButton.disabled = true;
+        return;
+    }
+    ElementHiderRules.loadHistory(historyDomain).then(entries => {
+        undoButton.disabled = !entries.some(entry => !entry.undoneAt);
+        redoButton.disabled = !entries.some(entry => entry.undoneAt);
+        historyList.replaceChildren(...[...entries].reverse().map(entry => {
+            const item = document.createElement('li');
+            item.className = 'history-item' + (entry.undoneAt ? ' undone' : '');
+
+            const type = document.createElement('span');
+            type.className = `history-type ${entry.type}`;
+            type.textContent = entry.type;
+
+            const summary = document.createElement('span');
+            summary.className = 'history-summary';
+            summary.textContent = entry.summary;
+            summary.title = `${entry.summary}\n${formatTimestamp(entry.timestamp)}` +
+                (entry.undoneAt ? `\nUndone: ${formatTimestamp(entry.undoneAt)}` : '');
+
+            const revert = document.createElement('button');
+            revert.className = 'history-revert';
+            revert.textContent = 'Revert';
+            revert.title = 'Revert this change only';
+            revert.disabled = Boolean(entry.undoneAt);
+            revert.addEventListener('click', () => {
+                ElementHiderRules.revertHistoryEntry(historyDomain, entry.id).then(applyHistoryResult);
+            });
+
+            item.append(type, summary, revert);
+            return item;
+        }));
+    });
+}
+
+/**
+ * Refreshes the popup and the page after an undo, redo or revert.
+ * @param {?Object<string, Array<object>>} selectors - The saved rule map, or null if nothing changed.
+ */
+function applyHistoryResult(selectors) {
+    if (!selectors) return;
+    refreshRules();
+    sendSelectorsToActiveTab(selectors, "Element Hider: Could not send message to content script. The change was saved but not applied in real-time.");
+}
+
+/**
+ * Asks the content script of the active tab for the live health of every rule on the page, and for
+ * the script's overhead on the page so far.
+ * Resolves with an empty map if the content script cannot be reached (e.g. on chrome:// pages).
+ * @async
+ * @returns {Promise<{health: Map<string, {matchCount: number, valid: boolean, error: ?string}>, perf: ?object}>}
+ *   Health entries by rule id, and the content script's `perfStats` (or null).
+ */
+function fetchRuleHealth() {
+    return new Promise(resolve => {
+        chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+            if (tabs.length === 0 || !tabs[0].id) {
+                resolve({ health: new Map(), perf: null });
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action: 'getRuleHealth' }, response => {
+                if (chrome.runtime.lastError || !response?.rules) {
+                    resolve({ health: new Map(), perf: null });
+                    return;
+                }
+                resolve({
+                    health: new Map(response.rules.map(entry => [entry.id, entry])),
+                    perf: response.perf || null,
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Summarises the health report under the rule list, e.g. "3 of 5 rules match · 1 invalid · 1 stale".
+ * The content script's overhead on the page is appended, with the details in the tooltip.
+ * Hidden when there are no rules or no report from the page.
+ * @param {Array<object>} rules - The merged rules of every scope matching the active tab.
+ * @param {Object<string, object>} ruleStats - The rules' match statistics, from `ElementHiderRules.loadRuleStats`.
+ * @param {Map<string, object>} health - Health entries by rule id, from `fetchRuleHealth`.
+ * @param {?object} [perf] - The content script's `perfStats`, from `fetchRuleHealth`.
+ */
+function renderHealthSummary(rules, ruleStats, health, perf = null) {
+    if (rules.length === 0 || health.size === 0) {
+        healthSummary.textContent = '';
+        healthSummary.title = '';
+        return;
+    }
+    const matching = rules.filter(rule => health.get(rule.id)?.matchCount > 0).length;
+    const invalid = rules.filter(rule => health.get(rule.id)?.valid === false).length;
+    const stale = rules.filter(rule => ElementHiderRules.isRuleStale(rule, ruleStats)).length;
+    const parts = [`${matching} of ${rules.length} rules match`];
+    if (invalid > 0) parts.push(`${invalid} invalid`);
+    if (stale > 0) parts.push(`${stale} stale`);
+    if (perf) parts.push(`${perf.totalTime.toFixed(1)} ms overhead`);
+    healthSummary.textContent = parts.join(' · ');
+    healthSummary.title = perf
+        ? `Time spent by Element Hider on this page: ${perf.totalTime.toFixed(1)} ms in total.\n` +
+          `Rules applied ${perf.ruleApplications} time(s), ${perf.mutationBatches} DOM update(s) processed ` +
+          `(${perf.nodesProcessed} added node(s), slowest ${perf.maxBatchTime.toFixed(1)} ms), ` +
+          `style tag inserted ${perf.styleInjections} time(s).`
+        : '';
+}
+
+/**
+ * Fills the scope field's suggestion list with useful scopes for the active tab plus every stored
+ * scope that already applies to it.
+ * @param {Object<string, Array<object>>} allSelectors - The complete rule map from storage.
+ */
+function populateScopeSuggestions(allSelectors) {
+    const suggestions = activeTabUrl ? [
+        ...ElementHiderRules.suggestScopes(activeTabUrl),
+        ...ElementHiderRules.getMatchingScopes(allSelectors, activeTabUrl)
+    ] : [ElementHiderRules.GLOBAL_SCOPE];
+    scopeSuggestions.replaceChildren(...[...new Set(suggestions)].map(scope => {
+        const option = document.createElement('option');
+        option.value = scope;
+        return option;
+    }));
+}
+
+/**
+ * Marks the scope field as invalid (or clears the mark) and reports whether the scope is usable.
+ * @returns {boolean} True if the editing scope is a valid scope key.
+ */
+function validateEditingScope() {
+    const isValid = ElementHiderRules.isValidScope(getEditingScope());
+    scopeInput.classList.toggle('invalid', !isValid);
+    return isValid;
+}
+
+/**
+ * Applies a change to one rule, saves it and pushes the result to the page.
+ * @param {{id: string, scope: string}} rule - The rule to change, as rendered in the rule list.
+ * @param {object} changes - The fields to overwrite on the rule.
+ */
+function updateRule(rule, changes) {
+    let summary = `Relabelled ${rule.selector}`;
+    if ('enabled' in changes) {
+        summary = `${changes.enabled ? 'Enabled' : 'Disabled'} ${rule.selector}`;
+    } else if ('group' in changes) {
+        summary = changes.group ? `Put ${rule.selector} in group ${changes.group}` : `Removed ${rule.selector} from its group`;
+    } else if ('action' in changes) {
+        summary = `Set ${rule.selector} to ${changes.action}`;
+    }
+    ElementHiderRules.updateDomainRules(rule.scope, rules =>
+        rules.map(r => (r.id === rule.id ? { ...r, ...changes } : r)),
+        historyRecord('edit', summary)
+    ).then(({ selectors }) => {
+        refreshRules();
+        sendSelectorsToActiveTab(selectors, "Element Hider: Could not send message to content script. The rule was saved but not applied in real-time.");
+    });
+}
+
+/**
+ * Moves a rule to the scope typed into its scope field, or restores the field if it is invalid.
+ * @param {{id: string, scope: string}} rule - The rule to move, as rendered in the rule list.
+ * @param {HTMLInputElement} field - The rule's scope field.
+ */
+function moveRuleToScope(rule, field) {
+    const newScope = field.value.trim();
+    if (!ElementHiderRules.isValidScope(newScope)) {
+        field.value = rule.scope;
+        return;
+    }
+    ElementHiderRules.moveRule(rule.id, rule.scope, newScope,
+        historyRecord('edit', `Moved ${rule.selector} to ${newScope}`)
+    ).then(selectors => {
+        refreshRules();
+        sendSelectorsToActiveTab(selectors, "Element Hider: Could not send message to content script. The rule was moved but not applied in real-time.");
+    });
+}
+
+/**
+ * Renders the rule list for the active tab: an enable checkbox, the selector, its live match count,
+ * its source, its action (collapse, blur, dim, remove or placeholder), an editable scope and group,
+ * when the rule applies if it has conditions (edited on the options page) and an editable label per
+ * rule. Creation and last-match times are shown as a tooltip. Invalid selectors and rules that have
+ * not matched in `ElementHiderRules.STALE_VISIT_THRESHOLD` visits are flagged so they can be
+ * pruned.
+ * @param {Array<object>} rules - The merged rules of every scope matching the active tab.
+ * @param {Object<string, object>} ruleStats - The rules' match statistics, from `ElementHiderRules.loadRuleStats`.
+ * @param {Map<string, object>} [health] - Health entries by rule id, from `fetchRuleHealth`.
+ */
+function renderRuleList(rules, ruleStats, health = new Map()) {
+    ruleList.replaceChildren();
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        const ruleHealth = health.get(rule.id);
+        const stats = ElementHiderRules.getRuleStats(ruleStats, rule.id);
+        const isInvalid = ruleHealth?.valid === false;
+        const isStale = ElementHiderRules.isRuleStale(rule, ruleStats);
+        item.className = 'rule-item' + (rule.enabled ? '' : ' disabled') + (isInvalid ? ' invalid' : '') + (isStale ? ' stale' : '');
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.title = rule.enabled ? 'Disable this rule' : 'Enable this rule';
+        toggle.addEventListener('change', () => updateRule(rule, { enabled: toggle.checked }));
+
+        const selector = document.createElement('span');
+        selector.className = 'rule-selector';
+        selector.textContent = rule.selector;
+        selector.title = `${rule.selector}\nCreated: ${formatTimestamp(rule.createdAt)}\nLast matched: ${formatTimestamp(stats.lastMatchedAt)}`;
+
+        const count = document.createElement('span');
+        count.className = 'rule-count';
+        if (isInvalid) {
+            count.textContent = 'invalid';
+            count.title = ruleHealth.error || 'The browser cannot parse this selector.';
+        } else if (ruleHealth) {
+            count.textContent = String(ruleHealth.matchCount);
+            count.title = `Matches ${ruleHealth.matchCount} element(s) on this page` +
+                (isStale ? `\nNo matches in the last ${stats.missedVisits} visits` : '');
+        } else {
+            count.textContent = '–';
+            count.title = 'Match count unavailable on this page';
+        }
+
+        const source = document.createElement('span');
+        source.className = `rule-source ${rule.source}`;
+        source.textContent = rule.source;
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'rule-label';
+        label.placeholder = 'Add a label…';
+        label.value = rule.label;
+        label.addEventListener('change', () => updateRule(rule, { label: label.value.trim() }));
+
+        const scope = document.createElement('input');
+        scope.type = 'text';
+        scope.className = 'rule-scope';
+        scope.title = 'Scope this rule applies to';
+        scope.value = rule.scope;
+        scope.setAttribute('list', 'scope-suggestions');
+        scope.addEventListener('change', () => moveRuleToScope(rule, scope));
+
+        const action = document.createElement('select');
+        action.className = 'rule-action';
+        action.title = 'What happens to matching elements';
+        ElementHiderRules.RULE_ACTIONS.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = RULE_ACTION_LABELS[name];
+            action.appendChild(option);
+        });
+        action.value = rule.action || 'collapse';
+        action.addEventListener('change', () => updateRule(rule, { action: action.value }));
+
+        const group = document.createElement('input');
+        group.type = 'text';
+        group.className = 'rule-group';
+        group.title = 'Group this rule belongs to';
+        group.placeholder = 'No group';
+        group.value = rule.group || '';
+        group.setAttribute('list', 'group-suggestions');
+        group.addEventListener('change', () => updateRule(rule, { group: group.value.trim() }));
+
+        item.append(toggle, selector, count, source, action, scope, group);
+        if (rule.conditions) {
+            const conditions = document.createElement('span');
+            conditions.className = 'rule-conditions';
+            conditions.textContent = `Only: ${ElementHiderRules.describeConditions(rule.conditions)}`;
+            conditions.title = 'When this rule applies. Change it on the options page (Manage All Rules).';
+            item.appendChild(conditions);
+        }
+        item.appendChild(label);
+        ruleList.appendChild(item);
+    });
+}
+
+/**
+ * Asks `background.js` to fetch one list, or every list without an id, and refreshes the list view
+ * once it is done. The content scripts pick up the new rules through `chrome.storage.onChanged`.
+ * @param {string} [id] - The subscription to update.
+ */
+function requestListUpdate(id) {
+    subscriptionStatus.textContent = 'Updating…';
+    chrome.runtime.sendMessage({ action: 'updateSubscriptions', id }, response => {
+        subscriptionStatus.textContent = chrome.runtime.lastError || response?.error
+            ? 'Update failed. The lists will be retried on the next scheduled update.'
+            : '';
+        refreshSubscriptions();
+    });
+}
+
+/**
+ * Reloads the subscriptions from storage and renders them together with the catalogue lists the
+ * user has not subscribed to.
+ */
+function refreshSubscriptions() {
+    ElementHiderSubscriptions.loadSubscriptions().then(subscriptions => {
+        const unsubscribed = catalogue.filter(list => !subscriptions[list.id]);
+        renderSubscriptionList([...Object.values(subscriptions), ...unsubscribed], subscriptions);
+    });
+}
+
+/**
+ * Renders one row per list: a subscribe checkbox, the name with its version, rule count on this page
+ * and update status, and, for subscribed lists, an "On this site" switch.
+ * @param {Array<object>} lists - Subscriptions and unsubscribed catalogue entries.
+ * @param {Object<string, object>} subscriptions - The stored subscriptions by id.
+ */
+function renderSubscriptionList(lists, subscriptions) {
+    subscriptionList.replaceChildren(...lists.map(list => {
+        const subscription = subscriptions[list.id];
+        const item = document.createElement('li');
+        item.className = 'subscription-item' + (subscription?.error ? ' error' : '');
+
+        const subscribed = document.createElement('input');
+        subscribed.type = 'checkbox';
+        subscribed.checked = Boolean(subscription);
+        subscribed.title = subscription ? 'Unsubscribe' : 'Subscribe';
+        subscribed.addEventListener('change', () => {
+            if (subscribed.checked) {
+                ElementHiderSubscriptions.subscribe(list).then(added => requestListUpdate(added.id));
+            } else {
+                ElementHiderSubscriptions.unsubscribe(list.id).then(refreshSubscriptions);
+            }
+        });
+
+        const name = document.createElement('span');
+        name.className = 'subscription-name';
+        name.textContent = list.name;
+        name.title = [list.description, list.url].filter(Boolean).join('\n');
+
+        const details = document.createElement('span');
+        details.className = 'subscription-details';
+        if (subscription) {
+            const pageRules = activeTabUrl ? ElementHiderSubscriptions.getRulesForUrl(subscription, activeTabUrl).length : 0;
+            const parts = [];
+            if (subscription.version) parts.push(`v${subscription.version}`);
+            parts.push(`${pageRules} rule(s) here`);
+            parts.push(subscription.error ? `update failed: ${subscription.error}` : `updated ${formatTimestamp(subscription.lastUpdated)}`);
+            details.textContent = parts.join(' · ');
+            details.title = `Last checked: ${formatTimestamp(subscription.lastChecked)}`;
+        }
+
+        item.append(subscribed, name, details);
+
+        if (subscription && historyDomain) {
+            const siteToggle = document.createElement('label');
+            siteToggle.className = 'subscription-site';
+            const siteCheckbox = document.createElement('input');
+            siteCheckbox.type = 'checkbox';
+            siteCheckbox.checked = ElementHiderSubscriptions.isEnabledForSite(subscription, historyDomain);
+            siteCheckbox.addEventListener('change', () => {
+                ElementHiderSubscriptions.setSiteEnabled(subscription.id, historyDomain, siteCheckbox.checked)
+                    .then(refreshSubscriptions);
+            });
+            siteToggle.append(siteCheckbox, 'On this site');
+            item.appendChild(siteToggle);
+        }
+        return item;
+    }));
+}
+
+/**
+ * Fetches the catalogue of bundled preset lists from preset.json.
  * @async
  * @returns {Promise<void>}
  */
-fetch('preset.json')
+fetch(ElementHiderSubscriptions.CATALOGUE_URL)
   .then(response => response.json())
   .then(data => {
-    presets = data.presets;
-    presets.forEach(preset => {
-        const option = document.createElement('option');
-        option.value = preset.name;
-        option.textContent = preset.name;
-        selectElement.appendChild(option);
-    });
+    catalogue = data.lists;
+    refreshSubscriptions();
   })
-  .catch(error => console.error('Error loading presets:', error));
+  .catch(error => console.error('Error loading the preset catalogue:', error));
 
 /**
- * Loads saved user data (selectors and persistence setting) when the popup opens.
+ * Loads saved user data (rules and persistence setting) when the popup opens. The page's URL and
+ * hostname come from the status its content script reported, which follows client-side navigation;
+ * the tab's own URL is only used where no content script runs. The scope field starts at the
+ * hostname. `loadSelectors` migrates rules saved by older versions first.
  */
-getCurrentDomainFromActiveTab().then(currentDomain => {
-    chrome.storage.local.get(['selectors', 'isPersistenceEnabled'], result => {
-        const allSelectors = result.selectors || {};
-        const domainSelectors = allSelectors[currentDomain] || [];
-        selectorsArea.value = domainSelectors.join('\n');
+Promise.all([getActiveTabStatus(), getCurrentDomainFromActiveTab(), getActiveTabUrl()]).then(([status, tabDomain, tabUrl]) => {
+    activeTabUrl = status ? status.url : tabUrl;
+    const currentDomain = status ? status.domain : tabDomain;
+    historyDomain = currentDomain || null;
+    scopeInput.value = currentDomain;
+    renderTabStatus(status);
+    refreshRules();
+    fetchPageTokens();
+    refreshSubscriptions();
+    refreshPauseState();
+    refreshAutoUnblock();
+    refreshFocusSession();
+    chrome.storage.local.get(['isPersistenceEnabled'], result => {
         persistCheckbox.checked = result.isPersistenceEnabled !== false;
     });
 });
 
+/**
+ * Keeps the status line current while the popup is open. Content scripts report every change (a
+ * pause, newly hidden content) to background.js, which keeps the statuses in session storage.
+ * Also reloads the rules when background.js merged in changes made on another device (see sync.js).
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && Object.keys(changes).some(key => key.startsWith('tabStatus:'))) {
+        getActiveTabStatus().then(renderTabStatus);
+    }
+    const syncStatus = changes.syncStatus;
+    if (areaName === 'local' && syncStatus?.newValue?.lastPulledAt !== syncStatus?.oldValue?.lastPulledAt) {
+        refreshRules();
+    }
+    if (areaName === 'local' && changes.focusSession) {
+        refreshFocusSession();
+    }
+    if (areaName === 'local' && (changes.disabledGroups || changes.profiles || changes.activeProfile)) {
+        refreshGroups();
+    }
+});
+
+/**
+ * Handles changes to the scope field by showing that scope's selectors in the textarea.
+ */
+scopeInput.addEventListener('change', () => {
+    if (validateEditingScope()) {
+        refreshRules();
+    }
+});
+
+/**
+ * Handles changes to the group field by showing that group's selectors in the textarea.
+ */
+groupInput.addEventListener('change', refreshRules);
+
+/**
+ * Checks and highlights the selector editor as it is typed in, and drives its autocompletion: the
+ * arrow keys pick a suggestion, Tab or Enter inserts it and Escape closes the list.
+ */
+selectorsArea.addEventListener('input', () => {
+    scheduleLint();
+    updateCompletions();
+});
+
+selectorsArea.addEventListener('keydown', event => {
+    if (!completion) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        completion.active = (completion.active + step + completion.names.length) % completion.names.length;
+        renderCompletions();
+    } else if (event.key === 'Tab' || event.key === 'Enter') {
+        acceptCompletion(completion.names[completion.active]);
+    } else if (event.key === 'Escape') {
+        hideCompletions();
+    } else {
+        return;
+    }
+    event.preventDefault();
+});
+
+selectorsArea.addEventListener('click', updateCompletions);
+selectorsArea.addEventListener('blur', hideCompletions);
+selectorsArea.addEventListener('scroll', () => {
+    selectorsHighlight.scrollTop = selectorsArea.scrollTop;
+});
+
+/**
+ * Handles the profile menu. Open tabs pick the change up from storage.
+ */
+profileSelect.addEventListener('change', () => {
+    ElementHiderRules.setActiveProfile(profileSelect.value || null).then(() => refreshGroups());
+});
+
 /**
  * Handles changes to the persistence checkbox.
  */
@@ -92,84 +1115,295 @@ persistCheckbox.addEventListener('change', () => {
 });
 
 /**
- * Handles the "Clear All" button click for the current domain.
+ * Handles the pause checkboxes. Open tabs pick the change up from storage and the toolbar badge follows.
+ */
+pauseSiteCheckbox.addEventListener('change', () => {
+    if (!historyDomain) return;
+    ElementHiderRules.setSitePaused(historyDomain, pauseSiteCheckbox.checked).then(refreshPauseState);
+});
+
+pauseAllCheckbox.addEventListener('change', () => {
+    ElementHiderRules.setPausedEverywhere(pauseAllCheckbox.checked).then(refreshPauseState);
+});
+
+/**
+ * Handles the focus session button: starts a session of the chosen length, or ends the running one.
+ * background.js ends a session when its time is up.
+ */
+ElementHiderRules.FOCUS_SESSION_MINUTES.forEach(minutes => {
+    const option = document.createElement('option');
+    option.value = String(minutes);
+    option.textContent = `${minutes} min`;
+    focusMinutesSelect.appendChild(option);
+});
+
+focusSessionButton.addEventListener('click', () => {
+    ElementHiderRules.loadFocusSession().then(session => (session
+        ? ElementHiderRules.endFocusSession()
+        : ElementHiderRules.startFocusSession(Number(focusMinutesSelect.value))
+    )).then(refreshFocusSession);
+});
+
+/**
+ * Handles the "Peek" button: starts peek mode on the active tab and closes the popup, which would
+ * otherwise cover the page.
+ */
+peekButton.addEventListener('click', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+        if (tabs.length === 0 || !tabs[0].id) return;
+        chrome.tabs.sendMessage(tabs[0].id, { action: 'togglePeek' }, () => {
+            if (chrome.runtime.lastError) {
+                pauseStatus.textContent = 'Peek is not available on this page.';
+                return;
+            }
+            window.close();
+        });
+    });
+});
+
+/**
+ * Handles the "Unblock Page" button.
+ */
+unblockButton.addEventListener('click', unblockActiveTab);
+
+/**
+ * Handles the automatic unblocking checkbox. Switching it on also unblocks the current page at once;
+ * later visits to the site are unblocked by the content script as they load.
+ */
+autoUnblockCheckbox.addEventListener('change', () => {
+    if (!historyDomain) return;
+    ElementHiderRules.setAutoUnblock(historyDomain, autoUnblockCheckbox.checked).then(() => {
+        refreshAutoUnblock();
+        if (autoUnblockCheckbox.checked) unblockActiveTab();
+    });
+});
+
+/**
+ * Handles the "Manage All Rules" button. The options page opens in a tab, which closes the popup.
+ */
+manageRulesButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+/**
+ * Handles the "Clear All" button click for the scope in the scope field.
  */
 clearAllButton.addEventListener('click', () => {
-    if (confirm('Are you sure you want to delete all selectors for this domain? This cannot be undone.')) {
-        getCurrentDomainFromActiveTab().then(currentDomain => {
-            chrome.storage.local.get(['selectors'], result => {
-                const allSelectors = result.selectors || {};
-                delete allSelectors[currentDomain];
-
-                chrome.storage.local.set({ selectors: allSelectors }, () => {
-                    selectorsArea.value = '';
-                    console.log(`Selectors for ${currentDomain} have been cleared.`);
-
-                    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-                        if (tabs.length > 0 && tabs[0].id) {
-                            chrome.tabs.sendMessage(tabs[0].id, {
-                                action: 'updateSelectors',
-                                selectors: allSelectors 
-                            }, () => {
-                                if (chrome.runtime.lastError) {
-                                    console.warn("Element Hider: Could not send message to content script. It might not be injected on this page.");
-                                }
-                            });
-                        }
-                    });
-                });
-            });
+    const scope = getEditingScope();
+    if (!validateEditingScope()) return;
+    if (confirm(`Are you sure you want to delete all selectors for "${scope}"?`)) {
+        ElementHiderRules.updateDomainRules(scope, () => [], historyRecord('clear', `Cleared all rules for ${scope}`)).then(({ selectors }) => {
+            refreshRules();
+            console.log(`Selectors for ${scope} have been cleared.`);
+            sendSelectorsToActiveTab(selectors, "Element Hider: Could not send message to content script. It might not be injected on this page.");
         });
     }
 });
 
 /**
- * Handles changes to the preset dropdown.
+ * Handles the "Subscribe" button for a list URL. The extension only holds optional host permissions,
+ * so access to the list's origin is requested first (the click counts as the required user gesture).
  */
-selectElement.addEventListener('change', event => {
-    const selectedPreset = presets?.find(p => p.name === event.target.value);
-    if (selectedPreset) {
-      selectorsArea.value = selectedPreset.selectors.join('\n');
+subscribeButton.addEventListener('click', () => {
+    let url;
+    try {
+        url = new URL(subscriptionUrlInput.value.trim());
+    } catch (e) {
+        url = null;
     }
+    const isValid = url && (url.protocol === 'https:' || url.protocol === 'http:');
+    subscriptionUrlInput.classList.toggle('invalid', !isValid);
+    if (!isValid) return;
+    chrome.permissions.request({ origins: [`${url.origin}/*`] }, granted => {
+        if (!granted) {
+            subscriptionStatus.textContent = `Permission to read ${url.origin} was denied.`;
+            return;
+        }
+        ElementHiderSubscriptions.subscribe({ url: url.href }).then(added => {
+            subscriptionUrlInput.value = '';
+            requestListUpdate(added.id);
+        });
+    });
 });
 
 /**
- * Handles the "Save and Apply" button click.
+ * Handles the "Update Lists Now" button.
  */
-saveButton.addEventListener('click', () => {
-    const selectorsText = selectorsArea.value;
-    const selectors = selectorsText.split('\n').map(s => s.trim()).filter(s => s.length > 0);
+updateListsButton.addEventListener('click', () => requestListUpdate());
+
+/**
+ * Returns the scopes chosen in the export dropdown.
+ * @param {Object<string, Array<object>>} allSelectors - The complete rule map from storage.
+ * @returns {?string[]} The scopes to export, or null for all of them.
+ */
+function getExportScopes(allSelectors) {
+    if (exportScopesSelect.value === 'page') {
+        return activeTabUrl ? ElementHiderRules.getMatchingScopes(allSelectors, activeTabUrl) : [];
+    }
+    if (exportScopesSelect.value === 'scope') {
+        return [getEditingScope()];
+    }
+    return null;
+}
+
+/**
+ * Offers text to the user as a file download.
+ * @param {string} text - The file contents.
+ * @param {string} filename - The suggested file name.
+ * @param {string} type - The MIME type.
+ */
+function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Shows the outcome of an import or export under the Import / Export buttons. The full list of
+ * conflicts and skipped entries is available as a tooltip, since a filter list can skip hundreds of lines.
+ * @param {string} message - The one-line summary.
+ * @param {Array<{scope: string, selector?: string, reason: string}>} [details] - Entries worth listing.
+ */
+function showTransferReport(message, details = []) {
+    importReport.textContent = message;
+    importReport.title = details
+        .map(detail => `${detail.scope}${detail.selector ? ` ${detail.selector}` : ''}: ${detail.reason}`)
+        .join('\n');
+}
+
+/**
+ * Handles the "Export" button: saves the chosen rules in the chosen format.
+ */
+exportButton.addEventListener('click', () => {
+    ElementHiderRules.loadSelectors().then(allSelectors => {
+        const scopes = getExportScopes(allSelectors);
+        const date = new Date().toISOString().slice(0, 10);
+        if (exportFormatSelect.value === 'filters') {
+            const { text, skipped } = ElementHiderRuleIO.exportFilters(allSelectors, scopes);
+            downloadText(text, `element-hider-${date}.txt`, 'text/plain');
+            showTransferReport(skipped.length > 0 ? `Exported. ${skipped.length} rule(s) could not be written as filters.` : 'Exported.', skipped);
+        } else {
+            downloadText(ElementHiderRuleIO.exportJson(allSelectors, scopes), `element-hider-${date}.json`, 'application/json');
+            showTransferReport('Exported.');
+        }
+    });
+});
+
+/**
+ * Handles the "Import from File…" button by opening the file chooser.
+ */
+importButton.addEventListener('click', () => {
+    importFileInput.value = '';
+    importFileInput.click();
+});
+
+/**
+ * Imports the chosen file in the chosen mode and reports what was added, what conflicted and what
+ * was skipped. Replacing asks for confirmation first, as it can delete rules.
+ */
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    if (!file) return;
+    const mode = importModeSelect.value;
+    file.text().then(text => {
+        let parsed;
+        try {
+            parsed = ElementHiderRuleIO.parse(text);
+        } catch (error) {
+            showTransferReport(`Import failed: ${error.message}`);
+            return;
+        }
+        const scopes = Object.keys(parsed.selectors);
+        if (scopes.length === 0) {
+            showTransferReport(`Nothing to import. ${parsed.skipped.length} entry(ies) skipped.`, parsed.skipped);
+            return;
+        }
+        if (mode === 'replace' && !confirm(`Replace all rules in ${scopes.length} scope(s) with the contents of "${file.name}"?`)) {
+            return;
+        }
+        ElementHiderRules.importSelectors(parsed.selectors, mode,
+            historyRecord('import', `Imported ${file.name} (${mode})`)
+        ).then(({ selectors, report }) => {
+            const skipped = [...parsed.skipped, ...report.skipped];
+            const parts = [`${report.added} added`, `${report.unchanged} unchanged`];
+            if (report.removed > 0) parts.push(`${report.removed} removed`);
+            if (report.conflicts.length > 0) parts.push(`${report.conflicts.length} conflict(s) kept as saved`);
+            if (skipped.length > 0) parts.push(`${skipped.length} skipped`);
+            showTransferReport(`Imported: ${parts.join(', ')}.`, [...report.conflicts, ...skipped]);
+            refreshRules();
+            sendSelectorsToActiveTab(selectors, "Element Hider: Could not send message to content script. The rules were imported but not applied in real-time.");
+        });
+    });
+});
+
+/**
+ * Handles the history's Undo and Redo buttons.
+ */
+undoButton.addEventListener('click', () => {
+    if (!historyDomain) return;
+    ElementHiderRules.undo(historyDomain).then(result => applyHistoryResult(result?.selectors));
+});
+redoButton.addEventListener('click', () => {
+    if (!historyDomain) return;
+    ElementHiderRules.redo(historyDomain).then(result => applyHistoryResult(result?.selectors));
+});
+
+/**
+ * Saves the editor's selectors as the rules of the editing scope and group, and applies them.
+ * @param {string[]} selectors - The checked selectors, one per non-empty line.
+ */
+function saveEditorSelectors(selectors) {
+    const scope = getEditingScope();
+    const group = getEditingGroup();
 
     saveButton.textContent = 'Saving...';
     saveButton.classList.add('saving');
     saveButton.disabled = true;
 
-    getCurrentDomainFromActiveTab().then(currentDomain => {
-        chrome.storage.local.get(['selectors'], result => {
-            const allSelectors = result.selectors || {};
-            allSelectors[currentDomain] = selectors; 
-
-            chrome.storage.local.set({ selectors: allSelectors }, () => {
-                chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-                    if (tabs.length > 0 && tabs[0].id) {
-                        chrome.tabs.sendMessage(tabs[0].id, { action: 'updateSelectors', selectors: allSelectors }, () => {
-                            if (chrome.runtime.lastError) {
-                                console.warn("Element Hider: Could not send message to content script. Settings were saved but not applied in real-time.");
-                            }
-                            
-                            saveButton.classList.remove('saving');
-                            saveButton.classList.add('success');
-                            saveButton.textContent = 'Saved!';
-                            setTimeout(() => {
-                                saveButton.textContent = 'Save and Apply';
-                                saveButton.classList.remove('success');
-                                saveButton.disabled = false;
-                            }, 1500);
-                        });
-                    }
-                });
-            });
+    // Existing rules keep their id, label and enabled state; only new lines become new rules. The
+    // scope's other groups are left alone.
+    ElementHiderRules.updateDomainRules(scope, rules =>
+        ElementHiderRules.reconcileGroupRules(rules, group, selectors),
+        historyRecord('edit', group ? `Edited group ${group} for ${scope}` : `Edited rules for ${scope}`)
+    ).then(({ selectors: allSelectors }) => {
+        refreshRules();
+        sendSelectorsToActiveTab(allSelectors, "Element Hider: Could not send message to content script. Settings were saved but not applied in real-time.", () => {
+            saveButton.classList.remove('saving');
+            saveButton.classList.add('success');
+            saveButton.textContent = 'Saved!';
+            setTimeout(() => {
+                saveButton.textContent = 'Save and Apply';
+                saveButton.classList.remove('success');
+                saveButton.disabled = false;
+            }, 1500);
         });
     });
+}
+
+/**
+ * Handles the "Save and Apply" button click. Nothing is saved while a line has an invalid selector;
+ * the first one is selected instead. Warnings on lines that are not saved yet (selectors hiding the
+ * whole page, most of it, or every element of a kind) are confirmed first. Duplicates are saved once.
+ */
+saveButton.addEventListener('click', () => {
+    if (!validateEditingScope()) return;
+    clearTimeout(lintTimer);
+    lintEditor().then(({ selectors, problems }) => {
+        const firstError = problems.find(problem => problem.severity === 'error');
+        if (firstError) {
+            selectEditorLine(firstError.line);
+            return;
+        }
+        const warnings = problems.filter(problem =>
+            problem.severity === 'warning' && problem.kind !== 'duplicate' && !savedEditorSelectors.has(problem.selector)
+        );
+        if (warnings.length > 0 && !confirm(
+            `These selectors may hide more than you intend:\n\n${warnings.map(problem => `Line ${problem.line}: ${problem.message}`).join('\n')}\n\nSave them anyway?`
+        )) {
+            return;
+        }
+        saveEditorSelectors(selectors.map(entry => entry.selector));
+    });
 });
 });
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Procedural (text-based) selectors for Element Hider rules.
+ * Loaded ahead of `content.js` (see `manifest.json`), which applies them, and by `popup.html` and
+ * `background.js`, where `rule-io.js` uses it to accept procedural filters on import.
+ *
+ * A procedural selector is a plain CSS selector (the container) followed by one or more operators
+ * in the style of uBlock Origin, applied from left to right:
+ *   - `:has-text(text)`     keeps the elements whose text contains `text` (case-sensitive).
+ *   - `:has-text(/re/i)`    keeps the elements whose text matches the regular expression.
+ *   - `:upward(n)`          replaces each element with its n-th ancestor (1 = parent).
+ *   - `:upward(selector)`   replaces each element with its closest ancestor matching `selector`.
+ * `:-abp-contains()` is accepted as an alias of `:has-text()`.
+ *
+ * Examples: `article:has-text(Sponsored)`, `.comment p:has-text(/spoiler/i):upward(.comment)`.
+ *
+ * Procedural rules are stored like any other rule; whether a rule is procedural is decided from its
+ * selector, so they share the rule list, scopes, history and import/export of CSS rules.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderProcedural = (function () {
+  "use strict";
+
+  /**
+   * Matches the start of an operator. The name is captured without the leading colon.
+   * @type {RegExp}
+   */
+  const OPERATOR_PATTERN = /:(has-text|-abp-contains|upward)\(/g;
+
+  /** @type {Object<string, string>} Alternative operator names and the operator they stand for. */
+  const OPERATOR_ALIASES = { "-abp-contains": "has-text" };
+
+  /** @type {number} The largest accepted `:upward(n)`. */
+  const MAX_UPWARD = 256;
+
+  /**
+   * @typedef {object} ProceduralSelector
+   * @property {string} base - The container CSS selector.
+   * @property {Array<{type: "has-text", test: function(string): boolean}|{type: "upward", count?: number, selector?: string}>} tasks
+   *   The operators, in order.
+   */
+
+  /**
+   * @public
+   * @description Tells whether a selector uses procedural operators. Cheap enough to call on every rule.
+   * @param {string} selector - The rule's selector.
+   * @returns {boolean}
+   */
+  function isProcedural(selector) {
+    OPERATOR_PATTERN.lastIndex = 0;
+    return OPERATOR_PATTERN.test(selector);
+  }
+
+  /**
+   * @private
+   * @description Returns the index of the parenthesis closing the one just before `start`,
+   * honouring nested parentheses and backslash escapes.
+   * @param {string} text - The selector.
+   * @param {number} start - The index just after the opening parenthesis.
+   * @returns {number} The index of the closing parenthesis, or -1.
+   */
+  function findClosingParen(text, start) {
+    let depth = 1;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (char === "\\") {
+        i++;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")" && --depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @private
+   * @description Builds the text test of a `:has-text()` argument.
+   * @param {string} argument - Plain text, optionally quoted, or `/regex/flags`.
+   * @returns {function(string): boolean}
+   * @throws {Error} If the regular expression is invalid.
+   */
+  function createTextTest(argument) {
+    const regex = argument.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      let pattern;
+      try {
+        pattern = new RegExp(regex[1], regex[2]);
+      } catch (e) {
+        throw new Error(`Invalid regular expression in :has-text(): ${e.message}`);
+      }
+      return (text) => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+      };
+    }
+    const literal = argument.replace(/^(["'])(.*)\1$/, "$2");
+    if (!literal) {
+      throw new Error(":has-text() needs a text or a /regex/.");
+    }
+    return (text) => text.includes(literal);
+  }
+
+  /**
+   * @private
+   * @description Parses the argument of `:upward()`.
+   * @param {string} argument - A number or a CSS selector.
+   * @returns {{type: "upward", count?: number, selector?: string}}
+   * @throws {Error} If the argument is neither a usable count nor a valid selector.
+   */
+  function parseUpward(argument) {
+    if (/^\d+$/.test(argument)) {
+      const count = Number(argument);
+      if (count < 1 || count > MAX_UPWARD) {
+        throw new Error(`:upward() count must be between 1 and ${MAX_UPWARD}.`);
+      }
+      return { type: "upward", count };
+    }
+    if (!argument) {
+      throw new Error(":upward() needs a number or a selector.");
+    }
+    assertValidCss(argument);
+    return { type: "upward", selector: argument };
+  }
+
+  /**
+   * @private
+   * @description Throws if the browser cannot parse a CSS selector. Skipped where there is no DOM
+   * (the background service worker).
+   * @param {string} selector - The CSS selector.
+   * @throws {Error} If the selector is invalid.
+   */
+  function assertValidCss(selector) {
+    if (typeof document === "undefined") return;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (e) {
+      throw new Error(`Invalid selector "${selector}".`);
+    }
+  }
+
+  /**
+   * @public
+   * @description Parses a procedural selector. Operators must follow the container selector; plain
+   * CSS may not appear between or after them.
+   * @param {string} selector - The rule's selector.
+   * @returns {ProceduralSelector}
+   * @throws {Error} If the selector is not procedural or is malformed.
+   */
+  function parse(selector) {
+    const text = selector.trim();
+    OPERATOR_PATTERN.lastIndex = 0;
+    const first = OPERATOR_PATTERN.exec(text);
+    if (!first) {
+      throw new Error("Not a procedural selector.");
+    }
+    const base = text.slice(0, first.index).trim();
+    if (!base) {
+      throw new Error("A procedural selector needs a container selector, e.g. div:has-text(...).");
+    }
+    assertValidCss(base);
+
+    const tasks = [];
+    let position = first.index;
+    while (position < text.length) {
+      OPERATOR_PATTERN.lastIndex = position;
+      const match = OPERATOR_PATTERN.exec(text);
+      if (!match || match.index !== position) {
+        throw new Error(`Unexpected "${text.slice(position)}" after a procedural operator.`);
+      }
+      const argumentStart = match.index + match[0].length;
+      const end = findClosingParen(text, argumentStart);
+      if (end === -1) {
+        throw new Error(`Unclosed :${match[1]}().`);
+      }
+      const argument = text.slice(argumentStart, end).trim();
+      const name = OPERATOR_ALIASES[match[1]] || match[1];
+      tasks.push(
+        name === "has-text"
+          ? { type: "has-text", test: createTextTest(argument) }
+          : parseUpward(argument)
+      );
+      position = end + 1;
+    }
+    return { base, tasks };
+  }
+
+  /**
+   * @public
+   * @description Checks a procedural selector without throwing.
+   * @param {string} selector - The rule's selector.
+   * @returns {?string} The error message, or `null` if the selector is valid.
+   */
+  function validate(selector) {
+    try {
+      parse(selector);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  /**
+   * @private
+   * @description Runs the operators over a list of container elements.
+   * @param {ProceduralSelector} parsed - The parsed selector.
+   * @param {Element[]} candidates - Elements matching the container selector.
+   * @returns {Element[]} The matched elements, without duplicates.
+   */
+  function runTasks(parsed, candidates) {
+    let elements = candidates;
+    for (const task of parsed.tasks) {
+      if (task.type === "has-text") {
+        elements = elements.filter((el) => task.test(el.textContent || ""));
+      } else if (task.count) {
+        elements = elements.map((el) => {
+          let ancestor = el;
+          for (let i = 0; i < task.count && ancestor; i++) {
+            ancestor = ancestor.parentElement;
+          }
+          return ancestor;
+        });
+      } else {
+        elements = elements.map((el) => el.parentElement?.closest(task.selector));
+      }
+      elements = [...new Set(elements.filter(Boolean))];
+    }
+    return elements;
+  }
+
+  /**
+   * @public
+   * @description Finds every element of a document that a procedural selector matches.
+   * @param {ProceduralSelector} parsed - The parsed selector.
+   * @param {Document} [doc=document] - The document to search.
+   * @returns {Element[]}
+   */
+  function query(parsed, doc = document) {
+    return runTasks(parsed, Array.from(doc.querySelectorAll(parsed.base)));
+  }
+
+  /**
+   * @public
+   * @description Finds the matches that a newly added node can have produced: containers inside it,
+   * and the nearest container around it (new text may have been added to an existing container).
+   * Used on the nodes reported by a `MutationObserver`, so the whole document is not rescanned.
+   * @param {ProceduralSelector} parsed - The parsed selector.
+   * @param {Element} node - The added element.
+   * @returns {Element[]}
+   */
+  function queryWithin(parsed, node) {
+    const candidates = new Set(node.querySelectorAll(parsed.base));
+    const container = node.closest(parsed.base);
+    if (container) candidates.add(container);
+    return runTasks(parsed, [...candidates]);
+  }
+
+  return { isProcedural, parse, validate, query, queryWithin };
+})();
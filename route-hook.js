@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Main-world navigation hook for the Element Hider Chrome extension.
+ * Content scripts run in an isolated world, so wrapping `history.pushState` from `content.js`
+ * would never see the page's own calls. `manifest.json` therefore injects this tiny script into
+ * the page's main world at `document_start`. It wraps `history.pushState` and
+ * `history.replaceState` and announces every client-side navigation with a DOM event that the
+ * isolated-world content script can listen for (`popstate` and `hashchange` already reach it).
+ *
+ * This script must stay free of `chrome.*` APIs: they do not exist in the main world.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+(function () {
+  "use strict";
+
+  /**
+   * The name of the event dispatched on `window` after each history change. Must match
+   * `ROUTE_CHANGE_EVENT` in `content.js`.
+   * @type {string}
+   */
+  const ROUTE_CHANGE_EVENT = "element-hider:routechange";
+
+  // Guard against double-wrapping if the script is ever injected twice into the same page.
+  if (history.pushState.__elementHiderWrapped) return;
+
+  /**
+   * @description Replaces a `history` method with a wrapper that calls the original and then
+   * dispatches `ROUTE_CHANGE_EVENT`. The original's return value and exceptions are preserved.
+   * @param {"pushState"|"replaceState"} methodName - The history method to wrap.
+   */
+  function wrapHistoryMethod(methodName) {
+    const original = history[methodName];
+    const wrapped = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(ROUTE_CHANGE_EVENT));
+      return result;
+    };
+    wrapped.__elementHiderWrapped = true;
+    history[methodName] = wrapped;
+  }
+
+  wrapHistoryMethod("pushState");
+  wrapHistoryMethod("replaceState");
+})();
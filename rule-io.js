@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Import and export formats for Element Hider rules. Loaded after `rules.js`,
+ * `procedural.js` and `shadow.js` by `popup.html`, and by `background.js` to read filter-list subscriptions. It only
+ * converts between text and rule maps; merging into storage is done by `ElementHiderRules.importSelectors`.
+ *
+ * Two formats are supported:
+ *
+ * 1. Element Hider JSON (a backup or a set of rules to share):
+ *
+ *        {
+ *          "format": "element-hider-rules",
+ *          "version": 1,
+ *          "exportedAt": "2026-01-31T12:00:00.000Z",
+ *          "scopes": {
+ *            "example.com": [
+ *              { "selector": ".ad", "label": "Sidebar ad", "enabled": true, "action": "collapse",
+ *                "source": "picker", "createdAt": 1767182400000 }
+ *            ]
+ *          }
+ *        }
+ *
+ *    Scope keys use the syntax described in `rules.js`. Rules may also carry a `group` and
+ *    `conditions`. Only `selector` is required per rule, and a
+ *    bare selector string is accepted in place of a rule object. Files with a newer `version` are
+ *    rejected rather than half-read.
+ *
+ * 2. Cosmetic filter syntax as used by uBlock Origin and AdBlock Plus, one filter per line:
+ *
+ *        ! A comment
+ *        example.com,example.org##.ad
+ *        ##.cookie-banner
+ *
+ *    A filter list domain also covers its subdomains, so `example.com##x` imports into the
+ *    `*.example.com` scope, and filters without a domain into `*`. Text-based filters using
+ *    `:has-text()` and `:upward()` (also written with `#?#`) become procedural rules (see
+ *    `procedural.js`). Exception (`#@#`), snippet (`#$#`, `##+js`), negated-domain and network
+ *    filters and other extended operators have no equivalent here and are reported as skipped. On
+ *    export, path and `file://` scopes and Shadow DOM (`>>>`) selectors cannot be expressed and
+ *    disabled rules are left out; all are reported. Filters can only hide, so rules with another
+ *    action (blur, dim, ...) are exported as plain hiding filters, rules with activation
+ *    conditions (see `rules.js`) as unconditional ones, and rule groups are not kept.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderRuleIO = (function () {
+  "use strict";
+
+  /** @type {string} The `format` marker of Element Hider JSON files. */
+  const JSON_FORMAT = "element-hider-rules";
+
+  /** @type {number} The newest JSON format version this build can read and the one it writes. */
+  const JSON_VERSION = 1;
+
+  /**
+   * The rule fields written to JSON exports. Ids and match statistics are specific to one browser
+   * profile and are regenerated on import.
+   * @type {string[]}
+   */
+  const EXPORTED_FIELDS = ["selector", "label", "enabled", "action", "source", "createdAt", "conditions", "group"];
+
+  /**
+   * Cosmetic filter separators that this extension cannot honour, with the reason reported.
+   * Checked before the plain `##` separator, which is a prefix of some of them.
+   * @type {Array<[string, string]>}
+   */
+  const UNSUPPORTED_SEPARATORS = [
+    ["#@#", "Exception filters are not supported"],
+    ["#$#", "Snippet and style filters are not supported"],
+    ["##+js", "Scriptlet filters are not supported"],
+    ["##^", "HTML filters are not supported"],
+  ];
+
+  /**
+   * @public
+   * @description Checks whether a rule selector is usable: a shadow-crossing or procedural selector
+   * must parse, a CSS selector must be understood by the browser. Without a DOM (in the background
+   * service worker) CSS selectors are only checked for text that would break out of the stylesheet
+   * (see `ElementHiderRules.isStylesheetSafe`); the rest is left to the page's health report.
+   * @param {string} selector - The selector to check.
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    if (ElementHiderShadow.isShadowSelector(selector)) {
+      return ElementHiderShadow.validate(selector) === null;
+    }
+    if (ElementHiderProcedural.isProcedural(selector)) {
+      return ElementHiderProcedural.validate(selector) === null;
+    }
+    if (!ElementHiderRules.isStylesheetSafe(selector)) return false;
+    if (typeof document === "undefined") return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   * @description Picks the scopes to export from a rule map.
+   * @param {Object<string, Rule[]>} selectors - The complete rule map.
+   * @param {?string[]} scopes - The scopes to include, or `null` for all of them.
+   * @returns {Array<[string, Rule[]]>} The selected scope entries.
+   */
+  function selectScopes(selectors, scopes) {
+    return Object.entries(selectors).filter(([scope]) => !scopes || scopes.includes(scope));
+  }
+
+  /**
+   * @public
+   * @description Serializes rules as Element Hider JSON.
+   * @param {Object<string, Rule[]>} selectors - The complete rule map.
+   * @param {?string[]} [scopes=null] - The scopes to include, or `null` for all of them.
+   * @returns {string} The pretty-printed JSON document.
+   */
+  function exportJson(selectors, scopes = null) {
+    const exported = {};
+    for (const [scope, rules] of selectScopes(selectors, scopes)) {
+      exported[scope] = rules.map((rule) =>
+        Object.fromEntries(EXPORTED_FIELDS.map((field) => [field, rule[field]]))
+      );
+    }
+    return JSON.stringify(
+      {
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        exportedAt: new Date().toISOString(),
+        scopes: exported,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * @public
+   * @description Parses an Element Hider JSON document.
+   * @param {string} text - The file contents.
+   * @returns {{selectors: Object<string, Array<Partial<Rule>>>, skipped: Array<{scope: string, selector?: string, reason: string}>}}
+   *   The imported rules by scope, and the entries that were dropped.
+   * @throws {Error} If the text is not JSON, not in this format, or from a newer version.
+   */
+  function parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== JSON_FORMAT || typeof data.scopes !== "object" || !data.scopes) {
+      throw new Error("Not an Element Hider rules file.");
+    }
+    if (!Number.isInteger(data.version) || data.version > JSON_VERSION) {
+      throw new Error(
+        `Unsupported file version ${data.version}; this version of Element Hider reads up to ${JSON_VERSION}.`
+      );
+    }
+
+    const selectors = {};
+    const skipped = [];
+    for (const [scope, entries] of Object.entries(data.scopes)) {
+      if (!Array.isArray(entries)) {
+        skipped.push({ scope, reason: "Rules must be a list" });
+        continue;
+      }
+      for (const entry of entries) {
+        const rule = typeof entry === "string" ? { selector: entry } : entry;
+        const selector = typeof rule?.selector === "string" ? rule.selector.trim() : "";
+        if (!selector || !isValidSelector(selector)) {
+          skipped.push({ scope, selector, reason: "Invalid selector" });
+          continue;
+        }
+        (selectors[scope] ||= []).push({ ...rule, selector });
+      }
+    }
+    return { selectors, skipped };
+  }
+
+  /**
+   * @public
+   * @description Serializes enabled rules as a cosmetic filter list.
+   * @param {Object<string, Rule[]>} selectors - The complete rule map.
+   * @param {?string[]} [scopes=null] - The scopes to include, or `null` for all of them.
+   * @returns {{text: string, skipped: Array<{scope: string, selector: string, reason: string}>}}
+   *   The filter list, and the rules that could not be expressed.
+   */
+  function exportFilters(selectors, scopes = null) {
+    const lines = ["! Title: Element Hider rules", `! Exported: ${new Date().toISOString()}`];
+    const skipped = [];
+    const written = new Set();
+    for (const [scope, rules] of selectScopes(selectors, scopes)) {
+      let domain = null;
+      if (scope === ElementHiderRules.GLOBAL_SCOPE) {
+        domain = "";
+      } else if (!scope.startsWith(ElementHiderRules.FILE_SCOPE) && !scope.includes("/")) {
+        domain = scope.replace(/^\*\./, "");
+      }
+      for (const rule of rules) {
+        if (domain === null) {
+          skipped.push({ scope, selector: rule.selector, reason: "Path and file scopes cannot be expressed as filters" });
+        } else if (!rule.enabled) {
+          skipped.push({ scope, selector: rule.selector, reason: "Disabled" });
+        } else if (ElementHiderShadow.isShadowSelector(rule.selector)) {
+          skipped.push({ scope, selector: rule.selector, reason: "Shadow DOM selectors cannot be expressed as filters" });
+        } else if (!written.has(`${domain}##${rule.selector}`)) {
+          written.add(`${domain}##${rule.selector}`);
+          if (rule.label) lines.push(`! ${rule.label}`);
+          lines.push(`${domain}##${rule.selector}`);
+        }
+      }
+    }
+    return { text: lines.join("\n") + "\n", skipped };
+  }
+
+  /**
+   * @public
+   * @description Parses a cosmetic filter list. Comments (`!`), headers (`[Adblock Plus 2.0]`) and
+   * blank lines are ignored; every other unusable line is reported with its line number.
+   * @param {string} text - The filter list.
+   * @returns {{selectors: Object<string, Array<Partial<Rule>>>, skipped: Array<{scope: string, selector?: string, reason: string}>}}
+   *   The imported rules by scope, and the lines that were dropped.
+   */
+  function parseFilters(text) {
+    const selectors = {};
+    const skipped = [];
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("!") || line.startsWith("[")) return;
+      const where = `line ${index + 1}`;
+      const hash = line.indexOf("#");
+      const separator = hash === -1 ? "" : line.slice(hash);
+      const unsupported = UNSUPPORTED_SEPARATORS.find(([prefix]) => separator.startsWith(prefix));
+      if (unsupported) {
+        skipped.push({ scope: where, selector: line, reason: unsupported[1] });
+        return;
+      }
+      // `#?#` marks extended (procedural) filters in AdBlock Plus syntax; the selector decides here.
+      const isExtended = separator.startsWith("#?#");
+      if (!separator.startsWith("##") && !isExtended) {
+        skipped.push({ scope: where, selector: line, reason: "Not a cosmetic filter" });
+        return;
+      }
+
+      const selector = separator.slice(isExtended ? 3 : 2).trim();
+      const domains = line.slice(0, hash).split(",").map((d) => d.trim().toLowerCase()).filter(Boolean);
+      if (!selector || !isValidSelector(selector)) {
+        skipped.push({ scope: where, selector: line, reason: "Invalid or extended selector" });
+        return;
+      }
+      if (domains.some((d) => d.startsWith("~"))) {
+        skipped.push({ scope: where, selector: line, reason: "Domain exceptions (~) are not supported" });
+        return;
+      }
+      const scopes = domains.length === 0 ? [ElementHiderRules.GLOBAL_SCOPE] : domains.map((d) => `*.${d}`);
+      for (const scope of scopes) {
+        if (!ElementHiderRules.isValidScope(scope)) {
+          skipped.push({ scope: where, selector: line, reason: `Unsupported domain "${scope.slice(2)}"` });
+          continue;
+        }
+        (selectors[scope] ||= []).push({ selector, source: "preset" });
+      }
+    });
+    return { selectors, skipped };
+  }
+
+  /**
+   * @public
+   * @description Parses either format, telling them apart by whether the text is a JSON object.
+   * @param {string} text - The file contents.
+   * @returns {{format: "json"|"filters", selectors: Object<string, Array<Partial<Rule>>>, skipped: Array<object>}}
+   * @throws {Error} If the text looks like JSON but is not a valid Element Hider rules file.
+   */
+  function parse(text) {
+    if (text.trim().startsWith("{")) {
+      return { format: "json", ...parseJson(text) };
+    }
+    return { format: "filters", ...parseFilters(text) };
+  }
+
+  return {
+    JSON_FORMAT,
+    JSON_VERSION,
+    isValidSelector,
+    exportJson,
+    parseJson,
+    exportFilters,
+    parseFilters,
+    parse,
+  };
+})();
@@ -0,0 +1,1548 @@
+/**
+ * @fileoverview Shared rule model and storage layer for the Element Hider Chrome extension.
+ * This script is loaded ahead of `content.js` (see `manifest.json`) and `popup.js` (see `popup.html`)
+ * so that every context reads and writes `chrome.storage.local` through the same schema.
+ *
+ * Storage schema (version 4):
+ *   - `selectors`: `{ [scope: string]: Rule[] }`
+ *   - `schemaVersion`: `number`
+ *   - `ruleStats`: `{ [ruleId: string]: RuleStats }`, how each rule fared on the pages it applies to,
+ *     recorded by `content.js` on page visits (see `saveRuleStats`). Kept apart from `selectors`, so
+ *     page visits never rewrite the rules themselves.
+ *   - `history`: `{ [domain: string]: HistoryEntry[] }` (see "Change history" below)
+ *   - `pausedSites`: `string[]`, the hostnames on which hiding is paused (see `setSitePaused`)
+ *   - `pausedEverywhere`: `boolean`, whether hiding is paused on every site (see `setPausedEverywhere`)
+ *   - `focusSession`: `{startedAt: number, endsAt: number}`, the running focus session, if any
+ *     (see `startFocusSession`)
+ *   - `disabledGroups`: `{ [site: string]: string[] }`, the rule groups switched off per hostname
+ *     (see "Groups and profiles" below)
+ *   - `profiles`: `Profile[]`, and `activeProfile`: `?string`, the id of the profile in use
+ *   - `autoUnblockSites`: `string[]`, the hostnames on which page blockers are hidden automatically
+ *     (see `setAutoUnblock`)
+ *
+ * A scope key decides which pages a list of rules applies to:
+ *   - `*`                  every page.
+ *   - `example.com`        exactly that hostname, any path.
+ *   - `*.example.com`      `example.com` and all of its subdomains.
+ *   - `example.com/watch/*` that hostname, only where the path matches the glob (`*` = any characters).
+ *   - `file://`            local files (optionally followed by a path glob).
+ * Scopes can combine a wildcard host with a path (`*.example.com/news/*`). A plain hostname is
+ * still a valid scope, so data saved before scopes existed keeps working unchanged. When a page is
+ * evaluated, the rules of every matching scope are merged.
+ *
+ * Change history: every user-initiated write (picker adds, popup edits, imports, clears, page unblocks)
+ * is recorded per domain (the hostname of the page where it happened) as a list of per-rule changes,
+ * in the same `storage.set` call as the rules themselves. The log is bounded to
+ * `MAX_HISTORY_ENTRIES` per domain and drives undo, redo and reverting any individual past change.
+ *
+ * Groups and profiles: a rule may belong to a named group within its scope (`ads`, `comments`, ...).
+ * A group can be switched off on a site, and a profile (`Focus`, `Reading`, ...) keeps only its own
+ * groups on across every site while it is active. Ungrouped rules are not affected by either. See
+ * `isGroupActive`.
+ *
+ * Version 1 stored bare selector strings (`{ [domain: string]: string[] }`); version 2 rules carried
+ * their own `lastMatchedAt`, which now lives in `ruleStats`; rules before version 4 had no `action`
+ * and always collapsed their elements. The first call to `loadSelectors()` upgrades older data in
+ * place and stamps `schemaVersion`. Rules without `conditions` (saved before activation conditions
+ * existed) always apply, and rules without `group` are ungrouped, so neither needs a migration.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+
+/**
+ * A self-contained module exposing the rule model and storage helpers. Like the `Picker` module in
+ * `content.js`, it uses the IIFE module pattern so only the public API below becomes visible to the
+ * scripts that load it.
+ */
+const ElementHiderRules = (function () {
+  "use strict";
+
+  /**
+   * The storage schema version written by this build. Bump it whenever the shape of a stored
+   * rule changes and extend `migrateSelectors()` accordingly.
+   * @type {number}
+   */
+  const SCHEMA_VERSION = 4;
+
+  /**
+   * Where a rule came from. Used for display in the popup and to decide how a rule was created.
+   * `unblock` rules hide overlays found by the page unblocker in `content.js`; while one is active on
+   * a page, scrolling is forced back on there as well.
+   * @type {string[]}
+   */
+  const RULE_SOURCES = ["picker", "manual", "preset", "unblock"];
+
+  /**
+   * What a rule does to the elements it matches. Applied by `content.js`:
+   *   - `collapse`: `display: none`, the element and its space disappear (the default).
+   *   - `blur`: the element stays in place but is blurred, e.g. for spoilers.
+   *   - `dim`: the element is faded out until hovered.
+   *   - `remove`: the element is removed from the page, for overlays; page scrolling is restored when
+   *     it was fixed or sticky.
+   *   - `placeholder`: the element is replaced by a small "show" placeholder.
+   * @type {string[]}
+   */
+  const RULE_ACTIONS = ["collapse", "blur", "dim", "remove", "placeholder"];
+
+  /**
+   * The number of consecutive visits without a single match after which a rule is reported as
+   * stale in the popup's health report.
+   * @type {number}
+   */
+  const STALE_VISIT_THRESHOLD = 5;
+
+  /**
+   * The maximum number of history entries kept per domain. Older entries are dropped first.
+   * @type {number}
+   */
+  const MAX_HISTORY_ENTRIES = 50;
+
+  /**
+   * The scope that matches every page.
+   * @type {string}
+   */
+  const GLOBAL_SCOPE = "*";
+
+  /**
+   * The scope key used for local `file://` pages.
+   * @type {string}
+   */
+  const FILE_SCOPE = "file://";
+
+  /**
+   * Common public suffixes of more than one label, under which anyone can register a site. A scope
+   * like `*.co.uk` would cover every such site, so `suggestScopes` does not propose one for these.
+   * This is a short list, not the full Public Suffix List: less common suffixes are not recognized.
+   * @type {string[]}
+   */
+  const MULTI_LABEL_SUFFIXES = [
+    "co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk", "ltd.uk", "plc.uk",
+    "com.au", "net.au", "org.au", "edu.au", "gov.au",
+    "co.nz", "org.nz", "co.jp", "ne.jp", "or.jp", "ac.jp", "co.kr", "or.kr", "co.in", "co.za", "co.il",
+    "com.br", "com.cn", "com.hk", "com.mx", "com.sg", "com.tr", "com.tw", "com.ar", "com.my",
+    "github.io", "gitlab.io", "netlify.app", "vercel.app", "pages.dev", "herokuapp.com",
+    "blogspot.com", "appspot.com", "web.app", "firebaseapp.com",
+  ];
+
+  /**
+   * The offered lengths of a focus session, in minutes.
+   * @type {number[]}
+   */
+  const FOCUS_SESSION_MINUTES = [25, 50, 90];
+
+  /**
+   * Short day names, indexed like `Date.prototype.getDay` (0 = Sunday).
+   * @type {string[]}
+   */
+  const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  /**
+   * @typedef {object} Rule
+   * @property {string} id - A stable, unique identifier for the rule.
+   * @property {string} selector - The CSS selector that identifies the elements to hide.
+   * @property {string} label - An optional human-readable description. Empty string when unset.
+   * @property {boolean} enabled - Disabled rules are kept in storage but never applied.
+   * @property {number} createdAt - Creation time in epoch milliseconds.
+   * @property {"picker"|"manual"|"preset"|"unblock"} source - How the rule was created.
+   * @property {"collapse"|"blur"|"dim"|"remove"|"placeholder"} action - What happens to matched elements.
+   * @property {?RuleConditions} conditions - When the rule applies, or `null` for always.
+   * @property {string} group - The named group the rule belongs to within its scope, or an empty
+   *   string if it is ungrouped.
+   */
+
+  /**
+   * When a rule applies. Every condition that is set must hold; `content.js` re-evaluates them live.
+   * @typedef {object} RuleConditions
+   * @property {?{days: number[], start: string, end: string}} schedule - A daily time window
+   *   (`"HH:MM"`, local time) on the given weekdays (0 = Sunday). A window ending before it starts
+   *   runs past midnight into the next day.
+   * @property {?string} media - A media query the viewport must match, e.g. `(max-width: 800px)`.
+   * @property {boolean} focus - Whether the rule only applies during a focus session.
+   */
+
+  /**
+   * What `areConditionsMet` evaluates conditions against, and `getActiveRules` rule groups.
+   * @typedef {object} ConditionContext
+   * @property {Date} now - The current time.
+   * @property {function(string): boolean} matchesMedia - Tells whether the viewport matches a media query.
+   * @property {boolean} focusActive - Whether a focus session is running.
+   * @property {function(string): boolean} isGroupActive - Tells whether a rule group is switched on
+   *   for the page (see `isGroupActive`).
+   */
+
+  /**
+   * How a rule has fared on this device's page visits, stored under its id in `ruleStats`.
+   * @typedef {object} RuleStats
+   * @property {?number} lastMatchedAt - The last time the selector matched an element, or `null`.
+   * @property {number} missedVisits - Consecutive page visits on which the rule matched nothing.
+   */
+
+  /**
+   * @typedef {object} RuleChange
+   * @property {string} scope - The scope key the rule is stored under.
+   * @property {?Rule} before - The rule before the change, or `null` if it was added.
+   * @property {?Rule} after - The rule after the change, or `null` if it was removed.
+   * @property {number} index - The rule's position in its scope, used to restore removed rules in place.
+   */
+
+  /**
+   * @typedef {object} HistoryEntry
+   * @property {string} id - A unique identifier for the entry.
+   * @property {"picker"|"edit"|"preset"|"clear"|"import"|"revert"|"unblock"} type - What kind of action produced it.
+   * @property {string} summary - A short human-readable description.
+   * @property {number} timestamp - When the change was made, in epoch milliseconds.
+   * @property {RuleChange[]} changes - The per-rule changes.
+   * @property {?number} undoneAt - When the entry was undone, or `null` while it is in effect.
+   */
+
+  /**
+   * @typedef {object} HistoryRecord
+   * @property {string} domain - The hostname whose history receives the entry.
+   * @property {HistoryEntry["type"]} type - What kind of action this is.
+   * @property {string} summary - A short human-readable description.
+   */
+
+  /**
+   * @private
+   * @description Generates a unique rule id in the form of a random UUID. `crypto.randomUUID` only
+   * exists in secure contexts, which leaves out content scripts on http:// pages, so the id is built
+   * from `crypto.getRandomValues` there.
+   * @returns {string}
+   */
+  function generateId() {
+    if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * @public
+   * @description Creates a new rule object with default metadata.
+   * @param {string} selector - The CSS selector for the rule.
+   * @param {string} [source="manual"] - One of `RULE_SOURCES`.
+   * @param {Partial<Rule>} [overrides={}] - Any fields to set explicitly.
+   * @returns {Rule} The new rule.
+   */
+  function createRule(selector, source = "manual", overrides = {}) {
+    return {
+      id: generateId(),
+      selector: selector.trim(),
+      label: "",
+      enabled: true,
+      createdAt: Date.now(),
+      source: RULE_SOURCES.includes(source) ? source : "manual",
+      action: "collapse",
+      conditions: null,
+      group: "",
+      ...overrides,
+    };
+  }
+
+  /**
+   * @private
+   * @description Coerces a stored entry of any known schema version into a valid `Rule`.
+   * Version 1 entries are plain strings; they were created either by the picker or by hand,
+   * and since that can no longer be told apart they are recorded as `manual`. The match statistics
+   * of version 2 entries are left out (see `extractRuleStats`).
+   * @param {string|object} entry - A stored rule or legacy selector string.
+   * @returns {?Rule} The normalized rule, or `null` if the entry is unusable.
+   */
+  function normalizeRule(entry) {
+    if (typeof entry === "string") {
+      return entry.trim() ? createRule(entry, "manual") : null;
+    }
+    if (!entry || typeof entry.selector !== "string" || !entry.selector.trim()) {
+      return null;
+    }
+    const defaults = createRule(entry.selector, entry.source);
+    const { lastMatchedAt, missedVisits, ...fields } = entry;
+    return {
+      ...defaults,
+      ...fields,
+      id: entry.id || defaults.id,
+      label: typeof entry.label === "string" ? entry.label : "",
+      enabled: entry.enabled !== false,
+      source: defaults.source,
+      action: RULE_ACTIONS.includes(entry.action) ? entry.action : defaults.action,
+      conditions: normalizeConditions(entry.conditions),
+      group: typeof entry.group === "string" ? entry.group.trim() : "",
+    };
+  }
+
+  /**
+   * @public
+   * @description Migrates a stored `selectors` map of any known schema version to the current one.
+   * Domains that end up with no valid rules are dropped.
+   * @param {object} selectors - The raw `selectors` value read from storage.
+   * @returns {Object<string, Rule[]>} The migrated map.
+   */
+  function migrateSelectors(selectors) {
+    const migrated = {};
+    for (const [domain, entries] of Object.entries(selectors || {})) {
+      if (!Array.isArray(entries)) continue;
+      const rules = entries.map(normalizeRule).filter(Boolean);
+      if (rules.length > 0) {
+        migrated[domain] = rules;
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * @private
+   * @description Collects the match statistics that version 2 rules stored on themselves.
+   * @param {object} selectors - The raw `selectors` value read from storage.
+   * @returns {Object<string, RuleStats>} The statistics by rule id.
+   */
+  function extractRuleStats(selectors) {
+    const ruleStats = {};
+    for (const entries of Object.values(selectors || {})) {
+      if (!Array.isArray(entries)) continue;
+      for (const entry of entries) {
+        if (!entry?.id || (entry.lastMatchedAt == null && !entry.missedVisits)) continue;
+        ruleStats[entry.id] = {
+          lastMatchedAt: entry.lastMatchedAt ?? null,
+          missedVisits: Number.isInteger(entry.missedVisits) ? entry.missedVisits : 0,
+        };
+      }
+    }
+    return ruleStats;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Reads the `selectors` map from storage, migrating and re-saving it first if it
+   * was written by an older schema version. The match statistics of older rules move to `ruleStats`.
+   * @returns {Promise<Object<string, Rule[]>>} The rule map keyed by domain.
+   */
+  async function loadSelectors() {
+    const result = await chrome.storage.local.get(["selectors", "schemaVersion"]);
+    const stored = result.selectors || {};
+    if ((result.schemaVersion || 1) >= SCHEMA_VERSION) {
+      return stored;
+    }
+    const migrated = migrateSelectors(stored);
+    const ruleStats = { ...extractRuleStats(stored), ...(await loadRuleStats()) };
+    await chrome.storage.local.set({ selectors: migrated, schemaVersion: SCHEMA_VERSION, ruleStats });
+    return migrated;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Writes the full `selectors` map to storage together with the current schema version.
+   * @param {Object<string, Rule[]>} selectors - The rule map keyed by domain.
+   * @returns {Promise<void>}
+   */
+  async function saveSelectors(selectors) {
+    await chrome.storage.local.set({ selectors, schemaVersion: SCHEMA_VERSION });
+  }
+
+  /**
+   * @private
+   * @description Computes the per-rule differences between two rule maps, matching rules by id.
+   * @param {Object<string, Rule[]>} before - The map before the change.
+   * @param {Object<string, Rule[]>} after - The map after the change.
+   * @returns {RuleChange[]} One entry per added, removed or modified rule.
+   */
+  function diffSelectors(before, after) {
+    const changes = [];
+    const scopes = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const scope of scopes) {
+      const oldRules = before[scope] || [];
+      const newRules = after[scope] || [];
+      const oldById = new Map(oldRules.map((rule, index) => [rule.id, { rule, index }]));
+      const newById = new Map(newRules.map((rule, index) => [rule.id, { rule, index }]));
+      oldRules.forEach((rule, index) => {
+        const updated = newById.get(rule.id);
+        if (!updated) {
+          changes.push({ scope, before: rule, after: null, index });
+        } else if (JSON.stringify(updated.rule) !== JSON.stringify(rule)) {
+          changes.push({ scope, before: rule, after: updated.rule, index: updated.index });
+        }
+      });
+      newRules.forEach((rule, index) => {
+        if (!oldById.has(rule.id)) {
+          changes.push({ scope, before: null, after: rule, index });
+        }
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * @private
+   * @description Applies recorded changes to a rule map in place, forwards (redo) or backwards (undo).
+   * Each change is applied independently by rule id, so an old entry can be reverted even after
+   * later, unrelated changes; a rule that no longer exists is simply skipped.
+   * @param {Object<string, Rule[]>} selectors - The rule map to modify.
+   * @param {RuleChange[]} changes - The recorded changes.
+   * @param {boolean} backwards - True to revert the changes, false to reapply them.
+   */
+  function applyChanges(selectors, changes, backwards) {
+    const ordered = backwards ? [...changes].reverse() : changes;
+    for (const change of ordered) {
+      const from = backwards ? change.after : change.before;
+      const to = backwards ? change.before : change.after;
+      const rules = [...(selectors[change.scope] || [])];
+      const index = from ? rules.findIndex((r) => r.id === from.id) : -1;
+      if (to && index !== -1) {
+        rules[index] = to;
+      } else if (to && !rules.some((r) => r.id === to.id)) {
+        rules.splice(Math.min(change.index, rules.length), 0, to);
+      } else if (!to && index !== -1) {
+        rules.splice(index, 1);
+      }
+      if (rules.length === 0) {
+        delete selectors[change.scope];
+      } else {
+        selectors[change.scope] = rules;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @async
+   * @description Saves a modified rule map and, when a `record` is given, appends the differences to
+   * that domain's history in the same storage write. Recording a new change discards the entries that
+   * are currently undone, as redo only makes sense directly after an undo.
+   * @param {Object<string, Rule[]>} before - A copy of the map as it was loaded.
+   * @param {Object<string, Rule[]>} after - The map to save.
+   * @param {?HistoryRecord} record - What to record, or `null` for bookkeeping writes.
+   * @returns {Promise<void>}
+   */
+  async function commitSelectors(before, after, record) {
+    const items = { selectors: after, schemaVersion: SCHEMA_VERSION };
+    const changes = record ? diffSelectors(before, after) : [];
+    if (changes.length > 0) {
+      const { history = {} } = await chrome.storage.local.get("history");
+      const entries = (history[record.domain] || []).filter((e) => !e.undoneAt);
+      entries.push({
+        id: generateId(),
+        type: record.type,
+        summary: record.summary,
+        timestamp: Date.now(),
+        changes,
+        undoneAt: null,
+      });
+      history[record.domain] = entries.slice(-MAX_HISTORY_ENTRIES);
+      items.history = history;
+    }
+    await chrome.storage.local.set(items);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Performs a read-modify-write of a single scope's rules. The `updater` receives a
+   * copy of the scope's current rules and returns the new array. An empty result removes the scope.
+   * @param {string} domain - The scope key (usually a hostname).
+   * @param {function(Rule[]): Rule[]} updater - Produces the new rule list.
+   * @param {?HistoryRecord} [record=null] - If given, the change is added to the history.
+   * @returns {Promise<{selectors: Object<string, Rule[]>, rules: Rule[]}>} The saved map and the scope's new rules.
+   */
+  async function updateDomainRules(domain, updater, record = null) {
+    const selectors = await loadSelectors();
+    const before = structuredClone(selectors);
+    const rules = updater([...(selectors[domain] || [])]) || [];
+    if (rules.length === 0) {
+      delete selectors[domain];
+    } else {
+      selectors[domain] = rules;
+    }
+    await commitSelectors(before, selectors, record);
+    return { selectors, rules };
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Returns a domain's history, oldest entry first.
+   * @param {string} domain - The hostname.
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  async function loadHistory(domain) {
+    const { history = {} } = await chrome.storage.local.get("history");
+    return history[domain] || [];
+  }
+
+  /**
+   * @private
+   * @async
+   * @description Shared implementation of undo and redo. Picks an entry, applies its changes in the
+   * requested direction and flips its `undoneAt` stamp, saving rules and history together.
+   * @param {string} domain - The hostname.
+   * @param {function(HistoryEntry[]): ?HistoryEntry} pick - Selects the entry to act on.
+   * @param {boolean} backwards - True to undo, false to redo.
+   * @returns {Promise<?{selectors: Object<string, Rule[]>, entry: HistoryEntry}>} `null` if there was nothing to do.
+   */
+  async function stepHistory(domain, pick, backwards) {
+    const { history = {} } = await chrome.storage.local.get("history");
+    const entry = pick(history[domain] || []);
+    if (!entry) return null;
+    const selectors = await loadSelectors();
+    applyChanges(selectors, entry.changes, backwards);
+    entry.undoneAt = backwards ? Date.now() : null;
+    await chrome.storage.local.set({ selectors, schemaVersion: SCHEMA_VERSION, history });
+    return { selectors, entry };
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Undoes the most recent change of a domain that is still in effect.
+   * @param {string} domain - The hostname.
+   * @returns {Promise<?{selectors: Object<string, Rule[]>, entry: HistoryEntry}>} `null` if there is nothing to undo.
+   */
+  function undo(domain) {
+    return stepHistory(
+      domain,
+      (entries) => [...entries].reverse().find((e) => !e.undoneAt),
+      true
+    );
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Redoes the change of a domain that was undone most recently.
+   * @param {string} domain - The hostname.
+   * @returns {Promise<?{selectors: Object<string, Rule[]>, entry: HistoryEntry}>} `null` if there is nothing to redo.
+   */
+  function redo(domain) {
+    return stepHistory(
+      domain,
+      (entries) =>
+        entries
+          .filter((e) => e.undoneAt)
+          .sort((a, b) => b.undoneAt - a.undoneAt)[0],
+      false
+    );
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Reverts one specific past change, which need not be the latest. The revert is
+   * itself recorded as a new `revert` entry, so it can be undone like any other change.
+   * @param {string} domain - The hostname.
+   * @param {string} entryId - The id of the entry to revert.
+   * @returns {Promise<?Object<string, Rule[]>>} The saved map, or `null` if the entry does not exist.
+   */
+  async function revertHistoryEntry(domain, entryId) {
+    const entry = (await loadHistory(domain)).find((e) => e.id === entryId);
+    if (!entry) return null;
+    const selectors = await loadSelectors();
+    const before = structuredClone(selectors);
+    applyChanges(selectors, entry.changes, true);
+    await commitSelectors(before, selectors, {
+      domain,
+      type: "revert",
+      summary: `Reverted: ${entry.summary}`,
+    });
+    return selectors;
+  }
+
+  /**
+   * @typedef {object} PauseState
+   * @property {string[]} pausedSites - The hostnames on which hiding is paused.
+   * @property {boolean} pausedEverywhere - Whether hiding is paused on every site.
+   */
+
+  /**
+   * @public
+   * @async
+   * @description Returns where hiding is paused.
+   * @returns {Promise<PauseState>}
+   */
+  async function loadPauseState() {
+    const { pausedSites = [], pausedEverywhere = false } = await chrome.storage.local.get([
+      "pausedSites",
+      "pausedEverywhere",
+    ]);
+    return { pausedSites, pausedEverywhere };
+  }
+
+  /**
+   * @public
+   * @description Tells whether hiding is paused on a site, by itself or everywhere.
+   * @param {PauseState} state - The pause state, from `loadPauseState`.
+   * @param {string} site - The hostname of the top-level page.
+   * @returns {boolean}
+   */
+  function isPaused(state, site) {
+    return state.pausedEverywhere || state.pausedSites.includes(site);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Pauses or resumes hiding on a site. A paused site keeps its rules; nothing is hidden
+   * on its pages, frames included, until it is resumed.
+   * @param {string} site - The hostname of the top-level page.
+   * @param {boolean} paused - Whether hiding should be paused.
+   * @returns {Promise<string[]>} The saved list of paused hostnames.
+   */
+  async function setSitePaused(site, paused) {
+    const sites = new Set((await loadPauseState()).pausedSites);
+    paused ? sites.add(site) : sites.delete(site);
+    const pausedSites = [...sites];
+    await chrome.storage.local.set({ pausedSites });
+    return pausedSites;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Pauses or resumes hiding on every site. The sites paused on their own stay paused
+   * when hiding is resumed everywhere.
+   * @param {boolean} paused - Whether hiding should be paused.
+   * @returns {Promise<void>}
+   */
+  async function setPausedEverywhere(paused) {
+    await chrome.storage.local.set({ pausedEverywhere: paused });
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Returns the sites on which page blockers (overlays, cookie walls, scroll locks) are
+   * hidden automatically as pages load.
+   * @returns {Promise<string[]>} The hostnames.
+   */
+  async function loadAutoUnblockSites() {
+    const { autoUnblockSites = [] } = await chrome.storage.local.get("autoUnblockSites");
+    return autoUnblockSites;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches automatic unblocking on or off for a site. What it hides is saved as
+   * ordinary `unblock` rules, so it can be undone and edited like any other rule.
+   * @param {string} site - The hostname of the top-level page.
+   * @param {boolean} enabled - Whether blockers should be hidden automatically.
+   * @returns {Promise<string[]>} The saved list of hostnames.
+   */
+  async function setAutoUnblock(site, enabled) {
+    const sites = new Set(await loadAutoUnblockSites());
+    enabled ? sites.add(site) : sites.delete(site);
+    const autoUnblockSites = [...sites];
+    await chrome.storage.local.set({ autoUnblockSites });
+    return autoUnblockSites;
+  }
+
+  /**
+   * A named set of rule groups that can be switched to from the popup or a hotkey.
+   * @typedef {object} Profile
+   * @property {string} id - A stable, unique identifier.
+   * @property {string} name - The name shown in the popup, e.g. "Focus".
+   * @property {string[]} groups - The groups kept on while the profile is active; every other group is off.
+   */
+
+  /**
+   * @typedef {object} GroupState
+   * @property {Object<string, string[]>} disabledGroups - The groups switched off per hostname.
+   * @property {Profile[]} profiles - The saved profiles, in the order of their hotkeys.
+   * @property {?string} activeProfile - The id of the active profile, or `null` if none is.
+   */
+
+  /**
+   * @public
+   * @async
+   * @description Returns the per-site group switches and the profiles.
+   * @returns {Promise<GroupState>}
+   */
+  async function loadGroupState() {
+    const {
+      disabledGroups = {},
+      profiles = [],
+      activeProfile = null,
+    } = await chrome.storage.local.get(["disabledGroups", "profiles", "activeProfile"]);
+    return { disabledGroups, profiles, activeProfile };
+  }
+
+  /**
+   * @public
+   * @description Returns the active profile.
+   * @param {GroupState} state - The group state, from `loadGroupState`.
+   * @returns {?Profile} The profile, or `null` if none is active (or it was deleted).
+   */
+  function getActiveProfile(state) {
+    return state.profiles.find((profile) => profile.id === state.activeProfile) || null;
+  }
+
+  /**
+   * @public
+   * @description Tells whether the rules of a group apply on a site: the active profile, if any, must
+   * include the group, and the group must not be switched off on the site. Ungrouped rules always apply.
+   * @param {GroupState} state - The group state, from `loadGroupState`.
+   * @param {string} site - The hostname of the top-level page.
+   * @param {string} group - The rule's group, or an empty string.
+   * @returns {boolean}
+   */
+  function isGroupActive(state, site, group) {
+    if (!group) return true;
+    const profile = getActiveProfile(state);
+    if (profile && !profile.groups.includes(group)) return false;
+    return !(state.disabledGroups[site] || []).includes(group);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches a group on or off on a site, keeping its rules.
+   * @param {string} site - The hostname of the top-level page.
+   * @param {string} group - The group.
+   * @param {boolean} enabled - Whether the group's rules should apply on the site.
+   * @returns {Promise<Object<string, string[]>>} The saved per-site switches.
+   */
+  async function setGroupEnabled(site, group, enabled) {
+    const { disabledGroups } = await loadGroupState();
+    const groups = new Set(disabledGroups[site] || []);
+    enabled ? groups.delete(group) : groups.add(group);
+    if (groups.size === 0) {
+      delete disabledGroups[site];
+    } else {
+      disabledGroups[site] = [...groups];
+    }
+    await chrome.storage.local.set({ disabledGroups });
+    return disabledGroups;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Saves the list of profiles, as edited on the options page. Profiles without a name are
+   * dropped, and the active profile is cleared if it no longer exists.
+   * @param {Array<Partial<Profile>>} profiles - The profiles, in the order of their hotkeys.
+   * @returns {Promise<Profile[]>} The saved profiles.
+   */
+  async function saveProfiles(profiles) {
+    const saved = profiles
+      .filter((profile) => typeof profile.name === "string" && profile.name.trim())
+      .map((profile) => ({
+        id: profile.id || generateId(),
+        name: profile.name.trim(),
+        groups: [...new Set((profile.groups || []).map((group) => group.trim()).filter(Boolean))],
+      }));
+    const { activeProfile } = await loadGroupState();
+    await chrome.storage.local.set({
+      profiles: saved,
+      activeProfile: saved.some((profile) => profile.id === activeProfile) ? activeProfile : null,
+    });
+    return saved;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches to a profile, or back to no profile, where every group is on.
+   * @param {?string} id - The profile's id, or `null`.
+   * @returns {Promise<?Profile>} The active profile.
+   */
+  async function setActiveProfile(id) {
+    const state = await loadGroupState();
+    state.activeProfile = state.profiles.some((profile) => profile.id === id) ? id : null;
+    await chrome.storage.local.set({ activeProfile: state.activeProfile });
+    return getActiveProfile(state);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches to the next profile in order; after the last one comes no profile, then the first.
+   * @returns {Promise<?Profile>} The active profile.
+   */
+  async function cycleProfile() {
+    const state = await loadGroupState();
+    const index = state.profiles.findIndex((profile) => profile.id === state.activeProfile);
+    return setActiveProfile(state.profiles[index + 1]?.id || null);
+  }
+
+  /**
+   * @public
+   * @description Lists the names of the groups used by any rule.
+   * @param {Object<string, Rule[]>|Rule[]} selectors - A rule map, or a list of rules.
+   * @returns {string[]} The group names, sorted.
+   */
+  function getGroupNames(selectors) {
+    const rules = Array.isArray(selectors) ? selectors : Object.values(selectors).flat();
+    return [...new Set(rules.map((rule) => rule.group).filter(Boolean))].sort();
+  }
+
+  /**
+   * @private
+   * @description Converts an `"HH:MM"` time into minutes after midnight.
+   * @param {string} time - The time.
+   * @returns {?number} The minutes, or `null` if the time is malformed.
+   */
+  function parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || "");
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /**
+   * @public
+   * @description Cleans up a rule's conditions: drops malformed parts, and returns `null` if no
+   * condition is left, so that the rule always applies.
+   * @param {*} conditions - The stored or edited conditions.
+   * @returns {?RuleConditions}
+   */
+  function normalizeConditions(conditions) {
+    if (!conditions || typeof conditions !== "object") return null;
+    const { schedule, media, focus } = conditions;
+    const days = Array.isArray(schedule?.days)
+      ? [...new Set(schedule.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+      : [];
+    const hasWindow =
+      parseTime(schedule?.start) !== null && parseTime(schedule?.end) !== null && schedule.start !== schedule.end;
+    const normalized = {
+      schedule: days.length > 0 && hasWindow ? { days, start: schedule.start, end: schedule.end } : null,
+      media: typeof media === "string" && media.trim() ? media.trim() : null,
+      focus: focus === true,
+    };
+    return normalized.schedule || normalized.media || normalized.focus ? normalized : null;
+  }
+
+  /**
+   * @private
+   * @description Tells whether a time falls within a schedule's window.
+   * @param {{days: number[], start: string, end: string}} schedule - The schedule.
+   * @param {Date} now - The time to check.
+   * @returns {boolean}
+   */
+  function isScheduleActive(schedule, now) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const day = now.getDay();
+    if (start < end) {
+      return schedule.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // The window runs past midnight: its tail belongs to the day it started on.
+    return (
+      (schedule.days.includes(day) && minutes >= start) ||
+      (schedule.days.includes((day + 6) % 7) && minutes < end)
+    );
+  }
+
+  /**
+   * @public
+   * @description Tells whether a rule's conditions hold.
+   * @param {?RuleConditions} conditions - The rule's conditions.
+   * @param {ConditionContext} context - The current time, viewport and focus session.
+   * @returns {boolean} True if every condition that is set holds, or if there are none.
+   */
+  function areConditionsMet(conditions, context) {
+    if (!conditions) return true;
+    if (conditions.schedule && !isScheduleActive(conditions.schedule, context.now)) return false;
+    if (conditions.media && !context.matchesMedia(conditions.media)) return false;
+    if (conditions.focus && !context.focusActive) return false;
+    return true;
+  }
+
+  /**
+   * @public
+   * @description Finds when the next scheduled rule switches on or off, for `background.js` to set
+   * an alarm at that time. Only enabled rules are considered.
+   * @param {Object<string, Rule[]>} selectors - The complete rule map.
+   * @param {number} [now=Date.now()] - The current time in epoch milliseconds.
+   * @returns {?number} The time of the next change in epoch milliseconds, or `null` if no rule has a schedule.
+   */
+  function getNextScheduleChange(selectors, now = Date.now()) {
+    let next = null;
+    for (const rule of Object.values(selectors).flat()) {
+      const schedule = rule.enabled ? rule.conditions?.schedule : null;
+      if (!schedule) continue;
+      // Today and the next seven days cover every weekday and an overnight window's end.
+      for (let offset = 0; offset <= 7; offset++) {
+        for (const time of [schedule.start, schedule.end]) {
+          const date = new Date(now);
+          date.setDate(date.getDate() + offset);
+          date.setHours(0, parseTime(time), 0, 0);
+          const at = date.getTime();
+          if (at > now && (next === null || at < next)) next = at;
+        }
+      }
+    }
+    return next;
+  }
+
+  /**
+   * @public
+   * @description Describes a rule's conditions for the popup and the options page, e.g.
+   * "Weekdays 09:00–17:00 · (max-width: 800px) · focus sessions".
+   * @param {?RuleConditions} conditions - The rule's conditions.
+   * @returns {string} The description, or an empty string if the rule always applies.
+   */
+  function describeConditions(conditions) {
+    if (!conditions) return "";
+    const parts = [];
+    if (conditions.schedule) {
+      const { days, start, end } = conditions.schedule;
+      let dayText = days.map((day) => DAY_NAMES[day]).join(", ");
+      if (days.length === 7) dayText = "Every day";
+      else if (days.join() === "1,2,3,4,5") dayText = "Weekdays";
+      else if (days.join() === "0,6") dayText = "Weekends";
+      parts.push(`${dayText} ${start}–${end}`);
+    }
+    if (conditions.media) parts.push(conditions.media);
+    if (conditions.focus) parts.push("focus sessions");
+    return parts.join(" · ");
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Returns the running focus session.
+   * @returns {Promise<?{startedAt: number, endsAt: number}>} The session, or `null` if none is running.
+   */
+  async function loadFocusSession() {
+    const { focusSession = null } = await chrome.storage.local.get("focusSession");
+    return isFocusActive(focusSession) ? focusSession : null;
+  }
+
+  /**
+   * @public
+   * @description Tells whether a focus session is running.
+   * @param {?{endsAt: number}} session - The stored session.
+   * @param {number} [now=Date.now()] - The current time in epoch milliseconds.
+   * @returns {boolean}
+   */
+  function isFocusActive(session, now = Date.now()) {
+    return Boolean(session) && session.endsAt > now;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Starts a focus session, replacing a running one. Rules with the `focus` condition
+   * apply until it ends; `background.js` ends it with an alarm.
+   * @param {number} minutes - The length of the session.
+   * @returns {Promise<{startedAt: number, endsAt: number}>} The saved session.
+   */
+  async function startFocusSession(minutes) {
+    const startedAt = Date.now();
+    const focusSession = { startedAt, endsAt: startedAt + minutes * 60 * 1000 };
+    await chrome.storage.local.set({ focusSession });
+    return focusSession;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Ends the running focus session.
+   * @returns {Promise<void>}
+   */
+  async function endFocusSession() {
+    await chrome.storage.local.remove("focusSession");
+  }
+
+  /**
+   * @public
+   * @description Returns the selectors of all enabled rules, in order and without duplicates
+   * (the same selector may be stored under several matching scopes).
+   * @param {Rule[]} rules - A scope's rules, or the merged rules of a page.
+   * @returns {string[]} The CSS selectors to apply.
+   */
+  function getActiveSelectors(rules) {
+    const selectors = (rules || [])
+      .filter((rule) => rule.enabled)
+      .map((rule) => rule.selector);
+    return [...new Set(selectors)];
+  }
+
+  /**
+   * @public
+   * @description Like `getActiveSelectors`, but keeps each selector's action. If the same selector
+   * is stored under several matching scopes, the first rule wins. Given a `context`, rules whose
+   * conditions do not hold or whose group is switched off are left out.
+   * @param {Rule[]} rules - A scope's rules, or the merged rules of a page.
+   * @param {?ConditionContext} [context=null] - What to evaluate conditions against, or `null` to ignore them.
+   * @returns {Array<{selector: string, action: string}>} The selectors to apply with their actions.
+   */
+  function getActiveRules(rules, context = null) {
+    const active = new Map();
+    for (const rule of rules || []) {
+      if (context && (!areConditionsMet(rule.conditions, context) || !context.isGroupActive(rule.group))) continue;
+      if (rule.enabled && !active.has(rule.selector)) {
+        active.set(rule.selector, { selector: rule.selector, action: rule.action || "collapse" });
+      }
+    }
+    return [...active.values()];
+  }
+
+  /**
+   * @private
+   * @description Splits a scope key into its host pattern and optional path glob.
+   * @param {string} scope - The scope key.
+   * @returns {{host: string, path: ?string}} The parsed scope. `host` is lower-cased.
+   */
+  function parseScope(scope) {
+    const trimmed = scope.trim();
+    if (trimmed.startsWith(FILE_SCOPE)) {
+      return { host: FILE_SCOPE, path: trimmed.slice(FILE_SCOPE.length) || null };
+    }
+    const slash = trimmed.indexOf("/");
+    if (slash === -1) {
+      return { host: trimmed.toLowerCase(), path: null };
+    }
+    return {
+      host: trimmed.slice(0, slash).toLowerCase(),
+      path: trimmed.slice(slash),
+    };
+  }
+
+  /**
+   * @private
+   * @description Converts a path glob (`*` = any characters) into an anchored regular expression.
+   * @param {string} glob - The path glob, e.g. `/watch/*`.
+   * @returns {RegExp}
+   */
+  function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`);
+  }
+
+  /**
+   * @public
+   * @description Tells whether a CSS selector can be written into a stylesheet as `selector { ... }`
+   * without closing that rule early, starting another one or commenting out the rules after it.
+   * Selectors from preset lists and other devices end up in the stylesheet of every page they apply
+   * to, and the background service worker, which stores them, has no DOM to parse them with.
+   * @param {string} selector - A CSS selector.
+   * @returns {boolean}
+   */
+  function isStylesheetSafe(selector) {
+    if (/[{};@]/.test(selector)) return false;
+    const commentStart = selector.lastIndexOf("/*");
+    return commentStart === -1 || selector.indexOf("*/", commentStart + 2) !== -1;
+  }
+
+  /**
+   * @public
+   * @description Checks whether a string is a well-formed scope key.
+   * @param {string} scope - The candidate scope.
+   * @returns {boolean}
+   */
+  function isValidScope(scope) {
+    if (typeof scope !== "string" || !scope.trim() || /\s/.test(scope.trim())) {
+      return false;
+    }
+    const { host, path } = parseScope(scope);
+    if (path !== null && !path.startsWith("/")) return false;
+    return (
+      host === GLOBAL_SCOPE ||
+      host === FILE_SCOPE ||
+      /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)
+    );
+  }
+
+  /**
+   * @public
+   * @description Checks whether a scope applies to a URL.
+   * @param {string} scope - The scope key.
+   * @param {string|URL} url - The page URL.
+   * @returns {boolean}
+   */
+  function scopeMatchesUrl(scope, url) {
+    let parsedUrl;
+    try {
+      parsedUrl = url instanceof URL ? url : new URL(url);
+    } catch (e) {
+      return false;
+    }
+    const { host, path } = parseScope(scope);
+    if (host === GLOBAL_SCOPE && path === null) return true;
+
+    if (host === FILE_SCOPE) {
+      if (parsedUrl.protocol !== "file:") return false;
+    } else {
+      if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") {
+        return false;
+      }
+      const hostname = parsedUrl.hostname.toLowerCase();
+      if (host.startsWith("*.")) {
+        const base = host.slice(2);
+        if (hostname !== base && !hostname.endsWith(`.${base}`)) return false;
+      } else if (host !== GLOBAL_SCOPE && host !== hostname) {
+        return false;
+      }
+    }
+    return path === null || globToRegExp(path).test(parsedUrl.pathname);
+  }
+
+  /**
+   * @public
+   * @description Returns the default scope key for a URL: its exact hostname, or `file://` for
+   * local files. This is where picker and popup edits are saved unless another scope is chosen.
+   * @param {string|URL} url - The page URL.
+   * @returns {?string} The scope key, or `null` for URLs that cannot carry rules.
+   */
+  function getDefaultScope(url) {
+    try {
+      const parsedUrl = url instanceof URL ? url : new URL(url);
+      if (parsedUrl.protocol === "file:") return FILE_SCOPE;
+      if (parsedUrl.protocol === "http:" || parsedUrl.protocol === "https:") {
+        return parsedUrl.hostname;
+      }
+    } catch (e) {
+      // Fall through: unparseable URLs have no scope.
+    }
+    return null;
+  }
+
+  /**
+   * @public
+   * @description Proposes useful scope keys for a URL, from most specific to broadest: the
+   * hostname plus the first path segment, the hostname, the parent domain with all subdomains,
+   * and the global scope. Where the parent domain is a public suffix (`com`, `co.uk`, see
+   * `MULTI_LABEL_SUFFIXES`), the hostname itself is taken with its subdomains instead; IP addresses
+   * and hostnames that are themselves one of those suffixes (`github.io`) get no wildcard scope.
+   * @param {string|URL} url - The page URL.
+   * @returns {string[]} The suggested scopes, without duplicates.
+   */
+  function suggestScopes(url) {
+    const defaultScope = getDefaultScope(url);
+    if (!defaultScope) return [GLOBAL_SCOPE];
+    if (defaultScope === FILE_SCOPE) return [FILE_SCOPE, GLOBAL_SCOPE];
+
+    const parsedUrl = url instanceof URL ? url : new URL(url);
+    const suggestions = [];
+    const firstSegment = parsedUrl.pathname.split("/")[1];
+    if (firstSegment) {
+      suggestions.push(`${defaultScope}/${firstSegment}/*`);
+    }
+    suggestions.push(defaultScope);
+    const isIpAddress = defaultScope.startsWith("[") || /^[\d.]+$/.test(defaultScope);
+    const hostname = defaultScope.replace(/^www\./, "");
+    if (!isIpAddress && !MULTI_LABEL_SUFFIXES.includes(hostname)) {
+      const labels = hostname.split(".");
+      const parent = labels.slice(1).join(".");
+      const isSuffix = labels.length <= 2 || MULTI_LABEL_SUFFIXES.includes(parent);
+      suggestions.push(`*.${isSuffix ? hostname : parent}`);
+    }
+    suggestions.push(GLOBAL_SCOPE);
+    return [...new Set(suggestions)];
+  }
+
+  /**
+   * @public
+   * @description Returns the keys of every stored scope that applies to a URL.
+   * @param {Object<string, Rule[]>} selectors - The rule map keyed by scope.
+   * @param {string|URL} url - The page URL.
+   * @returns {string[]} The matching scope keys.
+   */
+  function getMatchingScopes(selectors, url) {
+    return Object.keys(selectors || {}).filter((scope) => scopeMatchesUrl(scope, url));
+  }
+
+  /**
+   * @public
+   * @description Merges the rules of every scope that applies to a URL. Each returned rule is a
+   * copy annotated with the `scope` it is stored under; that field is never written back to storage.
+   * @param {Object<string, Rule[]>} selectors - The rule map keyed by scope.
+   * @param {string|URL} url - The page URL.
+   * @returns {Array<Rule & {scope: string}>} The merged rules.
+   */
+  function getRulesForUrl(selectors, url) {
+    return getMatchingScopes(selectors, url).flatMap((scope) =>
+      selectors[scope].map((rule) => ({ ...rule, scope }))
+    );
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Performs a read-modify-write over every scope at once. The `updater` is called
+   * with each scope's rules and key and returns the new array; scopes left empty are removed.
+   * @param {function(Rule[], string): Rule[]} updater - Produces the new rule list of a scope.
+   * @param {?HistoryRecord} [record=null] - If given, the change is added to the history.
+   * @returns {Promise<Object<string, Rule[]>>} The saved map.
+   */
+  async function updateAllRules(updater, record = null) {
+    const selectors = await loadSelectors();
+    const before = structuredClone(selectors);
+    for (const [scope, rules] of Object.entries(selectors)) {
+      const updated = updater([...rules], scope) || [];
+      if (updated.length === 0) {
+        delete selectors[scope];
+      } else {
+        selectors[scope] = updated;
+      }
+    }
+    await commitSelectors(before, selectors, record);
+    return selectors;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Moves a rule to another scope, keeping its metadata. If the target scope already
+   * has a rule with the same selector, the moved copy is dropped instead of duplicated.
+   * @param {string} ruleId - The id of the rule to move.
+   * @param {string} fromScope - The scope the rule is currently stored under.
+   * @param {string} toScope - The destination scope. Must pass `isValidScope`.
+   * @param {?HistoryRecord} [record=null] - If given, the move is added to the history.
+   * @returns {Promise<Object<string, Rule[]>>} The saved map.
+   */
+  function moveRule(ruleId, fromScope, toScope, record = null) {
+    return transferRules([{ scope: fromScope, id: ruleId }], toScope, false, record);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Moves or copies several rules, possibly from different scopes, to another scope in a
+   * single write. A copy gets a new id and keeps the rest of the rule's metadata. A rule whose
+   * selector the target scope already has is not duplicated; moving it just removes it from its scope.
+   * Rules already in the target scope are left alone.
+   * @param {Array<{scope: string, id: string}>} refs - The rules to transfer.
+   * @param {string} toScope - The destination scope. Must pass `isValidScope`.
+   * @param {boolean} [copy=false] - True to copy the rules, false to move them.
+   * @param {?HistoryRecord} [record=null] - If given, the transfer is added to the history.
+   * @returns {Promise<Object<string, Rule[]>>} The saved map.
+   * @throws {Error} If the destination scope is invalid.
+   */
+  async function transferRules(refs, toScope, copy = false, record = null) {
+    if (!isValidScope(toScope)) {
+      throw new Error(`Invalid scope: ${toScope}`);
+    }
+    const selectors = await loadSelectors();
+    const before = structuredClone(selectors);
+    for (const { scope, id } of refs) {
+      const rule = (selectors[scope] || []).find((r) => r.id === id);
+      if (!rule || scope === toScope) continue;
+      if (!copy) {
+        const remaining = selectors[scope].filter((r) => r.id !== id);
+        if (remaining.length === 0) {
+          delete selectors[scope];
+        } else {
+          selectors[scope] = remaining;
+        }
+      }
+      const target = selectors[toScope] || [];
+      if (!target.some((r) => r.selector === rule.selector)) {
+        selectors[toScope] = [...target, copy ? { ...rule, id: generateId() } : rule];
+      }
+    }
+    await commitSelectors(before, selectors, record);
+    return selectors;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Reads the match statistics of every rule.
+   * @returns {Promise<Object<string, RuleStats>>} The statistics by rule id.
+   */
+  async function loadRuleStats() {
+    const { ruleStats = {} } = await chrome.storage.local.get("ruleStats");
+    return ruleStats;
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Writes the match statistics of every rule.
+   * @param {Object<string, RuleStats>} ruleStats - The statistics by rule id.
+   * @returns {Promise<void>}
+   */
+  async function saveRuleStats(ruleStats) {
+    await chrome.storage.local.set({ ruleStats });
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Forgets the match statistics of some rules, e.g. after their selector was edited.
+   * @param {string[]} ruleIds - The ids of the rules.
+   * @returns {Promise<void>}
+   */
+  async function resetRuleStats(ruleIds) {
+    const ruleStats = await loadRuleStats();
+    if (!ruleIds.some((id) => id in ruleStats)) return;
+    ruleIds.forEach((id) => delete ruleStats[id]);
+    await saveRuleStats(ruleStats);
+  }
+
+  /**
+   * @public
+   * @description Returns a rule's match statistics, with defaults for a rule that has none yet.
+   * @param {Object<string, RuleStats>} ruleStats - The statistics by rule id, from `loadRuleStats`.
+   * @param {string} ruleId - The rule's id.
+   * @returns {RuleStats}
+   */
+  function getRuleStats(ruleStats, ruleId) {
+    return { lastMatchedAt: null, missedVisits: 0, ...ruleStats[ruleId] };
+  }
+
+  /**
+   * @public
+   * @description Tells whether a rule has gone unmatched for long enough to be considered dead,
+   * typically because the site was redesigned and the selector no longer exists.
+   * @param {Rule} rule - The rule to check.
+   * @param {Object<string, RuleStats>} ruleStats - The statistics by rule id, from `loadRuleStats`.
+   * @returns {boolean} True if the rule missed at least `STALE_VISIT_THRESHOLD` visits in a row.
+   */
+  function isRuleStale(rule, ruleStats) {
+    return getRuleStats(ruleStats, rule.id).missedVisits >= STALE_VISIT_THRESHOLD;
+  }
+
+  /**
+   * @public
+   * @description Rebuilds a domain's rule list from a plain list of selectors (as typed into the popup).
+   * Rules whose selector is still present keep their id and metadata; new selectors become new rules
+   * with the given source; duplicates are collapsed.
+   * @param {Rule[]} existingRules - The domain's current rules.
+   * @param {string[]} selectors - The desired selectors, in display order.
+   * @param {string} [source="manual"] - The source recorded for newly created rules.
+   * @returns {Rule[]} The reconciled rule list.
+   */
+  function reconcileRules(existingRules, selectors, source = "manual") {
+    const bySelector = new Map((existingRules || []).map((rule) => [rule.selector, rule]));
+    const seen = new Set();
+    const rules = [];
+    for (const selector of selectors) {
+      if (seen.has(selector)) continue;
+      seen.add(selector);
+      rules.push(bySelector.get(selector) || createRule(selector, source));
+    }
+    return rules;
+  }
+
+  /**
+   * @public
+   * @description Like `reconcileRules`, but for one group of a scope (as edited in the popup): the
+   * rules of other groups are kept where they are. A selector typed in that another group of the scope
+   * already has is moved into this group, so that a selector belongs to one group per scope.
+   * @param {Rule[]} existingRules - The scope's current rules.
+   * @param {string} group - The group being edited, or an empty string for the ungrouped rules.
+   * @param {string[]} selectors - The group's desired selectors, in display order.
+   * @param {string} [source="manual"] - The source recorded for newly created rules.
+   * @returns {Rule[]} The scope's reconciled rule list.
+   */
+  function reconcileGroupRules(existingRules, group, selectors, source = "manual") {
+    const rules = existingRules || [];
+    const wanted = new Set(selectors);
+    const isMember = (rule) => (rule.group || "") === group || wanted.has(rule.selector);
+    const others = rules.filter((rule) => !isMember(rule));
+    const members = reconcileRules(rules.filter(isMember), selectors, source).map((rule) =>
+      rule.group === group ? rule : { ...rule, group }
+    );
+    // The group keeps the position of its first rule; a new group goes last.
+    const at = rules.findIndex(isMember);
+    others.splice(at === -1 ? others.length : at, 0, ...members);
+    return others;
+  }
+
+  /**
+   * @typedef {object} ImportReport
+   * @property {number} added - Rules created by the import.
+   * @property {number} unchanged - Imported rules identical to an existing rule.
+   * @property {number} removed - Existing rules dropped because their scope was replaced.
+   * @property {Array<{scope: string, selector: string, reason: string}>} conflicts - Imported rules
+   *   that disagree with an existing rule; in merge mode the existing rule is kept.
+   * @property {Array<{scope: string, selector?: string, reason: string}>} skipped - Imported entries
+   *   that could not be used at all.
+   */
+
+  /**
+   * @public
+   * @description Combines imported rules with the stored ones. In `merge` mode, imported rules are
+   * added next to the existing ones; a selector that already exists in the same scope keeps the
+   * stored rule and, if its label, action, enabled state, group or conditions differ, is reported as a conflict. In `replace`
+   * mode every scope present in the import is replaced wholesale (scopes absent from the import are
+   * left alone); rules that survive the replacement keep their id and history.
+   * @param {Object<string, Rule[]>} existing - The stored rule map. Not modified.
+   * @param {Object<string, Array<Partial<Rule>>>} incoming - The imported rules by scope; only
+   *   `selector` is required.
+   * @param {"merge"|"replace"} [mode="merge"] - How to combine the two.
+   * @returns {{selectors: Object<string, Rule[]>, report: ImportReport}} The new map and what happened.
+   */
+  function mergeSelectors(existing, incoming, mode = "merge") {
+    const selectors = structuredClone(existing);
+    const report = { added: 0, unchanged: 0, removed: 0, conflicts: [], skipped: [] };
+
+    for (const [scope, entries] of Object.entries(incoming)) {
+      if (!isValidScope(scope)) {
+        report.skipped.push({ scope, reason: "Invalid scope" });
+        continue;
+      }
+      const current = selectors[scope] || [];
+      const bySelector = new Map(current.map((rule) => [rule.selector, rule]));
+      const rules = mode === "replace" ? [] : [...current];
+      const seen = new Set(mode === "replace" ? [] : bySelector.keys());
+
+      for (const entry of entries) {
+        const selector = typeof entry?.selector === "string" ? entry.selector.trim() : "";
+        if (!selector) {
+          report.skipped.push({ scope, reason: "Missing selector" });
+          continue;
+        }
+        const stored = bySelector.get(selector);
+        const imported = {
+          label: typeof entry.label === "string" ? entry.label : "",
+          enabled: entry.enabled !== false,
+          action: RULE_ACTIONS.includes(entry.action) ? entry.action : "collapse",
+          conditions: normalizeConditions(entry.conditions),
+          group: typeof entry.group === "string" ? entry.group.trim() : "",
+        };
+        const differences = stored ? describeImportDifferences(stored, imported) : [];
+        if (mode === "replace") {
+          if (seen.has(selector)) continue;
+          seen.add(selector);
+          rules.push(
+            stored
+              ? { ...stored, ...imported }
+              : createRule(selector, entry.source, { ...imported, ...pickCreatedAt(entry) })
+          );
+          if (!stored) report.added++;
+          else if (differences.length === 0) report.unchanged++;
+          continue;
+        }
+        if (!stored) {
+          if (seen.has(selector)) continue;
+          seen.add(selector);
+          rules.push(createRule(selector, entry.source, { ...imported, ...pickCreatedAt(entry) }));
+          report.added++;
+        } else if (differences.length === 0) {
+          report.unchanged++;
+        } else {
+          report.conflicts.push({
+            scope,
+            selector,
+            reason: `Imported as ${differences.join(", ")}; kept the existing rule`,
+          });
+        }
+      }
+
+      if (mode === "replace") {
+        report.removed += current.filter((rule) => !seen.has(rule.selector)).length;
+      }
+      if (rules.length === 0) {
+        delete selectors[scope];
+      } else {
+        selectors[scope] = rules;
+      }
+    }
+    return { selectors, report };
+  }
+
+  /**
+   * @private
+   * @description Lists how an imported rule differs from the stored rule with the same selector.
+   * @param {Rule} stored - The stored rule.
+   * @param {{label: string, enabled: boolean, action: string, conditions: ?RuleConditions, group: string}} imported
+   *   The imported rule's normalized fields.
+   * @returns {string[]} The differences, e.g. `action "blur"`, or an empty list if the rules agree.
+   */
+  function describeImportDifferences(stored, imported) {
+    const differences = [];
+    if (stored.enabled !== imported.enabled) differences.push(imported.enabled ? "enabled" : "disabled");
+    if (stored.action !== imported.action) differences.push(`action "${imported.action}"`);
+    if (stored.label !== imported.label) differences.push(`label "${imported.label}"`);
+    if ((stored.group || "") !== imported.group) differences.push(`group "${imported.group}"`);
+    if (JSON.stringify(stored.conditions || null) !== JSON.stringify(imported.conditions)) {
+      differences.push(imported.conditions ? `conditions "${describeConditions(imported.conditions)}"` : "no conditions");
+    }
+    return differences;
+  }
+
+  /**
+   * @private
+   * @description Carries over an imported rule's creation time if it is a usable timestamp.
+   * @param {Partial<Rule>} entry - The imported rule.
+   * @returns {{createdAt?: number}}
+   */
+  function pickCreatedAt(entry) {
+    return Number.isFinite(entry.createdAt) ? { createdAt: entry.createdAt } : {};
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Merges or replaces imported rules into storage (see `mergeSelectors`) in one write.
+   * @param {Object<string, Array<Partial<Rule>>>} incoming - The imported rules by scope.
+   * @param {"merge"|"replace"} [mode="merge"] - How to combine them with the stored rules.
+   * @param {?HistoryRecord} [record=null] - If given, the import is added to the history.
+   * @returns {Promise<{selectors: Object<string, Rule[]>, report: ImportReport}>} The saved map and the report.
+   */
+  async function importSelectors(incoming, mode = "merge", record = null) {
+    const existing = await loadSelectors();
+    const result = mergeSelectors(existing, incoming, mode);
+    await commitSelectors(existing, result.selectors, record);
+    return result;
+  }
+
+  return {
+    SCHEMA_VERSION,
+    RULE_SOURCES,
+    RULE_ACTIONS,
+    STALE_VISIT_THRESHOLD,
+    MAX_HISTORY_ENTRIES,
+    GLOBAL_SCOPE,
+    FILE_SCOPE,
+    FOCUS_SESSION_MINUTES,
+    DAY_NAMES,
+    createRule,
+    migrateSelectors,
+    loadSelectors,
+    saveSelectors,
+    updateDomainRules,
+    updateAllRules,
+    moveRule,
+    transferRules,
+    loadHistory,
+    undo,
+    redo,
+    revertHistoryEntry,
+    loadPauseState,
+    isPaused,
+    setSitePaused,
+    setPausedEverywhere,
+    loadAutoUnblockSites,
+    setAutoUnblock,
+    loadGroupState,
+    getActiveProfile,
+    isGroupActive,
+    setGroupEnabled,
+    saveProfiles,
+    setActiveProfile,
+    cycleProfile,
+    getGroupNames,
+    normalizeConditions,
+    areConditionsMet,
+    getNextScheduleChange,
+    describeConditions,
+    loadFocusSession,
+    isFocusActive,
+    startFocusSession,
+    endFocusSession,
+    getActiveSelectors,
+    getActiveRules,
+    reconcileRules,
+    reconcileGroupRules,
+    mergeSelectors,
+    importSelectors,
+    loadRuleStats,
+    saveRuleStats,
+    resetRuleStats,
+    getRuleStats,
+    isRuleStale,
+    isStylesheetSafe,
+    isValidScope,
+    scopeMatchesUrl,
+    getDefaultScope,
+    suggestScopes,
+    getMatchingScopes,
+    getRulesForUrl,
+  };
+})();
@@ -0,0 +1,421 @@
+/**
+ * @fileoverview Selector generator for the Element Hider element picker.
+ * Loaded after `shadow.js` and ahead of `content.js` (see `manifest.json`). Given a DOM element, it
+ * builds several candidate CSS selectors with different strategies, verifies each one against the
+ * live document with `querySelectorAll`, and ranks them so the picker can offer the most stable
+ * choice first.
+ *
+ * Strategies, roughly from most to least stable:
+ * 1. The element's `id`, unless it looks auto-generated.
+ * 2. Test and form attributes (`data-testid`, `data-cy`, `name`, ...).
+ * 3. Accessibility attributes (`aria-label`, `role`).
+ * 4. The shortest combination of stable class names that is unique.
+ * 5. Partial `[class*=]` matches for hashed CSS-module names (`Header_title__a8Xk2`).
+ * 6. A short `>` path anchored at the nearest ancestor that has a unique selector of its own.
+ *
+ * For "hide similar", `getSimilarSelector` generalizes an element to its class or sibling pattern.
+ *
+ * Ids and classes that look random (CSS-in-JS hashes, long digit runs) are skipped, because they
+ * change on the next deploy. Elements inside same-origin frames are described relative to their frame's
+ * document, and elements inside open shadow roots with a `>>>` path through their hosts.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderSelectorGenerator = (function () {
+  "use strict";
+
+  /**
+   * Attributes that test suites and forms use to address elements. They rarely change between
+   * deploys, which makes them the most stable hook after a meaningful `id`.
+   * @type {string[]}
+   */
+  const TEST_ATTRIBUTES = ["data-testid", "data-test-id", "data-test", "data-cy", "data-qa", "name"];
+
+  /**
+   * Class names describing a transient UI state. A selector built from them stops matching as
+   * soon as the state changes (the picker itself hovers the element, for a start).
+   * @type {RegExp}
+   */
+  const STATE_CLASS_PATTERN = /hover|active|focus|selected|open|visible|hidden|show/i;
+
+  /**
+   * Prefixes used by CSS-in-JS libraries for generated class names.
+   * @type {RegExp}
+   */
+  const GENERATED_PREFIX_PATTERN = /^(css|sc|jsx|emotion|styled|svelte|tw)-/i;
+
+  /**
+   * Splits a hashed CSS-module class name into a readable prefix and a hash suffix,
+   * e.g. `Header_title__a8Xk2` -> `Header_title__` + `a8Xk2`.
+   * @type {RegExp}
+   */
+  const HASHED_CLASS_PATTERN = /^([A-Za-z][\w-]*?(?:__|--|_|-))([A-Za-z0-9]{5,})$/;
+
+  /** @type {number} The maximum number of classes combined into a single candidate. */
+  const MAX_CLASS_COMBINATION = 3;
+
+  /** @type {number} How many ancestors are tried as anchors for a path selector. */
+  const MAX_ANCHOR_DEPTH = 6;
+
+  /** @type {Object<string, number>} Base score per strategy; higher is more stable. */
+  const STRATEGY_SCORES = {
+    id: 100,
+    "test-attribute": 95,
+    "aria-label": 80,
+    class: 70,
+    "partial-class": 55,
+    role: 50,
+    path: 40,
+  };
+
+  /**
+   * @public
+   * @description Heuristically decides whether an id or class name was generated by a build tool
+   * rather than written by a developer. Such tokens are useless for rules that must survive a deploy.
+   * @param {string} token - An id or a single class name.
+   * @returns {boolean} True if the token looks random.
+   */
+  function isRandomLooking(token) {
+    if (!token) return true;
+    if (GENERATED_PREFIX_PATTERN.test(token)) return true;
+    if (/\d{4,}/.test(token)) return true;
+    if (/^[0-9a-f]{6,}$/i.test(token) && /\d/.test(token)) return true;
+    // A segment that mixes letters and digits ("a8Xk2", "3fG7h") is almost always a hash.
+    return token
+      .split(/[-_]+/)
+      .some((segment) => segment.length >= 5 && /\d/.test(segment) && /[a-z]/i.test(segment));
+  }
+
+  /**
+   * @private
+   * @description Counts how many elements a selector matches and whether `el` is one of them. The
+   * selector is matched in the tree `el` belongs to: its document (possibly a frame's) or shadow root.
+   * @param {string} selector - The candidate selector.
+   * @param {Element} el - The element the selector was generated for.
+   * @returns {?{matchCount: number, includesTarget: boolean}} `null` if the selector is invalid.
+   */
+  function evaluate(selector, el) {
+    try {
+      const matches = el.getRootNode().querySelectorAll(selector);
+      return {
+        matchCount: matches.length,
+        includesTarget: Array.prototype.includes.call(matches, el),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * @public
+   * @description Counts the elements a selector matches in a document, treating invalid selectors
+   * as matching nothing. Shadow-crossing selectors (`host >>> inner`) are followed into open shadow roots.
+   * @param {string} selector - The selector to count.
+   * @param {Document} [doc=document] - The document to query.
+   * @returns {number} The number of matches, or 0 if the selector is invalid.
+   */
+  function countMatches(selector, doc = document) {
+    try {
+      if (ElementHiderShadow.isShadowSelector(selector)) {
+        return ElementHiderShadow.query(selector, doc).length;
+      }
+      return doc.querySelectorAll(selector).length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * @private
+   * @description Returns the element's class names that are neither state classes nor random-looking.
+   * @param {Element} el - The element.
+   * @returns {string[]}
+   */
+  function getStableClasses(el) {
+    return Array.from(el.classList).filter(
+      (c) => !STATE_CLASS_PATTERN.test(c) && !isRandomLooking(c)
+    );
+  }
+
+  /**
+   * @private
+   * @description Builds an attribute selector with a safely quoted value.
+   * @param {string} tag - The lower-cased tag name.
+   * @param {string} attr - The attribute name.
+   * @param {string} value - The attribute value.
+   * @param {string} [operator="="] - The attribute operator (`=` or `*=`).
+   * @returns {string}
+   */
+  function attributeSelector(tag, attr, value, operator = "=") {
+    const quoted = value.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    return `${tag}[${attr}${operator}"${quoted}"]`;
+  }
+
+  /**
+   * @private
+   * @description Yields every combination of `size` items from `items`, preserving order.
+   * @param {string[]} items - The items to combine.
+   * @param {number} size - The combination size.
+   * @returns {string[][]}
+   */
+  function combinations(items, size) {
+    if (size === 0) return [[]];
+    const result = [];
+    items.forEach((item, i) => {
+      for (const rest of combinations(items.slice(i + 1), size - 1)) {
+        result.push([item, ...rest]);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * @private
+   * @description Builds the unverified candidates that describe `el` on its own, without ancestors.
+   * @param {Element} el - The element.
+   * @returns {Array<{selector: string, strategy: string}>}
+   */
+  function getOwnCandidates(el) {
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+
+    if (el.id && !isRandomLooking(el.id)) {
+      candidates.push({ selector: `#${CSS.escape(el.id)}`, strategy: "id" });
+    }
+    for (const attr of TEST_ATTRIBUTES) {
+      const value = el.getAttribute(attr);
+      if (value) {
+        candidates.push({ selector: attributeSelector(tag, attr, value), strategy: "test-attribute" });
+      }
+    }
+    const ariaLabel = el.getAttribute("aria-label");
+    if (ariaLabel) {
+      candidates.push({ selector: attributeSelector(tag, "aria-label", ariaLabel), strategy: "aria-label" });
+    }
+    const role = el.getAttribute("role");
+    if (role) {
+      candidates.push({ selector: attributeSelector(tag, "role", role), strategy: "role" });
+    }
+
+    // Shortest class combinations first, so `.a` is preferred over `.a.b` when both are unique.
+    const classes = getStableClasses(el).slice(0, 4);
+    for (let size = 1; size <= Math.min(MAX_CLASS_COMBINATION, classes.length); size++) {
+      for (const combo of combinations(classes, size)) {
+        candidates.push({
+          selector: tag + combo.map((c) => `.${CSS.escape(c)}`).join(""),
+          strategy: "class",
+        });
+      }
+    }
+
+    for (const c of el.classList) {
+      const match = c.match(HASHED_CLASS_PATTERN);
+      if (
+        match &&
+        !GENERATED_PREFIX_PATTERN.test(c) &&
+        isRandomLooking(match[2]) &&
+        /[a-z]{3,}/i.test(match[1])
+      ) {
+        candidates.push({ selector: attributeSelector(tag, "class", match[1], "*="), strategy: "partial-class" });
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * @private
+   * @description Returns the first of `el`'s own candidates that matches exactly `el`.
+   * @param {Element} el - The element.
+   * @returns {?string} A unique selector, or `null`.
+   */
+  function findUniqueOwnSelector(el) {
+    for (const candidate of getOwnCandidates(el)) {
+      const result = evaluate(candidate.selector, el);
+      if (result && result.matchCount === 1 && result.includesTarget) {
+        return candidate.selector;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @description Describes one step of a path selector: the tag, up to two stable classes and,
+   * only when same-tag siblings exist, `:nth-of-type()`.
+   * @param {Element} el - The element.
+   * @returns {string}
+   */
+  function pathSegment(el) {
+    let segment = el.tagName.toLowerCase();
+    segment += getStableClasses(el)
+      .slice(0, 2)
+      .map((c) => `.${CSS.escape(c)}`)
+      .join("");
+    const parent = el.parentElement;
+    if (parent) {
+      const sameTagSiblings = Array.from(parent.children).filter((s) => s.tagName === el.tagName);
+      if (sameTagSiblings.length > 1) {
+        segment += `:nth-of-type(${sameTagSiblings.indexOf(el) + 1})`;
+      }
+    }
+    return segment;
+  }
+
+  /**
+   * @private
+   * @description Builds the shortest `>` path that uniquely identifies `el`, stopping as soon as the
+   * path is unique on its own or can be anchored at an ancestor's unique selector.
+   * @param {Element} el - The element.
+   * @returns {string} The path selector (unique unless the document has identical twins).
+   */
+  function buildPathSelector(el) {
+    const path = [];
+    let current = el;
+    let depth = 0;
+    while (current && current !== el.ownerDocument.documentElement) {
+      if (current !== el && depth <= MAX_ANCHOR_DEPTH) {
+        const anchor = findUniqueOwnSelector(current);
+        if (anchor) {
+          const anchored = [anchor, ...path].join(" > ");
+          const result = evaluate(anchored, el);
+          if (result && result.matchCount === 1 && result.includesTarget) return anchored;
+        }
+      }
+      path.unshift(pathSegment(current));
+      const selector = path.join(" > ");
+      const result = evaluate(selector, el);
+      if (result && result.matchCount === 1 && result.includesTarget) return selector;
+      current = current.parentElement;
+      depth++;
+    }
+    return path.join(" > ");
+  }
+
+  /**
+   * @public
+   * @description Generates, verifies and ranks candidate selectors for an element. Candidates that
+   * do not match the element are discarded; unique candidates rank before ones that also match other
+   * elements, then by strategy score and length. For an element inside an open shadow root, the
+   * candidates are built within that root and prefixed with the path to its host, e.g.
+   * `video-player >>> .overlay-ad` (see `shadow.js`).
+   * @param {Element} el - The element to describe.
+   * @param {number} [limit=3] - The maximum number of candidates returned.
+   * @returns {Array<{selector: string, strategy: string, matchCount: number, unique: boolean}>}
+   *   The best candidates, best first. Never empty.
+   */
+  function getCandidates(el, limit = 3) {
+    const root = el.getRootNode();
+    // Only shadow roots have a host (`instanceof` would miss those of same-origin frames).
+    if (!root.host) {
+      return getTreeCandidates(el, limit);
+    }
+    const hostSelector = generateSelector(root.host);
+    return getTreeCandidates(el, limit).map((candidate) => {
+      const selector = ElementHiderShadow.join([hostSelector], candidate.selector);
+      const matchCount = countMatches(selector, el.ownerDocument);
+      return { ...candidate, selector, matchCount, unique: matchCount === 1 };
+    });
+  }
+
+  /**
+   * @private
+   * @description Generates, verifies and ranks the candidates for an element within its own tree
+   * (document or shadow root); see `getCandidates`.
+   * @param {Element} el - The element to describe.
+   * @param {number} limit - The maximum number of candidates returned.
+   * @returns {Array<{selector: string, strategy: string, matchCount: number, unique: boolean}>}
+   */
+  function getTreeCandidates(el, limit) {
+    const seen = new Set();
+    const verified = [];
+    const addCandidate = ({ selector, strategy }) => {
+      if (seen.has(selector)) return;
+      seen.add(selector);
+      const result = evaluate(selector, el);
+      if (!result || !result.includesTarget) return;
+      verified.push({
+        selector,
+        strategy,
+        matchCount: result.matchCount,
+        unique: result.matchCount === 1,
+      });
+    };
+
+    getOwnCandidates(el).forEach(addCandidate);
+    if (!verified.some((c) => c.unique)) {
+      addCandidate({ selector: buildPathSelector(el), strategy: "path" });
+    }
+    if (verified.length === 0) {
+      // Last resort: a path always matches its own element.
+      const selector = buildPathSelector(el);
+      verified.push({ selector, strategy: "path", matchCount: countMatches(selector, el.getRootNode()), unique: false });
+    }
+
+    const score = (c) => STRATEGY_SCORES[c.strategy] - c.selector.length / 20;
+    verified.sort((a, b) => b.unique - a.unique || score(b) - score(a));
+    return verified.slice(0, limit);
+  }
+
+  /**
+   * @public
+   * @description Returns the single best selector for an element.
+   * @param {Element} el - The element to describe.
+   * @returns {string} The top-ranked candidate selector.
+   */
+  function generateSelector(el) {
+    return getCandidates(el, 1)[0].selector;
+  }
+
+  /**
+   * @private
+   * @description Builds the selector of `getSimilarSelector` within the element's own tree.
+   * @param {Element} el - The element to generalize.
+   * @returns {string}
+   */
+  function getSimilarTreeSelector(el) {
+    const tag = el.tagName.toLowerCase();
+    const matchesOthers = (selector) => {
+      const result = evaluate(selector, el);
+      return result && result.includesTarget && result.matchCount > 1;
+    };
+
+    const classes = getStableClasses(el).slice(0, MAX_CLASS_COMBINATION);
+    if (classes.length > 0) {
+      const classPattern = tag + classes.map((c) => `.${CSS.escape(c)}`).join("");
+      if (matchesOthers(classPattern)) return classPattern;
+    }
+
+    const parent = el.parentElement;
+    if (parent && parent !== el.ownerDocument.documentElement) {
+      const siblings = Array.from(parent.children).filter((s) => s !== el && s.tagName === el.tagName);
+      const shared = classes.filter((c) => siblings.some((s) => s.classList.contains(c)));
+      const siblingPattern = tag + shared.map((c) => `.${CSS.escape(c)}`).join("");
+      const parentSelector = parent === el.ownerDocument.body ? "body" : getTreeCandidates(parent, 1)[0].selector;
+      const selector = `${parentSelector} > ${siblingPattern}`;
+      if (siblings.length > 0 && matchesOthers(selector)) return selector;
+    }
+
+    return getTreeCandidates(el, 1)[0].selector;
+  }
+
+  /**
+   * @public
+   * @description Returns a selector for an element and the elements like it, for "hide similar":
+   * the tag with the element's stable classes if other elements share them, otherwise the element's
+   * same-tag siblings under its parent (keeping the classes they share), otherwise the element's own
+   * best selector. Positions (`:nth-of-type`) and ids are never used. Elements inside open shadow
+   * roots get the `>>>` path to their host, as in `getCandidates`.
+   * @param {Element} el - The element to generalize.
+   * @returns {string}
+   */
+  function getSimilarSelector(el) {
+    const root = el.getRootNode();
+    const selector = getSimilarTreeSelector(el);
+    return root.host
+      ? ElementHiderShadow.join([generateSelector(root.host)], selector)
+      : selector;
+  }
+
+  return { getCandidates, generateSelector, getSimilarSelector, countMatches, isRandomLooking };
+})();
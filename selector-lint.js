@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Checks and highlighting for the selectors typed into the popup's editor. Loaded after
+ * `procedural.js` and `shadow.js` by `popup.html`.
+ *
+ * Each non-empty line of the editor is one selector. A line gets:
+ *   - an error if it cannot be used: the browser cannot parse it as CSS, or its `:has-text()`,
+ *     `:upward()` or `>>>` parts are malformed (see `procedural.js` and `shadow.js`). The popup does
+ *     not save while there are errors.
+ *   - a warning if it would probably hide more than intended: it names the whole page (`html`,
+ *     `body`, `body *`), it consists of element names only (`div`, `ul li`), or, measured on the
+ *     live page by `content.js`, what it hides covers at least `PAGE_COVERAGE_LIMIT` of the page.
+ *     Duplicates and pseudo-elements, which can never be hidden, are also reported. The popup asks
+ *     before saving new lines with such warnings.
+ *
+ * `tokenize` splits a selector into typed tokens for syntax highlighting.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderSelectorLint = (function () {
+  "use strict";
+
+  /**
+   * The share of the page's elements a selector may hide, counting the descendants of what it
+   * matches, before it is reported as hiding most of the page.
+   * @type {number}
+   */
+  const PAGE_COVERAGE_LIMIT = 0.5;
+
+  /**
+   * Subjects that stand for the whole page: hiding them leaves nothing visible.
+   * @type {string[]}
+   */
+  const PAGE_SUBJECTS = ["html", "body", ":root"];
+
+  /**
+   * The token patterns of `tokenize`, tried in order at each position.
+   * @type {Array<[SelectorToken["type"], RegExp]>}
+   */
+  const TOKEN_PATTERNS = [
+    ["extended", />>>/y],
+    ["extended", /:(?:has-text|-abp-contains|upward)\((?:[^()]|\([^()]*\))*\)?/y],
+    ["attribute", /\[(?:[^\]"']|"[^"]*"?|'[^']*'?)*\]?/y],
+    ["id", /#(?:[-\w]|\\.)+/y],
+    ["class", /\.(?:[-\w]|\\.)+/y],
+    ["pseudo", /::?[-\w]+/y],
+    ["tag", /\*|[a-zA-Z][-\w]*/y],
+    ["combinator", /\s*(?:[+~,]|>(?!>))\s*/y],
+  ];
+
+  /**
+   * @typedef {object} SelectorToken
+   * @property {"extended"|"attribute"|"id"|"class"|"pseudo"|"tag"|"combinator"|"text"} type - What
+   *   the token is; `extended` covers the procedural operators and `>>>`.
+   * @property {string} text - The token's text. The texts of all tokens add up to the selector.
+   */
+
+  /**
+   * @typedef {object} SelectorProblem
+   * @property {number} line - The 1-based line number in the editor.
+   * @property {string} selector - The trimmed line.
+   * @property {"error"|"warning"} severity - Errors block saving; warnings are confirmed first.
+   * @property {"invalid"|"duplicate"|"pseudo-element"|"page"|"broad"|"coverage"} kind - What was found.
+   * @property {string} message - The explanation shown to the user.
+   */
+
+  /**
+   * @public
+   * @description Splits a selector into tokens for syntax highlighting. It is forgiving: text that
+   * fits no pattern (spaces, parentheses, half-typed input) becomes `text` tokens.
+   * @param {string} selector - The selector, or any line of the editor.
+   * @returns {SelectorToken[]}
+   */
+  function tokenize(selector) {
+    const tokens = [];
+    let index = 0;
+    while (index < selector.length) {
+      let match = null;
+      let type = "text";
+      for (const [patternType, pattern] of TOKEN_PATTERNS) {
+        pattern.lastIndex = index;
+        match = pattern.exec(selector);
+        if (match && match[0]) {
+          type = patternType;
+          break;
+        }
+        match = null;
+      }
+      const text = match ? match[0] : selector[index];
+      const previous = tokens[tokens.length - 1];
+      if (type === "text" && previous?.type === "text") {
+        previous.text += text;
+      } else {
+        tokens.push({ type, text });
+      }
+      index += text.length;
+    }
+    return tokens;
+  }
+
+  /**
+   * @private
+   * @description Splits a selector list at its top-level commas.
+   * @param {string} selector - A CSS selector list.
+   * @returns {string[]} The complex selectors, trimmed.
+   */
+  function splitList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "(" || char === "[") {
+        depth++;
+      } else if (char === ")" || char === "]") {
+        depth--;
+      } else if (char === "," && depth === 0) {
+        parts.push(selector.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(selector.slice(start).trim());
+    return parts.filter(Boolean);
+  }
+
+  /**
+   * @private
+   * @description Explains why a selector cannot be used.
+   * @param {string} selector - The trimmed line.
+   * @returns {?string} The error message, or `null` if the selector is valid.
+   */
+  function getSelectorError(selector) {
+    if (ElementHiderShadow.isShadowSelector(selector)) {
+      return ElementHiderShadow.validate(selector);
+    }
+    if (ElementHiderProcedural.isProcedural(selector)) {
+      return ElementHiderProcedural.validate(selector);
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return null;
+    } catch (e) {
+      return "The browser cannot parse this CSS selector.";
+    }
+  }
+
+  /**
+   * @private
+   * @description Finds out, without a page, whether a valid selector is likely to hide far too much.
+   * Text filters (`:has-text()`) narrow a selector down in ways that cannot be judged here, so
+   * procedural selectors are left to the live page measurement. Only the part inside the shadow
+   * roots of a `>>>` selector is looked at.
+   * @param {string} selector - The trimmed, valid line.
+   * @returns {?{kind: "pseudo-element"|"page"|"broad", message: string}} The warning, or `null`.
+   */
+  function getBreadthWarning(selector) {
+    const css = ElementHiderShadow.isShadowSelector(selector) ? ElementHiderShadow.split(selector).inner : selector;
+    if (ElementHiderProcedural.isProcedural(css)) return null;
+    if (tokenize(css).some((token) => token.type === "pseudo" && token.text.startsWith("::"))) {
+      return {
+        kind: "pseudo-element",
+        message: "Pseudo-elements such as ::before cannot be hidden on their own; this rule matches nothing.",
+      };
+    }
+    for (const complex of splitList(css)) {
+      const compounds = complex.split(/\s*[>+~]\s*|\s+/).filter(Boolean).map((c) => c.toLowerCase());
+      const subject = compounds[compounds.length - 1];
+      const namesOnly = compounds.every((c) => c === "*" || /^[a-z][-\w]*$/.test(c) || PAGE_SUBJECTS.includes(c));
+      if (
+        PAGE_SUBJECTS.includes(subject) ||
+        (subject === "*" && compounds.every((c) => c === "*" || PAGE_SUBJECTS.includes(c)))
+      ) {
+        return { kind: "page", message: `"${complex}" hides the whole page.` };
+      }
+      if (namesOnly) {
+        const what = subject === "*" ? "every element inside it" : `every <${subject}> it reaches`;
+        return {
+          kind: "broad",
+          message: `"${complex}" uses element names only, so it hides ${what}. Add a class, id or attribute to narrow it down.`,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @public
+   * @description Checks every line of the editor.
+   * @param {string} text - The editor's contents, one selector per line.
+   * @returns {{selectors: Array<{line: number, selector: string}>, problems: SelectorProblem[]}}
+   *   The non-empty lines, trimmed, and what is wrong with them, in line order.
+   */
+  function lintText(text) {
+    const selectors = [];
+    const problems = [];
+    const firstLines = new Map();
+    text.split("\n").forEach((rawLine, index) => {
+      const selector = rawLine.trim();
+      if (!selector) return;
+      const line = index + 1;
+      selectors.push({ line, selector });
+      const error = getSelectorError(selector);
+      if (error) {
+        problems.push({ line, selector, severity: "error", kind: "invalid", message: error });
+        return;
+      }
+      if (firstLines.has(selector)) {
+        problems.push({
+          line,
+          selector,
+          severity: "warning",
+          kind: "duplicate",
+          message: `Same as line ${firstLines.get(selector)}; it is saved once.`,
+        });
+        return;
+      }
+      firstLines.set(selector, line);
+      const warning = getBreadthWarning(selector);
+      if (warning) {
+        problems.push({ line, selector, severity: "warning", ...warning });
+      }
+    });
+    return { selectors, problems };
+  }
+
+  /**
+   * @public
+   * @description Turns the live page measurements of `content.js` (`measureSelectors`) into warnings
+   * for the selectors that would hide most of the page. A repeated selector is only reported on its
+   * first line.
+   * @param {Array<{line: number, selector: string}>} selectors - The lines, from `lintText`.
+   * @param {Map<string, {matchCount: number, coverage: number}>} measurements - By selector.
+   * @returns {SelectorProblem[]}
+   */
+  function lintCoverage(selectors, measurements) {
+    const reported = new Set();
+    return selectors.flatMap(({ line, selector }) => {
+      const measurement = measurements.get(selector);
+      if (!measurement || measurement.coverage < PAGE_COVERAGE_LIMIT || reported.has(selector)) return [];
+      reported.add(selector);
+      return [{
+        line,
+        selector,
+        severity: "warning",
+        kind: "coverage",
+        message: `Hides ${Math.round(measurement.coverage * 100)}% of this page (${measurement.matchCount} matching element(s)).`,
+      }];
+    });
+  }
+
+  return { PAGE_COVERAGE_LIMIT, tokenize, lintText, lintCoverage };
+})();
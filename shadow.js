@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Selectors that reach into open Shadow DOM trees, for Element Hider rules.
+ * Loaded ahead of `selector-generator.js` and `content.js` (see `manifest.json`), and by `popup.html`
+ * and `background.js`, where `rule-io.js` uses it to validate imported rules.
+ *
+ * CSS selectors stop at shadow boundaries, so a rule for an element inside a web component lists the
+ * shadow hosts on the way to it, separated by the `>>>` combinator:
+ *
+ *        video-player >>> .overlay-ad
+ *        feed-app >>> feed-item >>> article:has-text(Sponsored)
+ *
+ * Every part but the last selects shadow hosts within the tree reached so far (starting at the
+ * document); the last part is matched inside the shadow roots of the hosts found, and may be a
+ * procedural selector (see `procedural.js`). Only open shadow roots can be entered.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderShadow = (function () {
+  "use strict";
+
+  /** @type {string} The combinator separating shadow hosts from what is inside them. */
+  const SHADOW_COMBINATOR = ">>>";
+
+  /**
+   * @typedef {object} ShadowPath
+   * @property {string[]} hosts - The selectors of the shadow hosts, outermost first.
+   * @property {string} inner - The selector matched inside the innermost shadow roots.
+   */
+
+  /**
+   * @public
+   * @description Tells whether a selector crosses shadow boundaries. Cheap enough to call on every rule.
+   * @param {string} selector - The rule's selector.
+   * @returns {boolean}
+   */
+  function isShadowSelector(selector) {
+    return selector.includes(SHADOW_COMBINATOR);
+  }
+
+  /**
+   * @public
+   * @description Splits a shadow-crossing selector into its parts.
+   * @param {string} selector - The rule's selector.
+   * @returns {ShadowPath}
+   * @throws {Error} If the selector has an empty part.
+   */
+  function split(selector) {
+    const parts = selector.split(SHADOW_COMBINATOR).map((part) => part.trim());
+    if (parts.some((part) => !part)) {
+      throw new Error(`Every part around ${SHADOW_COMBINATOR} needs a selector.`);
+    }
+    return { hosts: parts.slice(0, -1), inner: parts[parts.length - 1] };
+  }
+
+  /**
+   * @public
+   * @description Builds a shadow-crossing selector from its parts; the inverse of `split`.
+   * @param {string[]} hosts - The selectors of the shadow hosts, outermost first.
+   * @param {string} inner - The selector inside the innermost shadow roots.
+   * @returns {string}
+   */
+  function join(hosts, inner) {
+    return [...hosts, inner].join(` ${SHADOW_COMBINATOR} `);
+  }
+
+  /**
+   * @public
+   * @description Finds the open shadow roots a list of host selectors leads to. Invalid selectors
+   * match nothing.
+   * @param {string[]} hosts - The selectors of the shadow hosts, outermost first.
+   * @param {Document|ShadowRoot} [root=document] - Where the first host selector is matched.
+   * @returns {ShadowRoot[]}
+   */
+  function resolveRoots(hosts, root = document) {
+    let roots = [root];
+    for (const selector of hosts) {
+      try {
+        roots = roots
+          .flatMap((current) => Array.from(current.querySelectorAll(selector)))
+          .map((host) => host.shadowRoot)
+          .filter(Boolean);
+      } catch (e) {
+        return [];
+      }
+    }
+    return roots;
+  }
+
+  /**
+   * @public
+   * @description Finds every element a shadow-crossing selector matches.
+   * @param {string} selector - The rule's selector.
+   * @param {Document|ShadowRoot} [root=document] - Where the search starts.
+   * @returns {Element[]}
+   * @throws {Error} If the selector, or its procedural last part, is malformed.
+   */
+  function query(selector, root = document) {
+    const { hosts, inner } = split(selector);
+    const parsed = ElementHiderProcedural.isProcedural(inner) ? ElementHiderProcedural.parse(inner) : null;
+    return resolveRoots(hosts, root).flatMap((shadowRoot) =>
+      parsed
+        ? ElementHiderProcedural.query(parsed, shadowRoot)
+        : Array.from(shadowRoot.querySelectorAll(inner))
+    );
+  }
+
+  /**
+   * @public
+   * @description Checks a shadow-crossing selector without throwing. The CSS inside the shadow roots
+   * must be safe to write into a stylesheet (see `ElementHiderRules.isStylesheetSafe`); beyond that,
+   * CSS parts are only checked where there is a DOM (not in the background service worker).
+   * @param {string} selector - The rule's selector.
+   * @returns {?string} The error message, or `null` if the selector is valid.
+   */
+  function validate(selector) {
+    let path;
+    try {
+      path = split(selector);
+    } catch (e) {
+      return e.message;
+    }
+    if (ElementHiderProcedural.isProcedural(path.inner)) {
+      const error = ElementHiderProcedural.validate(path.inner);
+      if (error) return error;
+    } else if (!ElementHiderRules.isStylesheetSafe(path.inner)) {
+      return `"${path.inner}" cannot be used in a stylesheet.`;
+    }
+    if (typeof document === "undefined") return null;
+    const cssParts = ElementHiderProcedural.isProcedural(path.inner) ? path.hosts : [...path.hosts, path.inner];
+    for (const part of cssParts) {
+      try {
+        document.createDocumentFragment().querySelector(part);
+      } catch (e) {
+        return `Invalid selector "${part}".`;
+      }
+    }
+    return null;
+  }
+
+  return { SHADOW_COMBINATOR, isShadowSelector, split, join, resolveRoots, query, validate };
+})();
@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Preset list subscriptions for the Element Hider Chrome extension.
+ * Loaded by `background.js` (which keeps the lists up to date), `popup.html` (which manages them) and,
+ * through `manifest.json`, ahead of `content.js` (which applies them).
+ *
+ * A preset list is a named, versioned collection of selectors grouped by scope, fetched from a URL:
+ * either a file bundled with the extension (see the catalogue in `preset.json`) or a remote address.
+ * Subscribed lists are stored apart from the user's own rules and applied on top of them, so an
+ * update never overwrites personal rules and a list can be switched off for individual sites.
+ *
+ * Storage schema:
+ *   - `subscriptions`: `{ [id: string]: Subscription }`
+ *
+ * A list is either JSON:
+ *
+ *        {
+ *          "format": "element-hider-preset-list",
+ *          "name": "Cookie banners",
+ *          "version": "2026.01.31",
+ *          "description": "Consent pop-ups on news sites.",
+ *          "scopes": { "*": ["#cookie-notice"], "*.example.com": [".gdpr-wall"] }
+ *        }
+ *
+ * or a cosmetic filter list (`example.com##.ad`, see `rule-io.js`) whose `! Title:` and `! Version:`
+ * header comments provide the name and version. An update only replaces a list's rules when its
+ * version changed (lists without a version are always replaced).
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderSubscriptions = (function () {
+  "use strict";
+
+  /** @type {string} The `format` marker of JSON preset lists. */
+  const LIST_FORMAT = "element-hider-preset-list";
+
+  /** @type {string} The bundled catalogue of lists offered in the popup. */
+  const CATALOGUE_URL = "preset.json";
+
+  /** @type {string} The name of the `chrome.alarms` alarm that triggers scheduled updates. */
+  const UPDATE_ALARM = "update-subscriptions";
+
+  /** @type {number} Minutes between scheduled updates of every subscribed list. */
+  const UPDATE_INTERVAL_MINUTES = 24 * 60;
+
+  /**
+   * @typedef {object} Subscription
+   * @property {string} id - A stable identifier (the catalogue id, or one derived from the URL).
+   * @property {string} name - The list's display name.
+   * @property {string} url - Where the list is fetched from; relative URLs point into the extension.
+   * @property {?string} version - The version of the rules currently stored, if the list has one.
+   * @property {string} description - A short description, possibly empty.
+   * @property {string[]} disabledSites - Hostnames on which the list is switched off.
+   * @property {Object<string, string[]>} scopes - The list's selectors by scope.
+   * @property {?number} lastUpdated - When the rules last changed, in epoch milliseconds.
+   * @property {?number} lastChecked - When the list was last fetched, in epoch milliseconds.
+   * @property {?string} error - Why the last update failed, or `null`.
+   */
+
+  /**
+   * @public
+   * @async
+   * @description Loads every subscription from storage.
+   * @returns {Promise<Object<string, Subscription>>} Subscriptions by id.
+   */
+  async function loadSubscriptions() {
+    const { subscriptions = {} } = await chrome.storage.local.get("subscriptions");
+    return subscriptions;
+  }
+
+  /**
+   * @private
+   * @async
+   * @description Performs a read-modify-write of one subscription. The `updater` receives a copy of
+   * the stored subscription and returns the new one, or `null` to delete it.
+   * @param {string} id - The subscription id.
+   * @param {function(Subscription): ?Subscription} updater - Produces the new subscription.
+   * @returns {Promise<?Subscription>} The saved subscription, or `null` if it was deleted or does not exist.
+   */
+  async function updateSubscriptionEntry(id, updater) {
+    const subscriptions = await loadSubscriptions();
+    if (!subscriptions[id]) return null;
+    const updated = updater({ ...subscriptions[id] });
+    if (updated) {
+      subscriptions[id] = updated;
+    } else {
+      delete subscriptions[id];
+    }
+    await chrome.storage.local.set({ subscriptions });
+    return updated;
+  }
+
+  /**
+   * @private
+   * @description Resolves a list URL; relative URLs point at files bundled with the extension.
+   * @param {string} url - The list URL as stored.
+   * @returns {string} An absolute URL.
+   */
+  function resolveUrl(url) {
+    return new URL(url, chrome.runtime.getURL("/")).href;
+  }
+
+  /**
+   * @public
+   * @description Parses the text of a preset list in either supported format. Selectors that are not
+   * usable (see `ElementHiderRuleIO.isValidSelector`) are dropped.
+   * @param {string} text - The fetched list.
+   * @returns {{name: ?string, version: ?string, description: string, scopes: Object<string, string[]>}}
+   * @throws {Error} If the text is JSON but not a preset list.
+   */
+  function parseList(text) {
+    if (text.trim().startsWith("{")) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+      }
+      if (!data || data.format !== LIST_FORMAT || typeof data.scopes !== "object" || !data.scopes) {
+        throw new Error("Not an Element Hider preset list.");
+      }
+      const scopes = {};
+      for (const [scope, selectors] of Object.entries(data.scopes)) {
+        if (!ElementHiderRules.isValidScope(scope) || !Array.isArray(selectors)) continue;
+        const valid = selectors
+          .filter((s) => typeof s === "string" && s.trim())
+          .map((s) => s.trim())
+          .filter(ElementHiderRuleIO.isValidSelector);
+        if (valid.length > 0) scopes[scope] = [...new Set(valid)];
+      }
+      return {
+        name: typeof data.name === "string" ? data.name : null,
+        version: data.version != null ? String(data.version) : null,
+        description: typeof data.description === "string" ? data.description : "",
+        scopes,
+      };
+    }
+
+    const header = (key) => text.match(new RegExp(`^!\\s*${key}:\\s*(.+)$`, "mi"))?.[1].trim() || null;
+    const { selectors } = ElementHiderRuleIO.parseFilters(text);
+    const scopes = {};
+    for (const [scope, rules] of Object.entries(selectors)) {
+      scopes[scope] = [...new Set(rules.map((rule) => rule.selector))];
+    }
+    return {
+      name: header("Title"),
+      version: header("Version"),
+      description: header("Description") || "",
+      scopes,
+    };
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Adds a subscription; subscribing again keeps the existing one. Its rules are fetched by
+   * `updateSubscription`, which the caller triggers (normally through `background.js`).
+   * @param {{id?: string, name?: string, url: string, description?: string}} list - The list to subscribe to.
+   * @returns {Promise<Subscription>} The stored subscription.
+   */
+  async function subscribe(list) {
+    const subscriptions = await loadSubscriptions();
+    const id = list.id || list.url;
+    subscriptions[id] = {
+      id,
+      name: list.name || list.url,
+      url: list.url,
+      version: null,
+      description: list.description || "",
+      disabledSites: [],
+      scopes: {},
+      lastUpdated: null,
+      lastChecked: null,
+      error: null,
+      ...subscriptions[id],
+    };
+    await chrome.storage.local.set({ subscriptions });
+    return subscriptions[id];
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Removes a subscription and its rules.
+   * @param {string} id - The subscription id.
+   * @returns {Promise<void>}
+   */
+  async function unsubscribe(id) {
+    await updateSubscriptionEntry(id, () => null);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches a subscription on or off for a single site.
+   * @param {string} id - The subscription id.
+   * @param {string} site - The hostname.
+   * @param {boolean} enabled - Whether the list should apply on that site.
+   * @returns {Promise<?Subscription>}
+   */
+  function setSiteEnabled(id, site, enabled) {
+    return updateSubscriptionEntry(id, (subscription) => {
+      const sites = new Set(subscription.disabledSites);
+      enabled ? sites.delete(site) : sites.add(site);
+      return { ...subscription, disabledSites: [...sites] };
+    });
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Fetches one list and stores its rules if its version changed. Failures are recorded
+   * on the subscription (and the previous rules kept) rather than thrown, so one broken list does not
+   * stop the others from updating.
+   * @param {string} id - The subscription id.
+   * @returns {Promise<?Subscription>} The saved subscription, or `null` if it does not exist.
+   */
+  async function updateSubscription(id) {
+    const subscription = (await loadSubscriptions())[id];
+    if (!subscription) return null;
+    let result;
+    try {
+      const response = await fetch(resolveUrl(subscription.url), { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      result = { list: parseList(await response.text()) };
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    const now = Date.now();
+    return updateSubscriptionEntry(id, (current) => {
+      if (result.error) {
+        return { ...current, lastChecked: now, error: result.error };
+      }
+      const { list } = result;
+      const changed = !list.version || list.version !== current.version;
+      return {
+        ...current,
+        name: list.name || current.name,
+        description: list.description || current.description,
+        version: list.version,
+        scopes: changed ? list.scopes : current.scopes,
+        lastUpdated: changed ? now : current.lastUpdated,
+        lastChecked: now,
+        error: null,
+      };
+    });
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Updates every subscribed list, one after the other.
+   * @returns {Promise<Object<string, Subscription>>} The subscriptions after the update.
+   */
+  async function updateAll() {
+    for (const id of Object.keys(await loadSubscriptions())) {
+      await updateSubscription(id);
+    }
+    return loadSubscriptions();
+  }
+
+  /**
+   * @public
+   * @description Tells whether a subscription applies on a site.
+   * @param {Subscription} subscription - The subscription.
+   * @param {string} site - The hostname.
+   * @returns {boolean}
+   */
+  function isEnabledForSite(subscription, site) {
+    return !subscription.disabledSites.includes(site);
+  }
+
+  /**
+   * @public
+   * @description Collects the rules of one subscription that apply to a URL, in the same shape as
+   * `ElementHiderRules.getRulesForUrl`. Ids are derived from the list, scope and selector, so they
+   * stay stable across updates.
+   * @param {Subscription} subscription - The subscription.
+   * @param {string} url - The page URL.
+   * @returns {Array<object>} Read-only rules, each annotated with its `scope`.
+   */
+  function getRulesForUrl(subscription, url) {
+    const asRules = {};
+    for (const [scope, selectors] of Object.entries(subscription.scopes)) {
+      asRules[scope] = selectors.map((selector) => ({
+        id: `${subscription.id}|${scope}|${selector}`,
+        selector,
+        label: "",
+        enabled: true,
+        source: "preset",
+      }));
+    }
+    return ElementHiderRules.getRulesForUrl(asRules, url);
+  }
+
+  /**
+   * @public
+   * @description Returns the de-duplicated selectors of every subscription that applies to a page.
+   * @param {Object<string, Subscription>} subscriptions - Subscriptions by id.
+   * @param {string} url - The page URL.
+   * @param {string} site - The page's hostname, for per-site switches.
+   * @returns {string[]}
+   */
+  function getActiveSelectors(subscriptions, url, site) {
+    const rules = Object.values(subscriptions)
+      .filter((subscription) => isEnabledForSite(subscription, site))
+      .flatMap((subscription) => getRulesForUrl(subscription, url));
+    return ElementHiderRules.getActiveSelectors(rules);
+  }
+
+  return {
+    LIST_FORMAT,
+    CATALOGUE_URL,
+    UPDATE_ALARM,
+    UPDATE_INTERVAL_MINUTES,
+    loadSubscriptions,
+    parseList,
+    subscribe,
+    unsubscribe,
+    setSiteEnabled,
+    updateSubscription,
+    updateAll,
+    isEnabledForSite,
+    getRulesForUrl,
+    getActiveSelectors,
+  };
+})();
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Cross-device sync of Element Hider rules through `chrome.storage.sync`.
+ * Loaded by `background.js`, which runs the sync whenever the rules change on either side, and by
+ * `options.html`, where sync is switched on and its status shown. Sync is opt-in per device.
+ *
+ * `chrome.storage.local` stays the rule database every context reads (see `rules.js`); sync only
+ * mirrors it. Remote changes are merged into the local `selectors`, so the popup, the options page
+ * and the content scripts pick them up through `chrome.storage.onChanged` like any other edit.
+ *
+ * Storage schema:
+ *   - local `syncEnabled`: `boolean`, whether this device syncs its rules.
+ *   - local `syncBase`: `Object<string, SyncedRule>`, the rules by id as of the last sync.
+ *   - local `syncStatus`: `SyncStatus`, shown on the options page.
+ *   - sync `rules:<scope>:<n>`: the n-th chunk of a scope's rules, an array of compacted rules.
+ *   - sync `marker`: `{createdAt: number}`, written by the first sync of any device. Sync storage
+ *     without rules but with the marker was emptied by deleting every rule; without the marker it
+ *     was never used or was cleared in the browser's settings.
+ *
+ * A scope's rules are split into chunks that fit `QUOTA_BYTES_PER_ITEM`, so one large site does not
+ * hit the per-item limit and an edit only rewrites the chunks it touches. Only what the user edits
+ * is synced: match statistics (`ruleStats`, see `rules.js`) stay on each device, and so do the
+ * per-site group switches and the profiles, which choose what applies on this device.
+ *
+ * Concurrent edits are merged per rule and per field against `syncBase`: a field changed on one
+ * side only takes that side's value, and a field changed on both sides keeps this device's value.
+ * A rule deleted on one side and left untouched on the other is deleted; an edit wins over a
+ * delete. If the rules no longer fit the sync quota, nothing is written to sync, the local rules
+ * keep working and the status reports the problem until the rules fit again.
+ *
+ * @version 1.0
+ * @author TM Soontornsing
+ */
+const ElementHiderSync = (function () {
+  "use strict";
+
+  /** @type {string} The prefix of every rule chunk in `chrome.storage.sync`. */
+  const CHUNK_PREFIX = "rules:";
+
+  /** @type {string} The `chrome.storage.sync` key that marks sync storage as in use (see the file overview). */
+  const MARKER_KEY = "marker";
+
+  /** @type {string} The name of the `chrome.alarms` alarm that retries a sync after a write limit. */
+  const RETRY_ALARM = "retry-sync";
+
+  /** @type {number} Minutes to wait before retrying after Chrome's write rate limit was hit. */
+  const RETRY_DELAY_MINUTES = 1;
+
+  /** @type {string[]} The rule fields that are synced; the rest is specific to a device. */
+  const SYNCED_FIELDS = ["id", "selector", "label", "enabled", "action", "source", "createdAt", "conditions", "group"];
+
+  /** @type {Object<string, *>} Field values left out of the chunks to save quota. */
+  const DEFAULT_VALUES = { label: "", enabled: true, action: "collapse", source: "manual", conditions: null, group: "" };
+
+  /**
+   * @typedef {object} SyncedRule
+   * @property {string} scope - The scope the rule is stored under.
+   * @property {string} id - The rule's id. The other `SYNCED_FIELDS` follow.
+   */
+
+  /**
+   * @typedef {object} SyncStatus
+   * @property {?number} lastSyncedAt - When a change was last exchanged with sync storage.
+   * @property {?number} lastPulledAt - When remote changes were last merged into this device's rules.
+   * @property {?string} error - Why the last sync failed, or `null`.
+   * @property {number} bytesInUse - The size of the rules in sync storage.
+   * @property {number} quotaBytes - The sync storage quota.
+   */
+
+  /**
+   * @public
+   * @description Tells whether a `chrome.storage.sync` key holds synced rules.
+   * @param {string} key - The storage key.
+   * @returns {boolean}
+   */
+  function isSyncKey(key) {
+    return key.startsWith(CHUNK_PREFIX);
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Reads whether sync is on and its status.
+   * @returns {Promise<{enabled: boolean, status: SyncStatus}>}
+   */
+  async function loadSyncState() {
+    const { syncEnabled = false, syncStatus = {} } = await chrome.storage.local.get(["syncEnabled", "syncStatus"]);
+    return {
+      enabled: syncEnabled,
+      status: {
+        lastSyncedAt: null,
+        lastPulledAt: null,
+        error: null,
+        bytesInUse: 0,
+        quotaBytes: chrome.storage.sync.QUOTA_BYTES,
+        ...syncStatus,
+      },
+    };
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Switches sync on or off for this device. `background.js` notices the change and
+   * runs the first sync. Switching off forgets the last synced state, so switching on again merges
+   * both sides without deleting anything; the rules in sync storage are kept for other devices.
+   * @param {boolean} enabled - Whether to sync.
+   * @returns {Promise<void>}
+   */
+  async function setSyncEnabled(enabled) {
+    if (enabled) {
+      await chrome.storage.local.set({ syncEnabled: true });
+    } else {
+      await chrome.storage.local.set({ syncEnabled: false, syncStatus: {} });
+      await chrome.storage.local.remove("syncBase");
+    }
+  }
+
+  /**
+   * @private
+   * @description Compares two field values; `conditions` are objects, so values are compared as JSON.
+   * @param {*} a - A value.
+   * @param {*} b - Another value.
+   * @returns {boolean}
+   */
+  function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * @private
+   * @description Returns the size `chrome.storage.sync` counts for an item: the key plus the JSON of
+   * the value, in UTF-8.
+   * @param {string} key - The item key.
+   * @param {*} value - The item value.
+   * @returns {number} The size in bytes.
+   */
+  function getItemSize(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * @private
+   * @description Reduces a rule to its synced fields, leaving out default values.
+   * @param {Rule} rule - The stored rule.
+   * @returns {object}
+   */
+  function compactRule(rule) {
+    const compact = {};
+    for (const field of SYNCED_FIELDS) {
+      if (rule[field] !== undefined && rule[field] !== DEFAULT_VALUES[field]) {
+        compact[field] = rule[field];
+      }
+    }
+    return compact;
+  }
+
+  /**
+   * @private
+   * @description Restores the default values `compactRule` left out.
+   * @param {object} compact - A rule read from a chunk.
+   * @param {string} scope - The scope of the chunk.
+   * @returns {SyncedRule}
+   */
+  function expandRule(compact, scope) {
+    return { ...DEFAULT_VALUES, ...compact, scope };
+  }
+
+  /**
+   * @private
+   * @description Lists the synced fields of every rule in a rule map, in storage order.
+   * @param {Object<string, Rule[]>} selectors - The rule map.
+   * @returns {SyncedRule[]}
+   */
+  function projectRules(selectors) {
+    return Object.entries(selectors).flatMap(([scope, rules]) =>
+      rules.map((rule) => expandRule(compactRule(rule), scope))
+    );
+  }
+
+  /**
+   * @public
+   * @description Tells whether a change to the local rules touched anything that is synced, so
+   * writes of fields that stay on this device do not start a sync.
+   * @param {?Object<string, Rule[]>} before - The rule map before the change.
+   * @param {?Object<string, Rule[]>} after - The rule map after the change.
+   * @returns {boolean}
+   */
+  function hasSyncedChanges(before, after) {
+    return !isSameValue(projectRules(before || {}), projectRules(after || {}));
+  }
+
+  /**
+   * @private
+   * @description Reassembles the rules stored in sync storage, in storage order.
+   * @param {object} items - Everything read from `chrome.storage.sync`.
+   * @returns {SyncedRule[]}
+   */
+  function readChunks(items) {
+    const chunks = Object.keys(items)
+      .filter(isSyncKey)
+      .map((key) => {
+        const separator = key.lastIndexOf(":");
+        return { key, scope: key.slice(CHUNK_PREFIX.length, separator), index: Number(key.slice(separator + 1)) };
+      })
+      .sort((a, b) => a.scope.localeCompare(b.scope) || a.index - b.index);
+    return chunks.flatMap(({ key, scope }) =>
+      (Array.isArray(items[key]) ? items[key] : [])
+        .filter((rule) => rule && typeof rule.id === "string" && typeof rule.selector === "string")
+        .map((rule) => expandRule(rule, scope))
+    );
+  }
+
+  /**
+   * @private
+   * @description Splits the rules into sync storage items, one or more per scope.
+   * @param {Object<string, Rule[]>} selectors - The rule map.
+   * @returns {Object<string, object[]>} The items by key.
+   * @throws {Error} If a single rule is larger than an item may be.
+   */
+  function buildChunks(selectors) {
+    const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+    const items = {};
+    for (const [scope, rules] of Object.entries(selectors)) {
+      let index = 0;
+      let chunk = [];
+      const key = () => `${CHUNK_PREFIX}${scope}:${index}`;
+      for (const rule of rules) {
+        const compact = compactRule(rule);
+        if (chunk.length > 0 && getItemSize(key(), [...chunk, compact]) > limit) {
+          items[key()] = chunk;
+          index++;
+          chunk = [];
+        }
+        if (getItemSize(key(), [compact]) > limit) {
+          throw new Error(`The rule "${rule.selector.slice(0, 40)}" in ${scope} is too large to sync.`);
+        }
+        chunk.push(compact);
+      }
+      if (chunk.length > 0) items[key()] = chunk;
+    }
+    return items;
+  }
+
+  /**
+   * @private
+   * @description Merges one rule changed on both sides field by field against its last synced state.
+   * @param {SyncedRule} local - This device's version.
+   * @param {SyncedRule} remote - The version in sync storage.
+   * @param {?SyncedRule} base - The version of the last sync, or `null` if unknown.
+   * @returns {SyncedRule}
+   */
+  function mergeRule(local, remote, base) {
+    const merged = { ...local };
+    for (const field of [...SYNCED_FIELDS, "scope"]) {
+      if (base && isSameValue(local[field], base[field])) {
+        merged[field] = remote[field];
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * @private
+   * @description Tells whether a rule is unchanged since the last sync.
+   * @param {SyncedRule} rule - The current version.
+   * @param {?SyncedRule} base - The version of the last sync.
+   * @returns {boolean}
+   */
+  function isUnchanged(rule, base) {
+    return Boolean(base) && [...SYNCED_FIELDS, "scope"].every((field) => isSameValue(rule[field], base[field]));
+  }
+
+  /**
+   * @private
+   * @description Merges this device's rules with the ones in sync storage, rule by rule, against
+   * the state of the last sync (see the file overview). Rules keep this device's order; rules new
+   * from sync are appended to their scope. Two rules with the same selector in a scope (added on two
+   * devices) are reduced to the first.
+   * @param {Object<string, Rule[]>} local - This device's rule map.
+   * @param {SyncedRule[]} remote - The rules in sync storage.
+   * @param {?Object<string, SyncedRule>} base - The rules of the last sync by id, or `null` to merge
+   *   without deleting anything.
+   * @returns {Object<string, Rule[]>} The merged rule map.
+   */
+  function mergeRules(local, remote, base) {
+    const localRules = new Map(
+      Object.entries(local).flatMap(([scope, rules]) => rules.map((rule) => [rule.id, { scope, rule }]))
+    );
+    const localSynced = new Map(projectRules(local).map((rule) => [rule.id, rule]));
+    const remoteSynced = new Map(remote.map((rule) => [rule.id, rule]));
+
+    const merged = new Map();
+    for (const id of new Set([...localSynced.keys(), ...remoteSynced.keys()])) {
+      const mine = localSynced.get(id);
+      const theirs = remoteSynced.get(id);
+      const last = base?.[id] || null;
+      if (mine && theirs) {
+        merged.set(id, mergeRule(mine, theirs, last));
+      } else if (mine && !isUnchanged(mine, last)) {
+        merged.set(id, mine);
+      } else if (theirs && !isUnchanged(theirs, last)) {
+        merged.set(id, theirs);
+      }
+    }
+
+    const result = {};
+    const add = ({ scope, ...synced }) => {
+      const rules = (result[scope] ||= []);
+      if (rules.some((rule) => rule.selector === synced.selector)) return;
+      rules.push(synced);
+    };
+    const ordered = [...localSynced.keys(), ...remoteSynced.keys()];
+    // Rules placed in their local scope first, so local order wins; then moved and new rules.
+    for (const id of ordered) {
+      const rule = merged.get(id);
+      if (rule && localRules.get(id)?.scope === rule.scope) {
+        add(rule);
+        merged.delete(id);
+      }
+    }
+    for (const id of ordered) {
+      if (merged.has(id)) {
+        add(merged.get(id));
+        merged.delete(id);
+      }
+    }
+    return ElementHiderRules.migrateSelectors(result);
+  }
+
+  /**
+   * @private
+   * @async
+   * @description Saves the sync status, unless nothing but the time would change.
+   * @param {SyncStatus} previous - The stored status.
+   * @param {Partial<SyncStatus>} changes - The fields to update.
+   * @param {object} [items={}] - Other local items to write in the same call.
+   * @returns {Promise<void>}
+   */
+  async function saveStatus(previous, changes, items = {}) {
+    const status = { ...previous, ...changes };
+    if (Object.keys(items).length === 0 && JSON.stringify(status) === JSON.stringify(previous)) return;
+    await chrome.storage.local.set({ ...items, syncStatus: status });
+  }
+
+  /**
+   * @public
+   * @async
+   * @description Brings this device's rules and sync storage in line: merges both sides, writes the
+   * chunks that changed and removes those no longer needed, and saves the merged rules locally.
+   * Does nothing while sync is off. If the merged rules do not fit the sync quota, only the local
+   * rules are updated and the status reports the error. Calls must not overlap; `background.js`
+   * queues them.
+   * @returns {Promise<void>}
+   */
+  async function synchronize() {
+    const { enabled, status } = await loadSyncState();
+    if (!enabled) return;
+    const { syncBase = null } = await chrome.storage.local.get("syncBase");
+    const remoteItems = await chrome.storage.sync.get(null);
+    const remote = readChunks(remoteItems);
+    const local = await ElementHiderRules.loadSelectors();
+    const localJson = JSON.stringify(local);
+
+    // Sync storage left empty by deleting every rule still holds the marker, so the deletions are
+    // merged like any other. Without the marker (cleared in the browser's settings) it is filled again
+    // from this device instead of deleting every rule synced before.
+    const base = remote.length > 0 || MARKER_KEY in remoteItems ? syncBase : null;
+    const merged = mergeRules(local, remote, base);
+    const localChanged = JSON.stringify(merged) !== localJson;
+    const now = Date.now();
+
+    let chunks;
+    let bytesInUse = status.bytesInUse;
+    let error = null;
+    try {
+      chunks = buildChunks(merged);
+      const bytes = Object.entries(chunks).reduce((sum, [key, value]) => sum + getItemSize(key, value), 0);
+      if (bytes > chrome.storage.sync.QUOTA_BYTES || Object.keys(chunks).length > chrome.storage.sync.MAX_ITEMS) {
+        throw new Error(
+          `Your rules need ${Math.ceil(bytes / 1024)} KB, more than the ${chrome.storage.sync.QUOTA_BYTES / 1024} KB ` +
+          "browser sync allows. They are kept on this device only until some are removed."
+        );
+      }
+      bytesInUse = bytes;
+    } catch (e) {
+      error = e.message;
+    }
+
+    let remoteChanged = false;
+    if (!error) {
+      const changed = Object.fromEntries(
+        Object.entries(chunks).filter(([key, value]) => JSON.stringify(remoteItems[key]) !== JSON.stringify(value))
+      );
+      if (!(MARKER_KEY in remoteItems)) changed[MARKER_KEY] = { createdAt: now };
+      const obsolete = Object.keys(remoteItems).filter((key) => isSyncKey(key) && !(key in chunks));
+      remoteChanged = Object.keys(changed).length > 0 || obsolete.length > 0;
+      try {
+        if (Object.keys(changed).length > 0) await chrome.storage.sync.set(changed);
+        if (obsolete.length > 0) await chrome.storage.sync.remove(obsolete);
+      } catch (e) {
+        error = `Sync failed: ${e.message}`;
+        if (/MAX_WRITE_OPERATIONS/.test(e.message)) {
+          chrome.alarms.create(RETRY_ALARM, { delayInMinutes: RETRY_DELAY_MINUTES });
+        }
+      }
+    }
+
+    // A local edit made while this sync ran is merged by the next one instead of being overwritten.
+    if (JSON.stringify(await ElementHiderRules.loadSelectors()) !== localJson) return;
+
+    const items = {};
+    if (localChanged) {
+      Object.assign(items, { selectors: merged, schemaVersion: ElementHiderRules.SCHEMA_VERSION });
+    }
+    const newBase = Object.fromEntries(projectRules(merged).map((rule) => [rule.id, rule]));
+    if (!error && JSON.stringify(newBase) !== JSON.stringify(syncBase)) {
+      items.syncBase = newBase;
+    }
+    await saveStatus(status, {
+      error,
+      bytesInUse,
+      lastSyncedAt: !error && (localChanged || remoteChanged) ? now : status.lastSyncedAt,
+      lastPulledAt: localChanged ? now : status.lastPulledAt,
+    }, items);
+  }
+
+  return {
+    CHUNK_PREFIX,
+    RETRY_ALARM,
+    isSyncKey,
+    hasSyncedChanges,
+    loadSyncState,
+    setSyncEnabled,
+    synchronize,
+  };
+})();